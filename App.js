@@ -1,16 +1,27 @@
-import React from 'react';
-import { AppRegistry } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import { AppRegistry, View, ActivityIndicator, Alert } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { StatusBar } from 'expo-status-bar';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 
 // Import all screens
+import LearnerPickerScreen from './screens/LearnerPickerScreen';
 import GradeSelectionScreen from './screens/GradeSelectionScreen';
 import HomeScreen from './screens/HomeScreen';
 import IntensiveBooksScreen from './screens/IntensiveBooksScreen';
+import ExtensiveBooksScreen from './screens/ExtensiveBooksScreen';
 import BookReaderScreen from './screens/BookReaderScreen';
+import BookSearchScreen from './screens/BookSearchScreen';
+import QuizScreen from './screens/QuizScreen';
+import CelebrationScreen from './screens/CelebrationScreen';
 import ProfileScreen from './screens/ProfileScreen';
+import TeacherToolsScreen from './screens/TeacherToolsScreen';
+import ContentPacksScreen from './screens/ContentPacksScreen';
+import OpdsBrowserScreen from './screens/OpdsBrowserScreen';
+import { initializeCatalog } from './services/catalogLoader';
+import { initializeProgress } from './services/progressStorage';
+import { initializeLearnerProfiles } from './services/learnerProfiles';
 
 // Following SOLID principles - Single Responsibility Principle
 // This component handles app-level navigation structure
@@ -19,12 +30,38 @@ const Stack = createStackNavigator();
 
 // KISS principle - simple and clear navigation structure
 const App = () => {
+  const [isReady, setIsReady] = useState(false);
+
+  // Screens read the book catalog synchronously, and progress must be migrated before it is read,
+  // so both are ready before any screen mounts. Data from before learner profiles is moved first.
+  useEffect(() => {
+    Promise.all([initializeCatalog(), initializeLearnerProfiles().then(initializeProgress)])
+      .then(([, { recoveries }]) => {
+        if (recoveries.length > 0) {
+          Alert.alert(
+            'Progress Recovered',
+            `Saved reading progress for ${recoveries.map(recovery => `Grade ${recovery.grade}`).join(', ')} could not be read, so it starts again. A copy of the damaged data was kept on this device.`
+          );
+        }
+      })
+      .catch(error => console.error('Error starting the app:', error))
+      .finally(() => setIsReady(true));
+  }, []);
+
+  if (!isReady) {
+    return (
+      <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#f8f9fa' }}>
+        <ActivityIndicator size="large" color="#4CAF50" />
+      </View>
+    );
+  }
+
   return (
     <GestureHandlerRootView style={{ flex: 1 }}>
       <NavigationContainer>
         <StatusBar style="auto" />
         <Stack.Navigator
-          initialRouteName="GradeSelection"
+          initialRouteName="LearnerPicker"
           screenOptions={{
             headerStyle: {
               backgroundColor: '#4CAF50',
@@ -35,7 +72,17 @@ const App = () => {
             },
           }}
         >
-          {/* Grade Selection - First screen */}
+          {/* Learner Picker - First screen, also where learners switch */}
+          <Stack.Screen
+            name="LearnerPicker"
+            component={LearnerPickerScreen}
+            options={{
+              title: 'Choose Learner',
+              headerLeft: null,
+            }}
+          />
+
+          {/* Grade Selection - Chosen by each new learner */}
           <Stack.Screen
             name="GradeSelection"
             component={GradeSelectionScreen}
@@ -64,6 +111,24 @@ const App = () => {
             }}
           />
           
+          {/* Extensive Learning Books List */}
+          <Stack.Screen
+            name="ExtensiveBooks"
+            component={ExtensiveBooksScreen}
+            options={{
+              title: 'Extensive Learning',
+            }}
+          />
+          
+          {/* Search across intensive and extensive books */}
+          <Stack.Screen
+            name="BookSearch"
+            component={BookSearchScreen}
+            options={{
+              title: 'Find a Book',
+            }}
+          />
+          
           {/* Book Reader for PDFs */}
           <Stack.Screen
             name="BookReader"
@@ -74,6 +139,25 @@ const App = () => {
             }}
           />
           
+          {/* Post-reading Quiz */}
+          <Stack.Screen
+            name="Quiz"
+            component={QuizScreen}
+            options={{
+              title: 'Quiz',
+            }}
+          />
+          
+          {/* Sticker Celebration after a quiz */}
+          <Stack.Screen
+            name="Celebration"
+            component={CelebrationScreen}
+            options={{
+              title: 'New Sticker!',
+              presentation: 'modal',
+            }}
+          />
+          
           {/* Profile Screen */}
           <Stack.Screen
             name="Profile"
@@ -82,9 +166,34 @@ const App = () => {
               title: 'My Profile',
             }}
           />
-          
-          {/* Future screens for Phase 2 and 3 can be added here */}
-          {/* ExtensiveBooks, Quiz screens will be added in later phases */}
+
+          {/* Device settings and book management for teachers */}
+          <Stack.Screen
+            name="TeacherTools"
+            component={TeacherToolsScreen}
+            options={{
+              title: 'Teacher Tools',
+            }}
+          />
+
+          {/* Teacher-managed content packs */}
+          <Stack.Screen
+            name="ContentPacks"
+            component={ContentPacksScreen}
+            options={{
+              title: 'Content Packs',
+            }}
+          />
+
+          {/* Teacher imports from OPDS library feeds */}
+          <Stack.Screen
+            name="OpdsBrowser"
+            component={OpdsBrowserScreen}
+            options={{
+              title: 'Online Libraries',
+            }}
+          />
+
         </Stack.Navigator>
       </NavigationContainer>
     </GestureHandlerRootView>
@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, ScrollView } from 'react-native';
+import {
+  STATUS_FILTERS,
+  TYPE_FILTERS,
+  LENGTH_FILTERS,
+  SORT_OPTIONS,
+  DEFAULT_BOOK_FILTERS,
+  countActiveFilters
+} from '../data/bookSearch';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component edits the search text, filters and sort order of a book list
+
+const Chip = ({ label, selected, onPress }) => (
+  <TouchableOpacity style={[styles.chip, selected && styles.selectedChip]} onPress={onPress}>
+    <Text style={[styles.chipText, selected && styles.selectedChipText]}>{label}</Text>
+  </TouchableOpacity>
+);
+
+const ChipRow = ({ title, children }) => (
+  <View style={styles.chipRow}>
+    <Text style={styles.chipRowTitle}>{title}</Text>
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+      {children}
+    </ScrollView>
+  </View>
+);
+
+const BookFilters = ({
+  filters,
+  onChange,
+  availableTags = [],
+  showTypeFilter = false,
+  crossGrade = null,
+  resultCount
+}) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const activeCount = countActiveFilters(filters);
+
+  const setFilter = (key, value) => onChange({ ...filters, [key]: value });
+
+  const toggleTag = (tag) => {
+    setFilter('tags', filters.tags.includes(tag) ? filters.tags.filter(value => value !== tag) : [...filters.tags, tag]);
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.searchRow}>
+        <TextInput
+          style={styles.searchInput}
+          value={filters.query}
+          onChangeText={(query) => setFilter('query', query)}
+          placeholder="Search by title or author"
+          autoCorrect={false}
+          clearButtonMode="while-editing"
+          returnKeyType="search"
+        />
+        <TouchableOpacity
+          style={[styles.filterButton, (isExpanded || activeCount > 0) && styles.activeFilterButton]}
+          onPress={() => setIsExpanded(!isExpanded)}
+        >
+          <Text style={[styles.filterButtonText, (isExpanded || activeCount > 0) && styles.activeFilterButtonText]}>
+            Filters{activeCount > 0 ? ` (${activeCount})` : ''}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {isExpanded && (
+        <View style={styles.panel}>
+          <ChipRow title="Status">
+            {STATUS_FILTERS.map(option => (
+              <Chip key={option.id} label={option.label} selected={filters.status === option.id} onPress={() => setFilter('status', option.id)} />
+            ))}
+          </ChipRow>
+
+          {showTypeFilter && (
+            <ChipRow title="Type">
+              {TYPE_FILTERS.map(option => (
+                <Chip key={option.id} label={option.label} selected={filters.type === option.id} onPress={() => setFilter('type', option.id)} />
+              ))}
+            </ChipRow>
+          )}
+
+          {availableTags.length > 0 && (
+            <ChipRow title="Topics">
+              {availableTags.map(tag => (
+                <Chip key={tag} label={tag} selected={filters.tags.includes(tag)} onPress={() => toggleTag(tag)} />
+              ))}
+            </ChipRow>
+          )}
+
+          <ChipRow title="Length">
+            {LENGTH_FILTERS.map(option => (
+              <Chip key={option.id} label={option.label} selected={filters.length === option.id} onPress={() => setFilter('length', option.id)} />
+            ))}
+          </ChipRow>
+
+          <ChipRow title="Sort by">
+            {SORT_OPTIONS.map(option => (
+              <Chip key={option.id} label={option.label} selected={filters.sort === option.id} onPress={() => setFilter('sort', option.id)} />
+            ))}
+          </ChipRow>
+
+          {/* Only offered when a teacher has allowed it in Teacher Tools */}
+          {crossGrade?.allowed && (
+            <ChipRow title="Grades">
+              <Chip label="My grade" selected={!crossGrade.enabled} onPress={() => crossGrade.onChange(false)} />
+              <Chip label="All grades" selected={crossGrade.enabled} onPress={() => crossGrade.onChange(true)} />
+            </ChipRow>
+          )}
+
+          {activeCount > 0 && (
+            <TouchableOpacity onPress={() => onChange({ ...DEFAULT_BOOK_FILTERS, query: filters.query, sort: filters.sort })}>
+              <Text style={styles.clearText}>Clear filters</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {resultCount !== undefined && (filters.query !== '' || activeCount > 0) && (
+        <Text style={styles.resultText}>
+          {resultCount} book{resultCount === 1 ? '' : 's'} found
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 15,
+  },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  searchInput: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+    borderRadius: 20,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#2c3e50',
+  },
+  filterButton: {
+    marginLeft: 10,
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    borderRadius: 20,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+  },
+  activeFilterButton: {
+    backgroundColor: '#4CAF50',
+  },
+  filterButtonText: {
+    color: '#4CAF50',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  activeFilterButtonText: {
+    color: '#fff',
+  },
+  panel: {
+    marginTop: 10,
+  },
+  chipRow: {
+    marginBottom: 8,
+  },
+  chipRowTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 4,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+    backgroundColor: '#fff',
+    borderRadius: 15,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 6,
+  },
+  selectedChip: {
+    borderColor: '#4CAF50',
+    backgroundColor: '#e8f5e9',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#2c3e50',
+  },
+  selectedChipText: {
+    color: '#2e7d32',
+    fontWeight: '600',
+  },
+  clearText: {
+    color: '#f44336',
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  resultText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 8,
+  },
+});
+
+export default BookFilters;
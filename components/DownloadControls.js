@@ -0,0 +1,213 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { formatBytes } from '../services/downloadManager';
+import { isPackBook } from '../data/contentPacks';
+
+// Following SOLID principles - Single Responsibility Principle
+// These components show offline download state for book lists
+
+// Per-book download state and size
+export const BookDownloadButton = ({ book, status, onDownload, onRemove }) => {
+  const handleDownload = async () => {
+    try {
+      await onDownload(book);
+    } catch (error) {
+      console.error('Error downloading book:', error);
+      Alert.alert('Download Failed', `"${book.title}" could not be downloaded. Please check your internet connection and try again.`);
+    }
+  };
+
+  const handleRemove = () => {
+    Alert.alert(
+      'Remove Download',
+      `Remove the offline copy of "${book.title}"? Your reading progress is kept.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await onRemove(book.id);
+            } catch (error) {
+              console.error('Error removing download:', error);
+              Alert.alert('Error', 'Failed to remove the download. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  if (isPackBook(book)) {
+    return (
+      <View style={[styles.downloadButton, styles.downloadedButton]}>
+        <Text style={styles.downloadedText}>📦 {book.pack.name}</Text>
+      </View>
+    );
+  }
+
+  if (status.state === 'downloading') {
+    return (
+      <View style={[styles.downloadButton, styles.downloadingButton]}>
+        <Text style={styles.downloadingText}>
+          Downloading {Math.round((status.progress || 0) * 100)}%
+        </Text>
+      </View>
+    );
+  }
+
+  if (status.state === 'downloaded') {
+    return (
+      <TouchableOpacity style={[styles.downloadButton, styles.downloadedButton]} onPress={handleRemove}>
+        <Text style={styles.downloadedText}>✓ Offline • {formatBytes(status.size)}</Text>
+      </TouchableOpacity>
+    );
+  }
+
+  return (
+    <TouchableOpacity style={styles.downloadButton} onPress={handleDownload}>
+      <Text style={styles.downloadText}>⬇ Download</Text>
+    </TouchableOpacity>
+  );
+};
+
+// Grade-wide download actions and storage accounting
+export const DownloadsSummary = ({ bookCount, downloadedCount, storage, isDownloading, onDownloadAll, onRemoveAll }) => {
+  const handleDownloadAll = async () => {
+    try {
+      const { failed } = await onDownloadAll();
+      if (failed.length > 0) {
+        Alert.alert(
+          'Some Downloads Failed',
+          `${failed.length} book(s) could not be downloaded. Please check your internet connection and try again.`
+        );
+      }
+    } catch (error) {
+      console.error('Error downloading books:', error);
+      Alert.alert('Error', 'Failed to download books. Please try again.');
+    }
+  };
+
+  const handleRemoveAll = () => {
+    Alert.alert(
+      'Remove Downloads',
+      'Remove all offline copies for this list? Your reading progress is kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await onRemoveAll();
+            } catch (error) {
+              console.error('Error removing downloads:', error);
+              Alert.alert('Error', 'Failed to remove downloads. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const allDownloaded = bookCount > 0 && downloadedCount === bookCount;
+
+  return (
+    <View style={styles.summaryContainer}>
+      <Text style={styles.summaryText}>
+        {downloadedCount} of {bookCount} offline • {formatBytes(storage.totalBytes)}
+        {storage.freeBytes !== null ? ` • ${formatBytes(storage.freeBytes)} free` : ''}
+      </Text>
+
+      <View style={styles.summaryActions}>
+        {!allDownloaded && (
+          <TouchableOpacity
+            style={[styles.summaryButton, isDownloading && styles.disabledSummaryButton]}
+            onPress={handleDownloadAll}
+            disabled={isDownloading}
+          >
+            <Text style={styles.summaryButtonText}>
+              {isDownloading ? 'Downloading...' : 'Download All'}
+            </Text>
+          </TouchableOpacity>
+        )}
+        {downloadedCount > 0 && (
+          <TouchableOpacity style={[styles.summaryButton, styles.removeAllButton]} onPress={handleRemoveAll}>
+            <Text style={[styles.summaryButtonText, styles.removeAllText]}>Remove All</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  downloadButton: {
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    borderRadius: 15,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginTop: 12,
+  },
+  downloadText: {
+    color: '#4CAF50',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  downloadingButton: {
+    borderColor: '#2196F3',
+  },
+  downloadingText: {
+    color: '#2196F3',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  downloadedButton: {
+    backgroundColor: '#e8f5e9',
+  },
+  downloadedText: {
+    color: '#2e7d32',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  summaryContainer: {
+    marginTop: 15,
+    paddingTop: 15,
+    borderTopWidth: 1,
+    borderTopColor: '#e9ecef',
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+  summaryActions: {
+    flexDirection: 'row',
+  },
+  summaryButton: {
+    backgroundColor: '#4CAF50',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginRight: 10,
+  },
+  disabledSummaryButton: {
+    backgroundColor: '#ddd',
+  },
+  summaryButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  removeAllButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#f44336',
+  },
+  removeAllText: {
+    color: '#f44336',
+  },
+});
@@ -0,0 +1,111 @@
+import React from 'react';
+import { View, Text, StyleSheet, Alert } from 'react-native';
+import { getBookById } from '../data/books';
+import {
+  FAILURE_ACTIONS,
+  FAILURE_REASONS,
+  getFailureRules,
+  getFailureCounts,
+  getFailureActionMessage
+} from '../data/failureRules';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component shows an extensive book's recent failures and any review it is waiting on
+
+// Explains a reset or review to the student, offering to open the review book straight away
+export const showFailureActionAlert = ({ action, book, grade, navigation }) => {
+  const reviewBook = action.reviewBookId ? getBookById(action.reviewBookId) : null;
+  const message = getFailureActionMessage(action, book.title, reviewBook?.title);
+
+  if (action.type === FAILURE_ACTIONS.REVIEW_INTENSIVE && reviewBook) {
+    Alert.alert('Time to Review 📖', message, [
+      { text: 'Later', style: 'cancel', onPress: () => navigation.goBack() },
+      {
+        text: 'Review Now',
+        onPress: () => navigation.replace('BookReader', {
+          book: reviewBook,
+          grade,
+          type: 'intensive',
+          reviewFor: book.id
+        })
+      }
+    ]);
+    return;
+  }
+
+  Alert.alert('Let\'s Try Again 💪', message, [
+    { text: 'OK', onPress: () => navigation.goBack() }
+  ]);
+};
+
+// Offers the review a failure rule assigned before the book is opened; false when there is none.
+// From the reader, the book is closed whichever is chosen.
+export const showPendingReviewAlert = ({ book, bookProgress, navigation, isInReader = false }) => {
+  const reviewBook = bookProgress?.pendingReview ? getBookById(bookProgress.pendingReview.bookId) : null;
+  if (!reviewBook) return false;
+
+  const closeBook = () => {
+    if (isInReader) navigation.goBack();
+  };
+  Alert.alert(
+    'Review First 📖',
+    `Read "${reviewBook.title}" again before going back to "${book.title}".`,
+    [
+      { text: 'Not Now', style: 'cancel', onPress: closeBook },
+      {
+        text: 'Review Now',
+        onPress: () => navigation[isInReader ? 'replace' : 'navigate']('BookReader', {
+          book: reviewBook,
+          grade: book.grade,
+          type: 'intensive',
+          reviewFor: book.id
+        })
+      }
+    ],
+    { cancelable: !isInReader }
+  );
+  return true;
+};
+
+const FailureNotice = ({ grade, bookProgress }) => {
+  const rules = getFailureRules(grade);
+  const counts = getFailureCounts(bookProgress);
+  const reviewBook = bookProgress.pendingReview ? getBookById(bookProgress.pendingReview.bookId) : null;
+
+  if (!reviewBook && counts[FAILURE_REASONS.TIMER] === 0 && counts[FAILURE_REASONS.QUIZ] === 0) {
+    return null;
+  }
+
+  return (
+    <View style={[styles.notice, reviewBook && styles.reviewNotice]}>
+      {reviewBook ? (
+        <Text style={styles.noticeText}>📖 Review &quot;{reviewBook.title}&quot; before reading this book again</Text>
+      ) : (
+        <Text style={styles.noticeText}>
+          ⚠️ {counts[FAILURE_REASONS.TIMER]}/{rules.maxTimerMisses} pages ran out of time •{' '}
+          {counts[FAILURE_REASONS.QUIZ]}/{rules.maxQuizFailures} quizzes below {rules.quizPassScore}%
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  notice: {
+    backgroundColor: '#fff8e1',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 10,
+  },
+  reviewNotice: {
+    backgroundColor: '#fdecea',
+  },
+  noticeText: {
+    fontSize: 13,
+    color: '#8a6d3b',
+    fontWeight: '600',
+  },
+});
+
+export default FailureNotice;
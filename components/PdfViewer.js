@@ -0,0 +1,276 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import { View, Text, StyleSheet, ActivityIndicator } from 'react-native';
+import { WebView } from 'react-native-webview';
+import * as FileSystem from 'expo-file-system';
+import { PDFJS_URL, PDFJS_WORKER_URL } from '../constants/PdfViewer';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component renders a PDF inside a WebView with pdf.js and reports the visible page
+
+// Values are embedded in an inline <script>, so "<" is escaped to keep "</script>" out of the markup
+const toScriptValue = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+// Offline reading - saved pdf.js files are loaded by file URI, so no copy of them or the book sits in the page
+const buildLibraryTag = (files) => `<script src="${files ? files.library : PDFJS_URL}"></script>`;
+
+const buildWorkerSrc = (files) => toScriptValue(files ? files.worker : PDFJS_WORKER_URL);
+
+// KISS principle - the whole viewer is one HTML document
+const buildViewerHtml = ({ source, initialPage, files }) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=4" />
+  <style>
+    body { margin: 0; background: #e9ecef; }
+    .page { position: relative; margin: 8px auto; background: #fff; box-shadow: 0 1px 4px rgba(0,0,0,0.2); }
+    .page canvas { display: block; width: 100%; height: 100%; }
+    .page-error { position: absolute; top: 45%; left: 0; right: 0; text-align: center; font: 15px sans-serif; color: #666; }
+  </style>
+  ${buildLibraryTag(files)}
+</head>
+<body>
+  <div id="viewer"></div>
+  <script>
+    (function () {
+      var source = ${toScriptValue(source)};
+      var initialPage = ${toScriptValue(initialPage)};
+      var viewer = document.getElementById('viewer');
+      var pageElements = [];
+      var reportedPage = 0;
+      var reportTimer = null;
+
+      var send = function (message) {
+        window.ReactNativeWebView.postMessage(JSON.stringify(message));
+      };
+
+      if (!window.pdfjsLib) {
+        send({ type: 'error', message: 'PDF viewer could not be loaded' });
+        return;
+      }
+      pdfjsLib.GlobalWorkerOptions.workerSrc = ${buildWorkerSrc(files)};
+
+      // The visible page is the one under the middle of the screen, or the last page at the very bottom
+      var findVisiblePage = function () {
+        if (window.innerHeight + window.scrollY >= document.body.scrollHeight - 2) {
+          return pageElements.length;
+        }
+        var middle = window.scrollY + window.innerHeight / 2;
+        for (var i = 0; i < pageElements.length; i++) {
+          var element = pageElements[i];
+          if (element.offsetTop + element.offsetHeight >= middle) return i + 1;
+        }
+        return pageElements.length;
+      };
+
+      var reportVisiblePage = function () {
+        clearTimeout(reportTimer);
+        reportTimer = setTimeout(function () {
+          var page = findVisiblePage();
+          if (page > 0 && page !== reportedPage) {
+            reportedPage = page;
+            send({ type: 'page', page: page });
+          }
+        }, 250);
+      };
+
+      window.goToPage = function (page) {
+        var element = pageElements[page - 1];
+        if (element) {
+          window.scrollTo(0, element.offsetTop - 8);
+          reportVisiblePage();
+        }
+      };
+
+      var renderPage = function (pdf, pageNumber, element) {
+        pdf.getPage(pageNumber).then(function (page) {
+          var scale = element.clientWidth / page.getViewport({ scale: 1 }).width;
+          var viewport = page.getViewport({ scale: scale * (window.devicePixelRatio || 1) });
+          var canvas = document.createElement('canvas');
+          canvas.width = viewport.width;
+          canvas.height = viewport.height;
+          element.appendChild(canvas);
+          return page.render({ canvasContext: canvas.getContext('2d'), viewport: viewport }).promise;
+        }).catch(function (error) {
+          // One bad page leaves the rest of the book readable
+          var note = document.createElement('div');
+          note.className = 'page-error';
+          note.textContent = 'This page could not be shown';
+          element.appendChild(note);
+          send({ type: 'pageError', page: pageNumber, message: error.message });
+        });
+      };
+
+      pdfjsLib.getDocument({ url: source.uri }).promise.then(function (pdf) {
+        return pdf.getPage(1).then(function (firstPage) {
+          var firstViewport = firstPage.getViewport({ scale: 1 });
+          var width = window.innerWidth - 16;
+          var height = width * (firstViewport.height / firstViewport.width);
+
+          // Lazy rendering - pages are drawn only when they come close to the screen
+          var observer = new IntersectionObserver(function (entries) {
+            entries.forEach(function (entry) {
+              if (entry.isIntersecting) {
+                observer.unobserve(entry.target);
+                renderPage(pdf, Number(entry.target.dataset.page), entry.target);
+              }
+            });
+          }, { rootMargin: '100% 0px' });
+
+          for (var pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            var element = document.createElement('div');
+            element.className = 'page';
+            element.dataset.page = pageNumber;
+            element.style.width = width + 'px';
+            element.style.height = height + 'px';
+            viewer.appendChild(element);
+            pageElements.push(element);
+            observer.observe(element);
+          }
+
+          send({ type: 'loaded', numPages: pdf.numPages });
+          window.addEventListener('scroll', reportVisiblePage);
+          window.goToPage(Math.min(Math.max(initialPage, 1), pdf.numPages));
+        });
+      }).catch(function (error) {
+        send({ type: 'error', message: error.message });
+      });
+    })();
+  </script>
+</body>
+</html>`;
+
+// SOLID - Dependency Inversion: the screen talks to the viewer through callbacks and goToPage only
+const PdfViewer = forwardRef((
+  { source, files = null, initialPage = 1, onDocumentLoad, onPageChange, onPageError, onError },
+  ref
+) => {
+  const webViewRef = useRef(null);
+  const [isLoading, setIsLoading] = useState(true);
+  // Read when the document is built; later page changes are sent with goToPage
+  const initialPageRef = useRef(initialPage);
+  initialPageRef.current = initialPage;
+
+  // Read when the page file is written, which only happens for a new document
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+  // Set once the page is written next to the saved viewer files
+  const [pageUri, setPageUri] = useState(null);
+
+  // The document is only rebuilt for a new source
+  const html = useMemo(
+    () => buildViewerHtml({ source: { uri: source.uri }, initialPage: initialPageRef.current, files }),
+    [source.uri, files]
+  );
+
+  // iOS only lets a page read file URIs when it is a file itself, with access to the folder they are in
+  useEffect(() => {
+    if (!files) return undefined;
+
+    let isCurrent = true;
+    setPageUri(null);
+    FileSystem.writeAsStringAsync(files.page, html)
+      .then(() => {
+        if (isCurrent) setPageUri(files.page);
+      })
+      .catch((error) => {
+        if (!isCurrent) return;
+        setIsLoading(false);
+        onErrorRef.current?.(error);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [html, files]);
+
+  const webViewSource = useMemo(() => {
+    if (!files) return { html, baseUrl: source.uri || '' };
+    return pageUri ? { uri: pageUri } : null;
+  }, [html, files, pageUri, source.uri]);
+
+  useImperativeHandle(ref, () => ({
+    goToPage: (page) => {
+      webViewRef.current?.injectJavaScript(`window.goToPage && window.goToPage(${Number(page)}); true;`);
+    },
+  }));
+
+  const handleMessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.nativeEvent.data);
+    } catch (error) {
+      console.error('Error parsing PDF viewer message:', error);
+      return;
+    }
+
+    switch (message.type) {
+      case 'loaded':
+        setIsLoading(false);
+        onDocumentLoad?.(message.numPages);
+        break;
+      case 'page':
+        onPageChange?.(message.page);
+        break;
+      case 'pageError':
+        onPageError?.(message.page, new Error(message.message));
+        break;
+      case 'error':
+        setIsLoading(false);
+        onError?.(new Error(message.message));
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      {webViewSource && (
+        <WebView
+          ref={webViewRef}
+          originWhitelist={['*']}
+          source={webViewSource}
+          onMessage={handleMessage}
+          onError={(event) => onError?.(new Error(event.nativeEvent.description))}
+          javaScriptEnabled
+          allowFileAccess={Boolean(files)}
+          allowFileAccessFromFileURLs={Boolean(files)}
+          allowingReadAccessToURL={files?.readAccessRoot}
+          style={styles.webView}
+        />
+      )}
+
+      {isLoading && (
+        <View style={styles.loadingOverlay}>
+          <ActivityIndicator size="large" color="#4CAF50" />
+          <Text style={styles.loadingText}>Loading book...</Text>
+        </View>
+      )}
+    </View>
+  );
+});
+
+PdfViewer.displayName = 'PdfViewer';
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#e9ecef',
+  },
+  webView: {
+    flex: 1,
+    backgroundColor: '#e9ecef',
+  },
+  loadingOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f8f9fa',
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 16,
+    color: '#666',
+  },
+});
+
+export default PdfViewer;
@@ -0,0 +1,330 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, TextInput } from 'react-native';
+import { QUESTION_TYPES, getQuestionType } from '../data/quiz';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component renders one quiz question, dispatching on its type
+
+// Stable shuffle per question so re-renders do not move items around
+const shuffleIndexes = (length, seed) => {
+  const indexes = Array.from({ length }, (_, index) => index);
+  let state = Array.from(seed).reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+  for (let i = indexes.length - 1; i > 0; i--) {
+    state = (state * 1103515245 + 12345) >>> 0;
+    const j = state % (i + 1);
+    [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+  }
+  // A shuffle that happens to be the answer would give the question away
+  if (length > 1 && indexes.every((value, index) => value === index)) {
+    indexes.push(indexes.shift());
+  }
+  return indexes;
+};
+
+const OptionButton = ({ label, selected, onPress, marker }) => (
+  <TouchableOpacity
+    style={[styles.optionButton, selected && styles.selectedOption]}
+    onPress={onPress}
+  >
+    <Text style={[styles.optionText, selected && styles.selectedOptionText]}>
+      {marker ? `${marker} ` : ''}{label}
+    </Text>
+  </TouchableOpacity>
+);
+
+const SingleChoiceQuestion = ({ question, answer, onAnswer }) => (
+  <View>
+    {question.options.map((option, index) => (
+      <OptionButton
+        key={index}
+        label={option}
+        selected={answer === index}
+        onPress={() => onAnswer(index)}
+      />
+    ))}
+  </View>
+);
+
+const MultipleChoiceQuestion = ({ question, answer = [], onAnswer }) => {
+  const toggleOption = (index) => {
+    onAnswer(answer.includes(index) ? answer.filter(value => value !== index) : [...answer, index]);
+  };
+
+  return (
+    <View>
+      <Text style={styles.hintText}>Choose all the answers that are right.</Text>
+      {question.options.map((option, index) => (
+        <OptionButton
+          key={index}
+          label={option}
+          marker={answer.includes(index) ? '☑' : '☐'}
+          selected={answer.includes(index)}
+          onPress={() => toggleOption(index)}
+        />
+      ))}
+    </View>
+  );
+};
+
+const TrueFalseQuestion = ({ answer, onAnswer }) => (
+  <View style={styles.trueFalseRow}>
+    {[true, false].map(value => (
+      <View key={String(value)} style={styles.trueFalseOption}>
+        <OptionButton
+          label={value ? 'True' : 'False'}
+          selected={answer === value}
+          onPress={() => onAnswer(value)}
+        />
+      </View>
+    ))}
+  </View>
+);
+
+const OrderingQuestion = ({ question, answer, onAnswer }) => {
+  const initialOrder = useMemo(
+    () => shuffleIndexes(question.items.length, question.id),
+    [question.id, question.items.length]
+  );
+  const order = answer || initialOrder;
+
+  // The shuffled order counts as the first answer so the student can accept it as is
+  useEffect(() => {
+    if (!answer) onAnswer(initialOrder);
+  }, [answer, initialOrder, onAnswer]);
+
+  const moveItem = (position, direction) => {
+    const target = position + direction;
+    if (target < 0 || target >= order.length) return;
+    const nextOrder = [...order];
+    [nextOrder[position], nextOrder[target]] = [nextOrder[target], nextOrder[position]];
+    onAnswer(nextOrder);
+  };
+
+  return (
+    <View>
+      <Text style={styles.hintText}>Put the events in the order they happened.</Text>
+      {order.map((itemIndex, position) => (
+        <View key={itemIndex} style={styles.orderingItem}>
+          <Text style={styles.orderingNumber}>{position + 1}</Text>
+          <Text style={styles.orderingText}>{question.items[itemIndex]}</Text>
+          <TouchableOpacity
+            style={[styles.moveButton, position === 0 && styles.disabledMoveButton]}
+            onPress={() => moveItem(position, -1)}
+            disabled={position === 0}
+            accessibilityLabel="Move up"
+          >
+            <Text style={styles.moveButtonText}>↑</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.moveButton, position === order.length - 1 && styles.disabledMoveButton]}
+            onPress={() => moveItem(position, 1)}
+            disabled={position === order.length - 1}
+            accessibilityLabel="Move down"
+          >
+            <Text style={styles.moveButtonText}>↓</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const MatchingQuestion = ({ question, answer = {}, onAnswer }) => {
+  const [selectedLeft, setSelectedLeft] = useState(null);
+  const rightOrder = useMemo(
+    () => shuffleIndexes(question.pairs.length, `${question.id}_right`),
+    [question.id, question.pairs.length]
+  );
+
+  // Tap a left item, then the right item it goes with
+  const handleRightPress = (rightIndex) => {
+    if (selectedLeft === null) return;
+    const nextAnswer = { ...answer };
+    Object.keys(nextAnswer).forEach(leftIndex => {
+      if (nextAnswer[leftIndex] === rightIndex) delete nextAnswer[leftIndex];
+    });
+    nextAnswer[selectedLeft] = rightIndex;
+    onAnswer(nextAnswer);
+    setSelectedLeft(null);
+  };
+
+  return (
+    <View>
+      <Text style={styles.hintText}>Tap a word on the left, then its match on the right.</Text>
+      <View style={styles.matchingColumns}>
+        <View style={styles.matchingColumn}>
+          {question.pairs.map((pair, leftIndex) => (
+            <OptionButton
+              key={leftIndex}
+              label={answer[leftIndex] !== undefined ? `${pair.left} → ${question.pairs[answer[leftIndex]].right}` : pair.left}
+              selected={selectedLeft === leftIndex}
+              onPress={() => setSelectedLeft(leftIndex)}
+            />
+          ))}
+        </View>
+        <View style={styles.matchingColumn}>
+          {rightOrder.map(rightIndex => (
+            <OptionButton
+              key={rightIndex}
+              label={question.pairs[rightIndex].right}
+              selected={Object.values(answer).includes(rightIndex)}
+              onPress={() => handleRightPress(rightIndex)}
+            />
+          ))}
+        </View>
+      </View>
+    </View>
+  );
+};
+
+const ShortAnswerQuestion = ({ answer = '', onAnswer }) => (
+  <TextInput
+    style={styles.textInput}
+    value={answer}
+    onChangeText={onAnswer}
+    placeholder="Type your answer"
+    autoCapitalize="none"
+    autoCorrect={false}
+    returnKeyType="done"
+  />
+);
+
+// SOLID - Open/Closed Principle: a new question type only adds a renderer here
+const questionRenderers = {
+  [QUESTION_TYPES.SINGLE_CHOICE]: SingleChoiceQuestion,
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: MultipleChoiceQuestion,
+  [QUESTION_TYPES.TRUE_FALSE]: TrueFalseQuestion,
+  [QUESTION_TYPES.ORDERING]: OrderingQuestion,
+  [QUESTION_TYPES.MATCHING]: MatchingQuestion,
+  [QUESTION_TYPES.SHORT_ANSWER]: ShortAnswerQuestion
+};
+
+const QuizQuestion = ({ question, answer, onAnswer }) => {
+  const Renderer = questionRenderers[getQuestionType(question)];
+
+  return (
+    <View style={styles.questionCard}>
+      <Text style={styles.questionText}>{question.question}</Text>
+      {Renderer ? (
+        <Renderer question={question} answer={answer} onAnswer={onAnswer} />
+      ) : (
+        <Text style={styles.hintText}>This question type is not supported yet.</Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  questionCard: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 5,
+  },
+  questionText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 20,
+    lineHeight: 28,
+  },
+  hintText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 12,
+    fontStyle: 'italic',
+  },
+  optionButton: {
+    backgroundColor: '#f8f9fa',
+    borderWidth: 2,
+    borderColor: '#e9ecef',
+    borderRadius: 12,
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    marginBottom: 10,
+  },
+  selectedOption: {
+    borderColor: '#4CAF50',
+    backgroundColor: '#e8f5e9',
+  },
+  optionText: {
+    fontSize: 16,
+    color: '#2c3e50',
+  },
+  selectedOptionText: {
+    fontWeight: '600',
+    color: '#2e7d32',
+  },
+  trueFalseRow: {
+    flexDirection: 'row',
+  },
+  trueFalseOption: {
+    flex: 1,
+    marginHorizontal: 5,
+  },
+  orderingItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f8f9fa',
+    borderWidth: 2,
+    borderColor: '#e9ecef',
+    borderRadius: 12,
+    padding: 10,
+    marginBottom: 10,
+  },
+  orderingNumber: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#4CAF50',
+    width: 24,
+  },
+  orderingText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#2c3e50',
+  },
+  moveButton: {
+    backgroundColor: '#4CAF50',
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 6,
+  },
+  disabledMoveButton: {
+    backgroundColor: '#ddd',
+  },
+  moveButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  matchingColumns: {
+    flexDirection: 'row',
+  },
+  matchingColumn: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+  textInput: {
+    borderWidth: 2,
+    borderColor: '#e9ecef',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    fontSize: 16,
+    color: '#2c3e50',
+    backgroundColor: '#f8f9fa',
+  },
+});
+
+export default QuizQuestion;
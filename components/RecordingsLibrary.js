@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Pressable, Alert } from 'react-native';
+import { useRecordingPlayback } from '../hooks/useRecordingPlayback';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component lists read-aloud recordings by book and page with playback controls
+
+export const formatDuration = (millis) => {
+  const totalSeconds = Math.round((millis || 0) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// Tapping the bar seeks to that point of the recording
+const SeekBar = ({ positionMillis, durationMillis, onSeek }) => {
+  const [width, setWidth] = useState(0);
+  const fraction = durationMillis > 0 ? positionMillis / durationMillis : 0;
+
+  return (
+    <Pressable
+      style={styles.seekBarTouchArea}
+      onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+      onPress={(event) => width > 0 && onSeek(event.nativeEvent.locationX / width)}
+      accessibilityRole="adjustable"
+      accessibilityLabel="Seek recording"
+    >
+      <View style={styles.seekBarBackground}>
+        <View style={[styles.seekBarFill, { width: `${Math.round(fraction * 100)}%` }]} />
+      </View>
+    </Pressable>
+  );
+};
+
+const RecordingsLibrary = ({ groups, onDelete }) => {
+  const player = useRecordingPlayback();
+
+  const handleToggle = async (recording) => {
+    try {
+      await player.toggle(recording);
+    } catch (error) {
+      console.error('Error playing recording:', error);
+      Alert.alert('Error', 'This recording could not be played.');
+    }
+  };
+
+  const handleSeek = async (fraction) => {
+    try {
+      await player.seek(fraction);
+    } catch (error) {
+      console.error('Error seeking recording:', error);
+      Alert.alert('Error', 'This recording could not be played from there.');
+    }
+  };
+
+  const handleDelete = (bookId, recording) => {
+    Alert.alert(
+      'Delete Recording',
+      'Are you sure you want to delete this recording? This action cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            if (player.activeId === recording.id) {
+              await player.stop();
+            }
+            onDelete(bookId, recording);
+          }
+        }
+      ]
+    );
+  };
+
+  const RecordingItem = ({ bookId, recording }) => {
+    const isActive = player.activeId === recording.id;
+    const isPlaying = isActive && player.playback.isPlaying;
+    const durationMillis = isActive && player.playback.durationMillis
+      ? player.playback.durationMillis
+      : recording.durationMillis;
+
+    return (
+      <View style={styles.recordingItem}>
+        <View style={styles.recordingRow}>
+          {/* Imported from a backup made on another device, which kept the audio */}
+          {recording.fileMissing ? (
+            <View style={[styles.playButton, styles.missingButton]}>
+              <Text style={styles.playButtonText}>–</Text>
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.playButton} onPress={() => handleToggle(recording)}>
+              <Text style={styles.playButtonText}>{isPlaying ? '⏸' : '▶'}</Text>
+            </TouchableOpacity>
+          )}
+
+          <View style={styles.recordingInfo}>
+            <Text style={styles.recordingDate}>
+              {new Date(recording.recordedAt).toLocaleDateString()} • {new Date(recording.recordedAt).toLocaleTimeString()}
+            </Text>
+            <Text style={styles.recordingDuration}>
+              {isActive ? `${formatDuration(player.playback.positionMillis)} / ` : ''}
+              {formatDuration(durationMillis)}
+            </Text>
+            {recording.fileMissing && (
+              <Text style={styles.missingText}>Recorded on another device</Text>
+            )}
+          </View>
+
+          <TouchableOpacity onPress={() => handleDelete(bookId, recording)}>
+            <Text style={styles.deleteText}>Delete</Text>
+          </TouchableOpacity>
+        </View>
+
+        {isActive && (
+          <SeekBar
+            positionMillis={player.playback.positionMillis}
+            durationMillis={player.playback.durationMillis}
+            onSeek={handleSeek}
+          />
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View>
+      {groups.map(group => (
+        <View key={group.bookId} style={styles.bookGroup}>
+          <Text style={styles.bookTitle} numberOfLines={1}>{group.title}</Text>
+          <Text style={styles.bookMeta}>
+            {group.recordingCount} recording{group.recordingCount === 1 ? '' : 's'} • {formatDuration(group.totalMillis)} total
+          </Text>
+
+          {group.pages.map(pageGroup => (
+            <View key={pageGroup.page} style={styles.pageGroup}>
+              <Text style={styles.pageTitle}>Page {pageGroup.page}</Text>
+              {pageGroup.recordings.map(recording => (
+                <RecordingItem key={recording.id} bookId={group.bookId} recording={recording} />
+              ))}
+            </View>
+          ))}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  bookGroup: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 1,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  bookTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginBottom: 3,
+  },
+  bookMeta: {
+    fontSize: 13,
+    color: '#999',
+    marginBottom: 10,
+  },
+  pageGroup: {
+    marginTop: 8,
+  },
+  pageTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#9C27B0',
+    marginBottom: 6,
+  },
+  recordingItem: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 6,
+  },
+  recordingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  playButton: {
+    backgroundColor: '#9C27B0',
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  missingButton: {
+    backgroundColor: '#ccc',
+  },
+  playButtonText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  recordingInfo: {
+    flex: 1,
+  },
+  recordingDate: {
+    fontSize: 13,
+    color: '#666',
+  },
+  recordingDuration: {
+    fontSize: 13,
+    color: '#2c3e50',
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  missingText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  deleteText: {
+    fontSize: 13,
+    color: '#f44336',
+    fontWeight: '600',
+  },
+  seekBarTouchArea: {
+    paddingVertical: 8,
+    marginTop: 4,
+  },
+  seekBarBackground: {
+    height: 6,
+    backgroundColor: '#e9ecef',
+    borderRadius: 3,
+  },
+  seekBarFill: {
+    height: '100%',
+    backgroundColor: '#9C27B0',
+    borderRadius: 3,
+  },
+});
+
+export default RecordingsLibrary;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Image } from 'react-native';
+import { getSeriesProgress } from '../data/series';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component shows a series as an expandable group with its overall progress
+
+const SeriesGroup = ({ series, books, progress, renderBook }) => {
+  const seriesProgress = getSeriesProgress(series, progress);
+  // A series the student has started but not finished opens expanded
+  const [isExpanded, setIsExpanded] = useState(
+    seriesProgress.isStarted && seriesProgress.completed < seriesProgress.total
+  );
+
+  return (
+    <View style={styles.group}>
+      <TouchableOpacity style={styles.header} onPress={() => setIsExpanded(!isExpanded)}>
+        {series.coverUrl ? (
+          <Image source={{ uri: series.coverUrl }} style={styles.cover} resizeMode="cover" />
+        ) : (
+          <View style={[styles.cover, styles.coverPlaceholder]}>
+            <Text style={styles.coverIcon}>📚</Text>
+          </View>
+        )}
+
+        <View style={styles.info}>
+          <Text style={styles.title} numberOfLines={2}>{series.title}</Text>
+          {series.description ? (
+            <Text style={styles.description} numberOfLines={2}>{series.description}</Text>
+          ) : null}
+          <Text style={styles.summary}>
+            {series.ordered === false ? 'Collection' : 'Series'} • {seriesProgress.completed} of {seriesProgress.total} books read
+          </Text>
+          <View style={styles.progressBarBackground}>
+            <View style={[styles.progressBarFill, { width: `${seriesProgress.percent}%` }]} />
+          </View>
+        </View>
+
+        <Text style={styles.chevron}>{isExpanded ? '▾' : '▸'}</Text>
+      </TouchableOpacity>
+
+      {isExpanded && (
+        <View style={styles.books}>
+          {books.map(book => (
+            <View key={book.id}>
+              {series.ordered !== false && (
+                <Text style={styles.partLabel}>
+                  Part {series.bookIds.indexOf(book.id) + 1} of {seriesProgress.total}
+                </Text>
+              )}
+              {renderBook(book)}
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  group: {
+    marginBottom: 16,
+  },
+  header: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 15,
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderLeftWidth: 5,
+    borderLeftColor: '#2196F3',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 5,
+  },
+  cover: {
+    width: 56,
+    height: 72,
+    borderRadius: 8,
+    marginRight: 15,
+  },
+  coverPlaceholder: {
+    backgroundColor: '#e3f2fd',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  coverIcon: {
+    fontSize: 28,
+  },
+  info: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 4,
+  },
+  description: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 4,
+  },
+  summary: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#2196F3',
+    marginBottom: 8,
+  },
+  progressBarBackground: {
+    height: 6,
+    backgroundColor: '#e9ecef',
+    borderRadius: 3,
+    overflow: 'hidden',
+  },
+  progressBarFill: {
+    height: '100%',
+    backgroundColor: '#2196F3',
+    borderRadius: 3,
+  },
+  chevron: {
+    fontSize: 22,
+    color: '#2196F3',
+    marginLeft: 10,
+  },
+  books: {
+    marginTop: 12,
+    marginLeft: 12,
+  },
+  partLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 6,
+    marginLeft: 4,
+  },
+});
+
+export default SeriesGroup;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { QUIZ_STICKER_TIERS, getStickerTier } from '../data/stickers';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component shows the quiz sticker earned for each book, with empty slots for the rest
+
+const StickerAlbum = ({ books }) => {
+  const tierSummary = QUIZ_STICKER_TIERS
+    .map(tier => `${tier.emoji} ${books.filter(book => book.sticker?.tier === tier.id).length}`)
+    .join('   ');
+
+  return (
+    <View style={styles.album}>
+      <Text style={styles.summaryText}>{tierSummary}</Text>
+
+      <View style={styles.grid}>
+        {books.map(book => {
+          const tier = book.sticker ? getStickerTier(book.sticker.tier) : null;
+          return (
+            <View key={book.id} style={[styles.slot, tier ? { borderColor: tier.color } : styles.emptySlot]}>
+              <Text style={styles.slotEmoji}>{tier ? tier.emoji : '❔'}</Text>
+              <Text style={styles.slotTitle} numberOfLines={2}>{book.title}</Text>
+              <Text style={styles.slotMeta}>
+                {tier ? `${tier.name} • ${book.sticker.score}%` : 'Take the quiz'}
+              </Text>
+            </View>
+          );
+        })}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  album: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  summaryText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2c3e50',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  slot: {
+    width: '31%',
+    borderWidth: 2,
+    borderRadius: 12,
+    padding: 10,
+    marginBottom: 10,
+    alignItems: 'center',
+    backgroundColor: '#fffdf5',
+  },
+  emptySlot: {
+    borderColor: '#e9ecef',
+    borderStyle: 'dashed',
+    backgroundColor: '#f8f9fa',
+  },
+  slotEmoji: {
+    fontSize: 32,
+    marginBottom: 6,
+  },
+  slotTitle: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#2c3e50',
+    textAlign: 'center',
+    marginBottom: 3,
+  },
+  slotMeta: {
+    fontSize: 11,
+    color: '#999',
+    textAlign: 'center',
+  },
+});
+
+export default StickerAlbum;
@@ -0,0 +1,6 @@
+// pdf.js build used by the in-app PDF viewer
+// Shared by the viewer and the download manager, which caches it for offline reading
+
+export const PDFJS_VERSION = '3.11.174';
+export const PDFJS_URL = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${PDFJS_VERSION}/pdf.min.js`;
+export const PDFJS_WORKER_URL = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${PDFJS_VERSION}/pdf.worker.min.js`;
@@ -0,0 +1,15 @@
+// Requirement types for the catalog's prerequisite rules (see data/unlockRules.js)
+// Kept free of imports so the catalog validator can also run in Node
+
+export const REQUIREMENT_TYPES = {
+  // Every listed book is completed: { type, bookIds }
+  BOOKS_COMPLETED: 'books_completed',
+  // At least count books of a set are completed: { type, bookIds | section, count }
+  COUNT_COMPLETED: 'count_completed',
+  // The book's best quiz score reaches score: { type, bookId, score }
+  MIN_QUIZ_SCORE: 'min_quiz_score',
+  // Unlocks on a calendar date: { type, date: 'YYYY-MM-DD' }
+  AFTER_DATE: 'after_date',
+  // Any one of the nested requirements: { type, requirements }
+  ANY: 'any'
+};
@@ -0,0 +1,100 @@
+// Search, filter and sort for book lists
+// Following KISS principle - pure functions over catalog books and their progress records
+
+export const STATUS_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'not_started', label: 'Not started' },
+  { id: 'in_progress', label: 'In progress' },
+  { id: 'completed', label: 'Completed' }
+];
+
+export const TYPE_FILTERS = [
+  { id: 'all', label: 'All types' },
+  { id: 'intensive', label: 'Intensive' },
+  { id: 'extensive', label: 'Extensive' }
+];
+
+export const LENGTH_FILTERS = [
+  { id: 'all', label: 'Any length' },
+  { id: 'short', label: 'Short (1-10 pages)', maxPages: 10 },
+  { id: 'medium', label: 'Medium (11-20 pages)', minPages: 11, maxPages: 20 },
+  { id: 'long', label: 'Long (21+ pages)', minPages: 21 }
+];
+
+export const SORT_OPTIONS = [
+  { id: 'default', label: 'Default' },
+  { id: 'recent', label: 'Recently read' },
+  { id: 'title', label: 'Title' },
+  { id: 'progress', label: 'Progress' }
+];
+
+export const DEFAULT_BOOK_FILTERS = {
+  query: '',
+  status: 'all',
+  type: 'all',
+  tags: [],
+  length: 'all',
+  sort: 'default'
+};
+
+const normalize = (text) => String(text || '').trim().toLowerCase();
+
+// The reader stores the document's real page count, which wins over the catalog value
+export const getBookPageCount = (book, bookProgress = {}) => bookProgress.totalPages || book.totalPages || 0;
+
+export const getBookStatus = (bookProgress = {}) => {
+  if (bookProgress.completed) return 'completed';
+  return bookProgress.currentPage > 0 ? 'in_progress' : 'not_started';
+};
+
+export const getBookProgressPercent = (book, bookProgress = {}) => {
+  if (bookProgress.completed) return 100;
+  const pageCount = getBookPageCount(book, bookProgress);
+  return pageCount > 0 ? Math.round(((bookProgress.currentPage || 0) / pageCount) * 100) : 0;
+};
+
+// Tags offered as filters, in alphabetical order
+export const getAvailableTags = (books) => {
+  return [...new Set(books.flatMap(book => book.tags || []))].sort((a, b) => a.localeCompare(b));
+};
+
+export const countActiveFilters = (filters) => {
+  return ['status', 'type', 'length'].filter(key => filters[key] !== 'all').length + filters.tags.length;
+};
+
+const matchesQuery = (book, query) => {
+  if (!query) return true;
+  return [book.title, book.author, ...(book.tags || [])].some(text => normalize(text).includes(query));
+};
+
+const matchesLength = (pageCount, lengthId) => {
+  const length = LENGTH_FILTERS.find(option => option.id === lengthId);
+  if (!length || length.id === 'all') return true;
+  return pageCount >= (length.minPages || 0) && pageCount <= (length.maxPages || Infinity);
+};
+
+const sorters = {
+  recent: (a, b) => String(b.progress.lastRead || '').localeCompare(String(a.progress.lastRead || '')),
+  title: (a, b) => a.book.title.localeCompare(b.book.title),
+  progress: (a, b) => b.percent - a.percent
+};
+
+// getProgress(book) returns the book's progress record; the sort is stable so ties keep catalog order
+export const filterAndSortBooks = (books, filters, getProgress) => {
+  const query = normalize(filters.query);
+  const entries = books
+    .map(book => {
+      const progress = getProgress(book) || {};
+      return { book, progress, percent: getBookProgressPercent(book, progress) };
+    })
+    .filter(({ book, progress }) => (
+      matchesQuery(book, query)
+      && (filters.status === 'all' || getBookStatus(progress) === filters.status)
+      && (filters.type === 'all' || book.type === filters.type)
+      && filters.tags.every(tag => (book.tags || []).includes(tag))
+      && matchesLength(getBookPageCount(book, progress), filters.length)
+    ));
+
+  const sorter = sorters[filters.sort];
+  return (sorter ? [...entries].sort(sorter) : entries).map(entry => entry.book);
+};
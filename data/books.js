@@ -1,96 +1,67 @@
-// Sample book data for the Mobile Reading Application
-// Following KISS principle - simple data structure
-
-export const booksData = {
-  // Grade 1 Books
-  1: {
-    intensive: [
-      {
-        id: 'grade1_intensive_1',
-        title: 'The Cat and the Hat',
-        grade: 1,
-        type: 'intensive',
-        pdfUrl: 'https://www.africau.edu/images/default/sample.pdf', // Sample PDF URL
-        totalPages: 10,
-        completed: false
-      },
-      {
-        id: 'grade1_intensive_2',
-        title: 'Simple Stories',
-        grade: 1,
-        type: 'intensive',
-        pdfUrl: 'https://www.africau.edu/images/default/sample.pdf',
-        totalPages: 8,
-        completed: false
-      }
-    ],
-    extensive: [
-      {
-        id: 'grade1_extensive_1',
-        title: 'Fun Reading Adventures',
-        grade: 1,
-        type: 'extensive',
-        pdfUrl: 'https://www.africau.edu/images/default/sample.pdf',
-        totalPages: 15,
-        completed: false,
-        quizQuestions: [
-          {
-            id: 'q1',
-            question: 'What color was the main character?',
-            options: ['Red', 'Blue', 'Green', 'Yellow'],
-            correctAnswer: 0
-          },
-          {
-            id: 'q2',
-            question: 'Where did the story take place?',
-            options: ['School', 'Home', 'Park', 'Store'],
-            correctAnswer: 2
-          }
-        ]
-      }
-    ]
-  },
-  
-  // Grade 2 Books
-  2: {
-    intensive: [
-      {
-        id: 'grade2_intensive_1',
-        title: 'Amazing Animals',
-        grade: 2,
-        type: 'intensive',
-        pdfUrl: 'https://www.africau.edu/images/default/sample.pdf',
-        totalPages: 12,
-        completed: false
-      }
-    ],
-    extensive: [
-      {
-        id: 'grade2_extensive_1',
-        title: 'Nature Wonders',
-        grade: 2,
-        type: 'extensive',
-        pdfUrl: 'https://www.africau.edu/images/default/sample.pdf',
-        totalPages: 18,
-        completed: false,
-        quizQuestions: [
-          {
-            id: 'q1',
-            question: 'How many types of trees were mentioned?',
-            options: ['2', '3', '4', '5'],
-            correctAnswer: 1
-          }
-        ]
-      }
-    ]
+// Book catalog for the Mobile Reading Application
+// Following KISS principle - the books come from a versioned JSON manifest (see catalog.json)
+
+import bundledCatalog from './catalog.json';
+import { validateCatalog, formatValidationReport } from './catalogValidator';
+import { mergeContentPacks } from './contentPacks';
+
+// Extensive books are read in timed mode; a book can override this with pageTimerSeconds
+export const DEFAULT_PAGE_TIMER_SECONDS = 30;
+
+// The catalog manifest format this build understands
+export const CATALOG_SCHEMA_VERSION = 1;
+
+// Entries that fail validation are quarantined so screens never see them
+const applyManifest = (manifest) => {
+  const result = validateCatalog(manifest);
+  if (result.issues.length > 0 && typeof __DEV__ !== 'undefined' && __DEV__) {
+    console.warn(formatValidationReport(result));
   }
-  
-  // Additional grades can be added following the same pattern
+  return result.catalog;
+};
+
+// The bundled manifest is used until a cached or remote copy is loaded
+// Installed content packs and books imported from OPDS feeds are merged into whichever manifest is in use
+let baseManifest = bundledCatalog;
+let catalogExtensions = {};
+let catalog = applyManifest(bundledCatalog);
+
+const rebuildCatalog = () => {
+  catalog = applyManifest(mergeContentPacks(baseManifest, Object.values(catalogExtensions).flat()));
+};
+
+// A manifest is usable when it has our schema, a numeric version and a grades object
+export const isSupportedManifest = (manifest) => {
+  return Boolean(manifest)
+    && manifest.schemaVersion === CATALOG_SCHEMA_VERSION
+    && Number.isFinite(manifest.version)
+    && typeof manifest.grades === 'object'
+    && manifest.grades !== null;
+};
+
+export const getBundledCatalog = () => bundledCatalog;
+
+export const getCatalog = () => catalog;
+
+export const setCatalog = (manifest) => {
+  baseManifest = manifest;
+  rebuildCatalog();
+};
+
+// Each source (content packs, OPDS imports) replaces its own list of { grades } fragments
+export const setCatalogExtensions = (source, extensions) => {
+  catalogExtensions = { ...catalogExtensions, [source]: extensions };
+  rebuildCatalog();
 };
 
 // Helper functions following DRY principle
 export const getBooksByGrade = (grade) => {
-  return booksData[grade] || { intensive: [], extensive: [] };
+  return catalog.grades[grade] || { intensive: [], extensive: [] };
+};
+
+// Section requirements set for the grade in the manifest, if any (see unlockRules.js)
+export const getGradeRequirements = (grade) => {
+  return getBooksByGrade(grade).requirements || null;
 };
 
 export const getIntensiveBooks = (grade) => {
@@ -103,9 +74,33 @@ export const getExtensiveBooks = (grade) => {
   return books.extensive || [];
 };
 
+// Grades that have books in the loaded catalog, in order
+export const getCatalogGrades = () => {
+  return Object.keys(catalog.grades).map(Number).sort((a, b) => a - b);
+};
+
+export const hasGradeBooks = (grade) => {
+  return getIntensiveBooks(grade).length + getExtensiveBooks(grade).length > 0;
+};
+
+// The grade whose books a learner reads: their own, or while it has none the nearest grade
+// that does, the lower one on a tie. Null when the catalog has no books at all.
+export const getReadingGrade = (grade) => {
+  if (hasGradeBooks(grade)) return grade;
+  const gradesWithBooks = getCatalogGrades()
+    .filter(hasGradeBooks)
+    .sort((a, b) => Math.abs(a - grade) - Math.abs(b - grade) || a - b);
+  return gradesWithBooks[0] ?? null;
+};
+
+// Every book in the catalog, grade by grade, intensive books first
+export const getAllBooks = () => {
+  return getCatalogGrades().flatMap(grade => [...getIntensiveBooks(grade), ...getExtensiveBooks(grade)]);
+};
+
 export const getBookById = (bookId) => {
-  for (const grade in booksData) {
-    const gradeBooks = booksData[grade];
+  for (const grade in catalog.grades) {
+    const gradeBooks = catalog.grades[grade];
     const intensiveBook = gradeBooks.intensive?.find(book => book.id === bookId);
     if (intensiveBook) return intensiveBook;
     
@@ -115,12 +110,25 @@ export const getBookById = (bookId) => {
   return null;
 };
 
-export const checkAllIntensiveBooksCompleted = (grade, progressData = {}) => {
-  const intensiveBooks = getIntensiveBooks(grade);
-  if (intensiveBooks.length === 0) return false;
-  
-  return intensiveBooks.every(book => {
-    const bookProgress = progressData[book.id];
-    return bookProgress && bookProgress.completed;
-  });
-}; 
\ No newline at end of file
+// Series set for the grade in the manifest, each listing its books in reading order
+export const getSeries = (grade) => {
+  return getBooksByGrade(grade).series || [];
+};
+
+// The series a book belongs to, with its place and neighbours in reading order
+export const getBookSeries = (book) => {
+  const series = getSeries(book.grade).find(entry => entry.bookIds.includes(book.id));
+  if (!series) return null;
+
+  const position = series.bookIds.indexOf(book.id);
+  return {
+    series,
+    position,
+    previousBook: position > 0 ? getBookById(series.bookIds[position - 1]) : null,
+    nextBook: position < series.bookIds.length - 1 ? getBookById(series.bookIds[position + 1]) : null
+  };
+};
+
+export const getPageTimerSeconds = (book) => {
+  return book.pageTimerSeconds > 0 ? book.pageTimerSeconds : DEFAULT_PAGE_TIMER_SECONDS;
+};
@@ -0,0 +1,408 @@
+// Schema checks for the book catalog manifest
+// Following KISS principle - plain functions that collect issues instead of throwing
+// Only imports modules without dependencies, so the authoring scripts can run this file in Node
+
+import { QUESTION_TYPES } from './quiz.js';
+import { REQUIREMENT_TYPES } from '../constants/Requirements.js';
+
+export const BOOK_TYPES = ['intensive', 'extensive'];
+
+// Errors quarantine the book; warnings are reported but the book stays in the catalog
+export const ISSUE_LEVELS = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+const URL_PATTERN = /^https?:\/\/[^\s/$.?#][^\s]*$/i;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const isIndexIn = (value, list) => Number.isInteger(value) && value >= 0 && value < list.length;
+
+export const isValidUrl = (value) => isNonEmptyString(value) && URL_PATTERN.test(value);
+
+const LOCAL_FILE_PATTERN = /^file:\/\/.+$/i;
+
+// Books and series installed from a content pack use files on the device
+const isValidFileUrl = (entry, value) => isValidUrl(value) || (Boolean(entry.pack) && isNonEmptyString(value) && LOCAL_FILE_PATTERN.test(value));
+
+// SOLID - Open/Closed Principle: a new question type only adds its checks here
+const questionCheckers = {
+  [QUESTION_TYPES.SINGLE_CHOICE]: (question, addError) => {
+    if (!Array.isArray(question.options) || question.options.length < 2) {
+      addError('options', 'needs at least 2 options');
+      return;
+    }
+    if (!isIndexIn(question.correctAnswer, question.options)) {
+      addError('correctAnswer', `must be an option index from 0 to ${question.options.length - 1}`);
+    }
+  },
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: (question, addError) => {
+    if (!Array.isArray(question.options) || question.options.length < 2) {
+      addError('options', 'needs at least 2 options');
+      return;
+    }
+    if (!Array.isArray(question.correctAnswers) || question.correctAnswers.length === 0) {
+      addError('correctAnswers', 'needs at least one option index');
+      return;
+    }
+    if (!question.correctAnswers.every(index => isIndexIn(index, question.options))) {
+      addError('correctAnswers', `must only hold option indexes from 0 to ${question.options.length - 1}`);
+    }
+  },
+  [QUESTION_TYPES.TRUE_FALSE]: (question, addError) => {
+    if (typeof question.correctAnswer !== 'boolean') {
+      addError('correctAnswer', 'must be true or false');
+    }
+  },
+  [QUESTION_TYPES.ORDERING]: (question, addError) => {
+    if (!Array.isArray(question.items) || question.items.length < 2 || !question.items.every(isNonEmptyString)) {
+      addError('items', 'needs at least 2 non-empty items in the correct order');
+    }
+  },
+  [QUESTION_TYPES.MATCHING]: (question, addError) => {
+    const pairs = question.pairs;
+    if (!Array.isArray(pairs) || pairs.length < 2 || !pairs.every(pair => isNonEmptyString(pair?.left) && isNonEmptyString(pair?.right))) {
+      addError('pairs', 'needs at least 2 pairs, each with a left and a right');
+    }
+  },
+  [QUESTION_TYPES.SHORT_ANSWER]: (question, addError) => {
+    if (!Array.isArray(question.acceptedAnswers) || question.acceptedAnswers.length === 0 || !question.acceptedAnswers.every(isNonEmptyString)) {
+      addError('acceptedAnswers', 'needs at least one non-empty answer');
+    }
+  }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isIdList = (value) => Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString);
+
+// Returns a problem description for a prerequisite rule, or null when it is well formed
+const describeRequirementProblem = (requirement) => {
+  if (!requirement || typeof requirement !== 'object') return 'must be an object';
+
+  switch (requirement.type) {
+    case REQUIREMENT_TYPES.BOOKS_COMPLETED:
+      return isIdList(requirement.bookIds) ? null : 'needs a list of bookIds';
+    case REQUIREMENT_TYPES.COUNT_COMPLETED:
+      if (!isIdList(requirement.bookIds) && !BOOK_TYPES.includes(requirement.section)) {
+        return `needs bookIds or a section (${BOOK_TYPES.join(', ')})`;
+      }
+      return requirement.count === undefined || isPositiveInteger(requirement.count)
+        ? null
+        : 'count must be a whole number above 0';
+    case REQUIREMENT_TYPES.MIN_QUIZ_SCORE:
+      if (!isNonEmptyString(requirement.bookId)) return 'needs a bookId';
+      return Number.isFinite(requirement.score) && requirement.score >= 0 && requirement.score <= 100
+        ? null
+        : 'score must be a percentage from 0 to 100';
+    case REQUIREMENT_TYPES.AFTER_DATE:
+      return DATE_PATTERN.test(requirement.date || '') && !Number.isNaN(Date.parse(requirement.date))
+        ? null
+        : 'date must look like YYYY-MM-DD';
+    case REQUIREMENT_TYPES.ANY: {
+      if (!Array.isArray(requirement.requirements) || requirement.requirements.length === 0) {
+        return 'needs a list of requirements';
+      }
+      const nestedProblem = requirement.requirements.map(describeRequirementProblem).find(Boolean);
+      return nestedProblem ? `has a requirement that ${nestedProblem}` : null;
+    }
+    default:
+      return `type ${JSON.stringify(requirement.type)} is not one of ${Object.values(REQUIREMENT_TYPES).join(', ')}`;
+  }
+};
+
+const validateRequirements = (requirements, field, addIssue, level) => {
+  if (!Array.isArray(requirements)) {
+    addIssue(level, field, 'must be a list of requirements');
+    return false;
+  }
+  let isValid = true;
+  requirements.forEach((requirement, index) => {
+    const problem = describeRequirementProblem(requirement);
+    if (problem) {
+      addIssue(level, `${field}[${index}]`, problem);
+      isValid = false;
+    }
+  });
+  return isValid;
+};
+
+const validateQuizQuestions = (book, addIssue) => {
+  if (book.quizQuestions === undefined) {
+    if (book.type === 'extensive') {
+      addIssue(ISSUE_LEVELS.WARNING, 'quizQuestions', 'extensive book has no quiz');
+    }
+    return;
+  }
+  if (!Array.isArray(book.quizQuestions)) {
+    addIssue(ISSUE_LEVELS.ERROR, 'quizQuestions', 'must be a list of questions');
+    return;
+  }
+
+  const questionIds = new Set();
+  book.quizQuestions.forEach((question, index) => {
+    const label = `quizQuestions[${index}]`;
+    const addError = (field, message) => addIssue(ISSUE_LEVELS.ERROR, `${label}.${field}`, message);
+
+    if (!question || typeof question !== 'object') {
+      addIssue(ISSUE_LEVELS.ERROR, label, 'must be an object');
+      return;
+    }
+    if (!isNonEmptyString(question.id)) {
+      addError('id', 'is required');
+    } else if (questionIds.has(question.id)) {
+      addError('id', `"${question.id}" is used by another question in this book`);
+    } else {
+      questionIds.add(question.id);
+    }
+    if (!isNonEmptyString(question.question)) {
+      addError('question', 'is required');
+    }
+
+    // Entries without a type are single-choice questions
+    const type = question.type || QUESTION_TYPES.SINGLE_CHOICE;
+    const checkQuestion = questionCheckers[type];
+    if (!checkQuestion) {
+      addError('type', `"${question.type}" is not one of ${Object.values(QUESTION_TYPES).join(', ')}`);
+      return;
+    }
+    checkQuestion(question, addError);
+  });
+};
+
+const validateBook = (book, { grade, bucket }, addIssue) => {
+  if (!book || typeof book !== 'object') {
+    addIssue(ISSUE_LEVELS.ERROR, 'book', 'must be an object');
+    return;
+  }
+
+  if (!isNonEmptyString(book.id)) {
+    addIssue(ISSUE_LEVELS.ERROR, 'id', 'is required');
+  }
+  if (!isNonEmptyString(book.title)) {
+    addIssue(ISSUE_LEVELS.ERROR, 'title', 'is required');
+  }
+  if (book.grade !== grade) {
+    addIssue(ISSUE_LEVELS.ERROR, 'grade', `is ${JSON.stringify(book.grade)} but the book is listed under grade ${grade}`);
+  }
+  if (!BOOK_TYPES.includes(book.type)) {
+    addIssue(ISSUE_LEVELS.ERROR, 'type', `${JSON.stringify(book.type)} is not one of ${BOOK_TYPES.join(', ')}`);
+  } else if (book.type !== bucket) {
+    addIssue(ISSUE_LEVELS.ERROR, 'type', `is "${book.type}" but the book is listed under ${bucket}`);
+  }
+  if (!isPositiveInteger(book.totalPages)) {
+    addIssue(ISSUE_LEVELS.ERROR, 'totalPages', `must be a whole number above 0, got ${JSON.stringify(book.totalPages)}`);
+  }
+  if (!isValidFileUrl(book, book.pdfUrl)) {
+    addIssue(ISSUE_LEVELS.ERROR, 'pdfUrl', `${JSON.stringify(book.pdfUrl)} is not an http(s) URL`);
+  }
+  if (book.author !== undefined && !isNonEmptyString(book.author)) {
+    addIssue(ISSUE_LEVELS.WARNING, 'author', 'should be a name');
+  }
+  if (book.tags !== undefined && (!Array.isArray(book.tags) || !book.tags.every(isNonEmptyString))) {
+    addIssue(ISSUE_LEVELS.WARNING, 'tags', 'should be a list of topic names');
+  }
+  if (book.audioUrl !== undefined && !isValidFileUrl(book, book.audioUrl)) {
+    addIssue(ISSUE_LEVELS.WARNING, 'audioUrl', `${JSON.stringify(book.audioUrl)} is not an http(s) URL, the audio is not offered`);
+  }
+  if (book.level !== undefined && !(typeof book.level === 'string' && /^[A-Z]$/.test(book.level))) {
+    addIssue(ISSUE_LEVELS.WARNING, 'level', 'should be a guided-reading level from A to Z, it is not used for recommendations');
+  }
+  if (book.wordCount !== undefined && !isPositiveInteger(book.wordCount)) {
+    addIssue(ISSUE_LEVELS.WARNING, 'wordCount', 'is not a whole number above 0, reading speed is not measured with this book');
+  }
+  if (book.pageTimerSeconds !== undefined && !isPositiveInteger(book.pageTimerSeconds)) {
+    addIssue(ISSUE_LEVELS.WARNING, 'pageTimerSeconds', 'is not a whole number above 0, the default timer is used');
+  }
+
+  if (book.requires !== undefined) {
+    validateRequirements(book.requires, 'requires', addIssue, ISSUE_LEVELS.ERROR);
+  }
+
+  validateQuizQuestions(book, addIssue);
+};
+
+// A series groups books of one grade and type; bad series are dropped and their books listed on their own
+const validateSeries = (series, { location, gradeBooks, seenSeriesIds, seriesBookIds }, addIssue) => {
+  if (!series || typeof series !== 'object') {
+    addIssue('series', 'must be an object');
+    return false;
+  }
+
+  let isValid = true;
+  const addSeriesIssue = (field, message) => {
+    addIssue(field, message);
+    isValid = false;
+  };
+
+  if (!isNonEmptyString(series.id)) {
+    addSeriesIssue('id', 'is required');
+  } else if (seenSeriesIds.has(series.id)) {
+    addSeriesIssue('id', `"${series.id}" is already used at ${seenSeriesIds.get(series.id)}`);
+  }
+  if (!isNonEmptyString(series.title)) {
+    addSeriesIssue('title', 'is required');
+  }
+  if (series.coverUrl !== undefined && !isValidFileUrl(series, series.coverUrl)) {
+    addSeriesIssue('coverUrl', `${JSON.stringify(series.coverUrl)} is not an http(s) URL`);
+  }
+  if (series.ordered !== undefined && typeof series.ordered !== 'boolean') {
+    addSeriesIssue('ordered', 'must be true or false');
+  }
+
+  if (!Array.isArray(series.bookIds) || series.bookIds.length === 0) {
+    addSeriesIssue('bookIds', 'must list the books in reading order');
+  } else {
+    const books = series.bookIds.map(bookId => gradeBooks.find(book => book.id === bookId));
+    series.bookIds.forEach((bookId, index) => {
+      if (!books[index]) {
+        addSeriesIssue('bookIds', `"${bookId}" is not a book of this grade (or was quarantined)`);
+      } else if (series.bookIds.indexOf(bookId) !== index) {
+        addSeriesIssue('bookIds', `"${bookId}" is listed more than once`);
+      } else if (seriesBookIds.has(bookId)) {
+        addSeriesIssue('bookIds', `"${bookId}" is already in series "${seriesBookIds.get(bookId)}"`);
+      }
+    });
+    if (new Set(books.filter(Boolean).map(book => book.type)).size > 1) {
+      addSeriesIssue('bookIds', 'mixes intensive and extensive books');
+    }
+  }
+
+  if (!isValid) return false;
+
+  seenSeriesIds.set(series.id, location);
+  series.bookIds.forEach(bookId => seriesBookIds.set(bookId, series.id));
+  return true;
+};
+
+// Returns the catalog without its bad entries, every issue found, and the quarantined books
+export const validateCatalog = (manifest) => {
+  const issues = [];
+  const quarantined = [];
+  const grades = {};
+  const seenIds = new Map();
+  const seenSeriesIds = new Map();
+
+  if (!manifest || typeof manifest.grades !== 'object' || manifest.grades === null) {
+    issues.push({ level: ISSUE_LEVELS.ERROR, location: 'manifest', field: 'grades', message: 'is missing' });
+    return { catalog: { ...manifest, grades }, issues, quarantined, isValid: false };
+  }
+
+  Object.keys(manifest.grades).forEach(gradeKey => {
+    const grade = Number(gradeKey);
+    const gradeBooks = manifest.grades[gradeKey] || {};
+    grades[gradeKey] = { intensive: [], extensive: [] };
+
+    if (!Number.isInteger(grade) || grade < 1) {
+      issues.push({ level: ISSUE_LEVELS.ERROR, location: `grades.${gradeKey}`, field: 'grade', message: 'is not a grade number' });
+    }
+
+    // Broken section requirements are dropped, so the app's defaults apply
+    if (gradeBooks.requirements !== undefined) {
+      const requirements = gradeBooks.requirements;
+      const location = `grades.${gradeKey}.requirements`;
+      const addIssue = (level, field, message) => issues.push({ level, location, field, message });
+      const validSections = Object.keys(requirements || {}).filter(section => {
+        if (!BOOK_TYPES.includes(section)) {
+          addIssue(ISSUE_LEVELS.WARNING, section, 'is not a section and was ignored');
+          return false;
+        }
+        return validateRequirements(requirements[section], section, addIssue, ISSUE_LEVELS.WARNING);
+      });
+      if (validSections.length > 0) {
+        grades[gradeKey].requirements = Object.fromEntries(validSections.map(section => [section, requirements[section]]));
+      }
+    }
+
+    Object.keys(gradeBooks).forEach(bucket => {
+      if (!BOOK_TYPES.includes(bucket) && !['requirements', 'series'].includes(bucket)) {
+        issues.push({ level: ISSUE_LEVELS.WARNING, location: `grades.${gradeKey}.${bucket}`, field: bucket, message: 'is not a known list and was ignored' });
+      }
+    });
+
+    BOOK_TYPES.forEach(bucket => {
+      const books = gradeBooks[bucket] || [];
+      if (!Array.isArray(books)) {
+        issues.push({ level: ISSUE_LEVELS.ERROR, location: `grades.${gradeKey}.${bucket}`, field: bucket, message: 'must be a list of books' });
+        return;
+      }
+
+      books.forEach((book, index) => {
+        const location = `grades.${gradeKey}.${bucket}[${index}]`;
+        const bookIssues = [];
+        const addIssue = (level, field, message) => {
+          bookIssues.push({ level, location, bookId: book?.id, field, message });
+        };
+
+        validateBook(book, { grade, bucket }, addIssue);
+
+        // The first entry with an id keeps it; later duplicates are quarantined
+        if (isNonEmptyString(book?.id)) {
+          if (seenIds.has(book.id)) {
+            addIssue(ISSUE_LEVELS.ERROR, 'id', `"${book.id}" is already used at ${seenIds.get(book.id)}`);
+          } else {
+            seenIds.set(book.id, location);
+          }
+        }
+
+        issues.push(...bookIssues);
+        if (bookIssues.some(issue => issue.level === ISSUE_LEVELS.ERROR)) {
+          quarantined.push({ location, bookId: book?.id, title: book?.title, issues: bookIssues });
+        } else {
+          grades[gradeKey][bucket].push(book);
+        }
+      });
+    });
+
+    // Series are checked against the books that were kept
+    if (gradeBooks.series !== undefined) {
+      if (!Array.isArray(gradeBooks.series)) {
+        issues.push({ level: ISSUE_LEVELS.WARNING, location: `grades.${gradeKey}.series`, field: 'series', message: 'must be a list and was ignored' });
+      } else {
+        const keptBooks = [...grades[gradeKey].intensive, ...grades[gradeKey].extensive];
+        const seriesBookIds = new Map();
+        grades[gradeKey].series = gradeBooks.series.filter((series, index) => {
+          const location = `grades.${gradeKey}.series[${index}]`;
+          const addIssue = (field, message) => {
+            issues.push({ level: ISSUE_LEVELS.WARNING, location, field, message: `${message}, the series was ignored` });
+          };
+          return validateSeries(series, { location, gradeBooks: keptBooks, seenSeriesIds, seriesBookIds }, addIssue);
+        });
+      }
+    }
+  });
+
+  return {
+    catalog: { ...manifest, grades },
+    issues,
+    quarantined,
+    isValid: !issues.some(issue => issue.level === ISSUE_LEVELS.ERROR)
+  };
+};
+
+// A plain-text report for content authors
+export const formatValidationReport = (result) => {
+  const errors = result.issues.filter(issue => issue.level === ISSUE_LEVELS.ERROR);
+  const warnings = result.issues.filter(issue => issue.level === ISSUE_LEVELS.WARNING);
+  const lines = [
+    `Catalog check: ${errors.length} error${errors.length === 1 ? '' : 's'}, ` +
+      `${warnings.length} warning${warnings.length === 1 ? '' : 's'}, ` +
+      `${result.quarantined.length} book${result.quarantined.length === 1 ? '' : 's'} quarantined`
+  ];
+
+  result.issues.forEach(issue => {
+    const book = issue.bookId ? ` (${issue.bookId})` : '';
+    lines.push(`  ${issue.level === ISSUE_LEVELS.ERROR ? 'ERROR  ' : 'WARNING'} ${issue.location}${book}: ${issue.field} ${issue.message}`);
+  });
+
+  if (result.quarantined.length > 0) {
+    lines.push('Quarantined books:');
+    result.quarantined.forEach(entry => {
+      lines.push(`  - ${entry.title || entry.bookId || entry.location} at ${entry.location}`);
+    });
+  }
+  return lines.join('\n');
+};
@@ -0,0 +1,187 @@
+// Content packs: school materials installed from a zip file
+// Following KISS principle - a pack is a small catalog manifest whose books point at files inside the zip
+// Only imports modules without dependencies, so the authoring scripts can run this file in Node
+
+import { validateCatalog, BOOK_TYPES, ISSUE_LEVELS } from './catalogValidator.js';
+import { REQUIREMENT_TYPES } from '../constants/Requirements.js';
+
+// The pack.json format this build understands
+export const PACK_FORMAT_VERSION = 1;
+export const PACK_MANIFEST_FILE = 'pack.json';
+
+const PACK_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Pack ids keep their books apart from the catalog and from other packs
+// Missing ids are left alone so validation still reports them
+export const getNamespacedId = (packId, id) => {
+  return typeof id === 'string' && id.trim() !== '' ? `${packId}:${id}` : id;
+};
+
+export const isPackBook = (book) => Boolean(book?.pack);
+
+// Book references inside a pack point at the pack's own books
+const namespaceRequirement = (requirement, packId) => {
+  if (!requirement || typeof requirement !== 'object') return requirement;
+  const namespaced = { ...requirement };
+  if (Array.isArray(requirement.bookIds)) {
+    namespaced.bookIds = requirement.bookIds.map(bookId => getNamespacedId(packId, bookId));
+  }
+  if (requirement.type === REQUIREMENT_TYPES.MIN_QUIZ_SCORE && requirement.bookId) {
+    namespaced.bookId = getNamespacedId(packId, requirement.bookId);
+  }
+  if (Array.isArray(requirement.requirements)) {
+    namespaced.requirements = requirement.requirements.map(nested => namespaceRequirement(nested, packId));
+  }
+  return namespaced;
+};
+
+// Zip paths are relative to pack.json and use forward slashes
+export const normalizePackPath = (filePath) => {
+  return String(filePath || '').replace(/\\/g, '/').replace(/^\.?\//, '');
+};
+
+const isSafePackPath = (filePath) => {
+  return filePath.length > 0 && !filePath.startsWith('/') && !filePath.split('/').includes('..');
+};
+
+// Checks pack.json against the files in the zip and builds the pack's catalog entries.
+// resolveFile(path) returns the device URI a pack file is installed at.
+export const validatePack = (packManifest, { fileNames, resolveFile }) => {
+  const issues = [];
+  const files = new Set();
+  const addIssue = (level, location, field, message, bookId) => {
+    issues.push({ level, location, bookId, field, message });
+  };
+
+  if (!packManifest || typeof packManifest !== 'object') {
+    addIssue(ISSUE_LEVELS.ERROR, PACK_MANIFEST_FILE, 'pack', 'is not a JSON object');
+    return { pack: null, files: [], issues, quarantined: [], isValid: false };
+  }
+  if (packManifest.packFormat !== PACK_FORMAT_VERSION) {
+    addIssue(ISSUE_LEVELS.ERROR, PACK_MANIFEST_FILE, 'packFormat', `must be ${PACK_FORMAT_VERSION}`);
+  }
+  if (typeof packManifest.id !== 'string' || !PACK_ID_PATTERN.test(packManifest.id)) {
+    addIssue(ISSUE_LEVELS.ERROR, PACK_MANIFEST_FILE, 'id', 'must use lowercase letters, digits, - and _');
+  }
+  if (typeof packManifest.name !== 'string' || packManifest.name.trim() === '') {
+    addIssue(ISSUE_LEVELS.ERROR, PACK_MANIFEST_FILE, 'name', 'is required');
+  }
+  if (!Number.isInteger(packManifest.version) || packManifest.version < 1) {
+    addIssue(ISSUE_LEVELS.ERROR, PACK_MANIFEST_FILE, 'version', 'must be a whole number above 0');
+  }
+  if (!packManifest.grades || typeof packManifest.grades !== 'object') {
+    addIssue(ISSUE_LEVELS.ERROR, PACK_MANIFEST_FILE, 'grades', 'is missing');
+  }
+  if (issues.length > 0) {
+    return { pack: null, files: [], issues, quarantined: [], isValid: false };
+  }
+
+  const packId = packManifest.id;
+  const packInfo = { id: packId, name: packManifest.name, version: packManifest.version };
+  const zipFiles = new Set(fileNames.map(normalizePackPath));
+
+  // Returns the installed URI for a file the book references, or null when it is missing
+  const useFile = (filePath, location, field, bookId) => {
+    const normalized = normalizePackPath(filePath);
+    if (!isSafePackPath(normalized)) {
+      addIssue(ISSUE_LEVELS.ERROR, location, field, `${JSON.stringify(filePath)} is not a path inside the pack`, bookId);
+      return null;
+    }
+    if (!zipFiles.has(normalized)) {
+      addIssue(ISSUE_LEVELS.ERROR, location, field, `"${normalized}" is not in the zip`, bookId);
+      return null;
+    }
+    files.add(normalized);
+    return resolveFile(normalized);
+  };
+
+  const grades = {};
+  Object.keys(packManifest.grades).forEach(gradeKey => {
+    const gradeBooks = packManifest.grades[gradeKey] || {};
+    grades[gradeKey] = {};
+
+    BOOK_TYPES.forEach(bucket => {
+      if (!Array.isArray(gradeBooks[bucket])) return;
+      grades[gradeKey][bucket] = gradeBooks[bucket].map((book, index) => {
+        const location = `grades.${gradeKey}.${bucket}[${index}]`;
+        if (!book || typeof book !== 'object') return book;
+
+        const { pdfFile, audioFile, ...entry } = book;
+        const bookId = getNamespacedId(packId, book.id);
+        // Pack books only open from the device, so a web pdfUrl cannot stand in for the file
+        if (!pdfFile) {
+          addIssue(ISSUE_LEVELS.ERROR, location, 'pdfFile', 'is required', bookId);
+        }
+        const packBook = {
+          ...entry,
+          id: bookId,
+          pdfUrl: pdfFile ? useFile(pdfFile, location, 'pdfFile', bookId) : null,
+          pack: packInfo
+        };
+        if (audioFile) {
+          packBook.audioUrl = useFile(audioFile, location, 'audioFile', bookId);
+        }
+        if (Array.isArray(book.requires)) {
+          packBook.requires = book.requires.map(requirement => namespaceRequirement(requirement, packId));
+        }
+        return packBook;
+      });
+    });
+
+    if (Array.isArray(gradeBooks.series)) {
+      grades[gradeKey].series = gradeBooks.series.map((series, index) => {
+        if (!series || typeof series !== 'object') return series;
+        const { coverFile, ...entry } = series;
+        return {
+          ...entry,
+          id: getNamespacedId(packId, series.id),
+          pack: packInfo,
+          bookIds: Array.isArray(series.bookIds) ? series.bookIds.map(bookId => getNamespacedId(packId, bookId)) : series.bookIds,
+          ...(coverFile && { coverUrl: useFile(coverFile, `grades.${gradeKey}.series[${index}]`, 'coverFile') })
+        };
+      });
+    }
+  });
+
+  // The pack's books must pass the same checks as the catalog; a pack is all or nothing
+  const validation = validateCatalog({ grades });
+  issues.push(...validation.issues);
+
+  return {
+    pack: {
+      ...packInfo,
+      description: typeof packManifest.description === 'string' ? packManifest.description : '',
+      grades
+    },
+    files: [...files],
+    issues,
+    quarantined: validation.quarantined,
+    isValid: !issues.some(issue => issue.level === ISSUE_LEVELS.ERROR)
+  };
+};
+
+export const countPackBooks = (pack) => {
+  return Object.values(pack.grades).reduce((total, gradeBooks) => (
+    total + BOOK_TYPES.reduce((count, bucket) => count + (gradeBooks[bucket] || []).length, 0)
+  ), 0);
+};
+
+// Adds the books and series of every pack (or other { grades } fragment) to the manifest, grade by grade
+export const mergeContentPacks = (manifest, packs) => {
+  if (!manifest?.grades || packs.length === 0) return manifest;
+
+  const grades = { ...manifest.grades };
+  packs.forEach(pack => {
+    Object.keys(pack.grades).forEach(gradeKey => {
+      const gradeBooks = { ...(grades[gradeKey] || { intensive: [], extensive: [] }) };
+      const packGradeBooks = pack.grades[gradeKey];
+      [...BOOK_TYPES, 'series'].forEach(bucket => {
+        if (packGradeBooks[bucket]?.length > 0) {
+          gradeBooks[bucket] = [...(gradeBooks[bucket] || []), ...packGradeBooks[bucket]];
+        }
+      });
+      grades[gradeKey] = gradeBooks;
+    });
+  });
+  return { ...manifest, grades };
+};
@@ -0,0 +1,72 @@
+// Failure tracking rules for extensive reading
+// Following KISS principle - plain per-grade settings with shared defaults
+
+export const FAILURE_REASONS = {
+  TIMER: 'timer',
+  QUIZ: 'quiz'
+};
+
+export const FAILURE_ACTIONS = {
+  // The book's reading progress starts over
+  RESET_BOOK: 'reset_book',
+  // The student re-reads an intensive book before continuing
+  REVIEW_INTENSIVE: 'review_intensive'
+};
+
+export const DEFAULT_FAILURE_RULES = {
+  quizPassScore: 60,
+  maxQuizFailures: 3,
+  maxTimerMisses: 5,
+  action: FAILURE_ACTIONS.RESET_BOOK,
+  // For REVIEW_INTENSIVE; null means the grade's first intensive book
+  reviewBookId: null
+};
+
+// Teachers adjust the thresholds per grade here
+export const GRADE_FAILURE_RULES = {
+  1: {
+    quizPassScore: 50,
+    maxTimerMisses: 6,
+    action: FAILURE_ACTIONS.REVIEW_INTENSIVE,
+    reviewBookId: 'grade1_intensive_2'
+  },
+  2: {
+    quizPassScore: 60,
+    maxQuizFailures: 2
+  }
+};
+
+export const getFailureRules = (grade) => {
+  return { ...DEFAULT_FAILURE_RULES, ...(GRADE_FAILURE_RULES[grade] || {}) };
+};
+
+// Failures since the book's last reset, by reason
+export const getFailureCounts = (bookProgress = {}) => {
+  return {
+    [FAILURE_REASONS.TIMER]: bookProgress.failureCounts?.[FAILURE_REASONS.TIMER] || 0,
+    [FAILURE_REASONS.QUIZ]: bookProgress.failureCounts?.[FAILURE_REASONS.QUIZ] || 0
+  };
+};
+
+export const getFailureThreshold = (rules, reason) => {
+  return reason === FAILURE_REASONS.QUIZ ? rules.maxQuizFailures : rules.maxTimerMisses;
+};
+
+export const isQuizFailure = (rules, score) => score < rules.quizPassScore;
+
+export const describeFailure = (failure) => {
+  return failure.reason === FAILURE_REASONS.QUIZ
+    ? `Quiz score ${failure.details.score}%`
+    : `Page ${failure.details.page} ran out of time`;
+};
+
+export const getFailureActionMessage = (action, bookTitle, reviewBookTitle) => {
+  const cause = action.reason === FAILURE_REASONS.QUIZ
+    ? `The "${bookTitle}" quiz needs a little more practice.`
+    : `Too many pages of "${bookTitle}" ran out of time.`;
+
+  if (action.type === FAILURE_ACTIONS.REVIEW_INTENSIVE) {
+    return `${cause} Let's read "${reviewBookTitle}" again first, then come back to this book.`;
+  }
+  return `${cause} Let's start this book again from the beginning.`;
+};
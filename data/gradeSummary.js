@@ -0,0 +1,43 @@
+// Grade summaries for promotion and the profile's grade history
+// Following KISS principle - a summary is plain data worked out from one grade's progress map
+
+import { getIntensiveBooks, getExtensiveBooks } from './books';
+import { countStickersByTier } from './stickers';
+
+export const summarizeGrade = (grade, gradeProgress) => {
+  const records = Object.values(gradeProgress);
+  // A book's best score stands for it, as it does for its sticker
+  const quizScores = records.map(record => record.quizBestScore).filter(Number.isFinite);
+  const lastRead = records
+    .map(record => record.lastRead)
+    .filter(Boolean)
+    .sort()
+    .pop();
+
+  return {
+    grade,
+    booksCompleted: records.filter(record => record.completed).length,
+    totalBooks: getIntensiveBooks(grade).length + getExtensiveBooks(grade).length,
+    pagesRead: records.reduce((total, record) => total + (record.currentPage || 0), 0),
+    quizzesTaken: quizScores.length,
+    averageQuizScore: quizScores.length > 0
+      ? Math.round(quizScores.reduce((total, score) => total + score, 0) / quizScores.length)
+      : null,
+    stickers: countStickersByTier(gradeProgress),
+    recordingCount: records.reduce((total, record) => total + (record.recordings || []).length, 0),
+    lastRead: lastRead || null
+  };
+};
+
+// DRY principle - the same lines in the promotion alert and the grade history
+export const describeGradeSummary = (summary) => {
+  const stickerCount = Object.values(summary.stickers).reduce((total, count) => total + count, 0);
+  return [
+    `📚 ${summary.booksCompleted} of ${summary.totalBooks} books completed`,
+    `📄 ${summary.pagesRead} pages read`,
+    summary.averageQuizScore === null
+      ? '📝 No quizzes taken'
+      : `📝 ${summary.quizzesTaken} quiz${summary.quizzesTaken === 1 ? '' : 'zes'}, ${summary.averageQuizScore}% average`,
+    `🏅 ${stickerCount} sticker${stickerCount === 1 ? '' : 's'}`
+  ];
+};
@@ -0,0 +1,173 @@
+// Learner backup files: format, checks and merging
+// Following KISS principle - a backup is one JSON document with the learner's grade and every grade's progress map
+
+import {
+  PROGRESS_SCHEMA_VERSION,
+  migrateGradeProgress,
+  isProgressMap,
+  keepValidRecords
+} from './progressMigrations.js';
+import { isBetterTier } from './stickers.js';
+
+export const LEARNER_BACKUP_FORMAT = 'reading-adventures-learner';
+export const LEARNER_BACKUP_VERSION = 1;
+
+export const RESTORE_MODES = {
+  // Adds the backup to the learner's progress, keeping the best of both for books in each
+  MERGE: 'merge',
+  // Makes the backup the learner's progress; grades missing from it start again
+  REPLACE: 'replace'
+};
+
+/**
+ * @param {Object} state
+ * @param {{name: string, avatar: string}} state.learner
+ * @param {number|null} state.selectedGrade
+ * @param {Object[]} state.promotions Grade promotions (see services/gradeState.js)
+ * @param {Object<string, Object>} state.progress Progress maps by grade
+ */
+export const createLearnerBackup = ({ learner, selectedGrade, promotions, progress }) => ({
+  format: LEARNER_BACKUP_FORMAT,
+  version: LEARNER_BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  progressSchemaVersion: PROGRESS_SCHEMA_VERSION,
+  learner: { name: learner.name, avatar: learner.avatar },
+  selectedGrade,
+  promotions,
+  // Recordings are listed by reference; the audio files stay on the device that made them
+  progress
+});
+
+const isGrade = (value) => Number.isInteger(value) && value >= 1 && value <= 12;
+
+// Checks a backup file's text and brings its progress to the current schema.
+// Throws an Error whose message can be shown to the user.
+export const parseLearnerBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not a learner backup.');
+  }
+
+  if (!backup || backup.format !== LEARNER_BACKUP_FORMAT) {
+    throw new Error('This file is not a learner backup.');
+  }
+  if (backup.version > LEARNER_BACKUP_VERSION || backup.progressSchemaVersion > PROGRESS_SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Please update the app first.');
+  }
+  if (!isProgressMap(backup.progress)) {
+    throw new Error('This backup has no reading progress.');
+  }
+
+  const progress = {};
+  Object.entries(backup.progress).forEach(([grade, gradeProgress]) => {
+    if (isGrade(Number(grade)) && isProgressMap(gradeProgress)) {
+      // Checked whatever the version, as a current backup can still have been edited by hand
+      progress[Number(grade)] = keepValidRecords(
+        migrateGradeProgress(gradeProgress, backup.progressSchemaVersion || 0)
+      );
+    }
+  });
+
+  return {
+    exportedAt: backup.exportedAt || null,
+    learner: {
+      name: typeof backup.learner?.name === 'string' ? backup.learner.name : 'Learner',
+      avatar: typeof backup.learner?.avatar === 'string' ? backup.learner.avatar : ''
+    },
+    selectedGrade: isGrade(backup.selectedGrade) ? backup.selectedGrade : null,
+    promotions: Array.isArray(backup.promotions)
+      ? backup.promotions.filter(promotion => isGrade(promotion?.grade) && promotion.summary)
+      : [],
+    progress
+  };
+};
+
+// What the backup holds, for the preview before it is restored
+export const summarizeLearnerBackup = (backup) => ({
+  learner: backup.learner,
+  exportedAt: backup.exportedAt,
+  selectedGrade: backup.selectedGrade,
+  grades: Object.entries(backup.progress)
+    .map(([grade, gradeProgress]) => {
+      const records = Object.values(gradeProgress);
+      return {
+        grade: Number(grade),
+        bookCount: records.length,
+        completedCount: records.filter(record => record.completed).length,
+        quizAttemptCount: records.reduce((total, record) => total + (record.quizAttempts || []).length, 0),
+        recordingCount: records.reduce((total, record) => total + (record.recordings || []).length, 0)
+      };
+    })
+    .sort((a, b) => a.grade - b.grade)
+});
+
+// Preview lines shown before the backup is restored
+export const describeLearnerBackup = (summary) => [
+  `${summary.learner.avatar} ${summary.learner.name}`.trim(),
+  summary.exportedAt ? `Saved on ${new Date(summary.exportedAt).toLocaleDateString()}` : null,
+  summary.selectedGrade ? `In Grade ${summary.selectedGrade}` : null,
+  ...summary.grades.map(grade => (
+    `Grade ${grade.grade}: ${grade.completedCount} of ${grade.bookCount} books completed, ` +
+    `${grade.quizAttemptCount} quiz attempt${grade.quizAttemptCount === 1 ? '' : 's'}, ` +
+    `${grade.recordingCount} recording${grade.recordingCount === 1 ? '' : 's'}`
+  ))
+].filter(Boolean);
+
+// DRY principle - lists from both records without repeating the entries they share
+const mergeLists = (currentList = [], incomingList = [], getId) => {
+  const ids = new Set(currentList.map(getId));
+  return [...currentList, ...incomingList.filter(item => !ids.has(getId(item)))];
+};
+
+const mergeBookRecords = (current, incoming) => {
+  // The record read most recently wins for everything that is not summed up below
+  const [older, newer] = (current.lastRead || '') > (incoming.lastRead || '')
+    ? [incoming, current]
+    : [current, incoming];
+  const quizAttempts = mergeLists(current.quizAttempts, incoming.quizAttempts, attempt => `${attempt.takenAt}|${attempt.score}`)
+    .sort((a, b) => new Date(a.takenAt) - new Date(b.takenAt));
+  const scores = quizAttempts.map(attempt => attempt.score).filter(Number.isFinite);
+  const sticker = isBetterTier(incoming.sticker?.tier, current.sticker?.tier) ? incoming.sticker : current.sticker;
+
+  const merged = {
+    ...older,
+    ...newer,
+    currentPage: Math.max(current.currentPage || 0, incoming.currentPage || 0),
+    totalPages: Math.max(current.totalPages || 0, incoming.totalPages || 0),
+    completed: Boolean(current.completed || incoming.completed),
+    recordings: mergeLists(current.recordings, incoming.recordings, recording => recording.id),
+    quizAttempts,
+    failures: mergeLists(current.failures, incoming.failures, failure => `${failure.at}|${failure.reason}`),
+    resets: mergeLists(current.resets, incoming.resets, reset => reset.at)
+  };
+  if (scores.length > 0) {
+    merged.quizBestScore = Math.max(...scores);
+    merged.quizLatestScore = scores[scores.length - 1];
+  }
+  if (sticker) {
+    merged.sticker = sticker;
+  }
+  return merged;
+};
+
+export const mergeGradeProgress = (currentProgress, incomingProgress) => {
+  const merged = { ...currentProgress };
+  Object.entries(incomingProgress).forEach(([bookId, record]) => {
+    merged[bookId] = merged[bookId] ? mergeBookRecords(merged[bookId], record) : record;
+  });
+  return merged;
+};
+
+// The later promotion from a grade wins
+export const mergePromotions = (currentPromotions, incomingPromotions) => {
+  const byGrade = {};
+  [...currentPromotions, ...incomingPromotions].forEach(promotion => {
+    const existing = byGrade[promotion.grade];
+    if (!existing || promotion.promotedAt > existing.promotedAt) {
+      byGrade[promotion.grade] = promotion;
+    }
+  });
+  return Object.values(byGrade).sort((a, b) => a.grade - b.grade);
+};
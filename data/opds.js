@@ -0,0 +1,209 @@
+// OPDS catalog feeds: parsing and conversion to catalog books
+// Following KISS principle - OPDS 1.2 (Atom XML) and 2.0 (JSON) are read into one simple feed shape
+
+import { XMLParser } from 'fast-xml-parser';
+
+export const OPDS_SOURCE_TYPE = 'opds';
+
+// Only PDFs can be shown by the in-app reader
+const PDF_TYPE = 'application/pdf';
+const ACQUISITION_REL = 'http://opds-spec.org/acquisition';
+const IMAGE_RELS = ['http://opds-spec.org/image', 'http://opds-spec.org/image/thumbnail'];
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  textNodeName: 'text',
+  isArray: (name) => ['entry', 'link', 'author', 'category'].includes(name)
+});
+
+const asArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// Atom text elements may carry attributes, which turns them into objects
+const getText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return String(value.text ?? '').trim();
+  return String(value).trim();
+};
+
+// Feeds use relative links; React Native's URL cannot resolve them against a base
+export const resolveHref = (href, baseUrl) => {
+  if (!href) return null;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(href)) return href;
+
+  const match = String(baseUrl).match(/^([a-z][a-z0-9+.-]*:)(\/\/[^/?#]*)([^?#]*)/i);
+  if (!match) return href;
+  const [, scheme, authority, basePath] = match;
+  if (href.startsWith('//')) return `${scheme}${href}`;
+
+  const [, hrefPath, suffix] = href.match(/^([^?#]*)(.*)$/);
+  const path = hrefPath === ''
+    ? basePath
+    : hrefPath.startsWith('/') ? hrefPath : `${basePath.slice(0, basePath.lastIndexOf('/') + 1)}${hrefPath}`;
+
+  // Drop . and .. segments
+  const segments = [];
+  path.split('/').forEach(segment => {
+    if (segment === '..') {
+      if (segments.length > 1) segments.pop();
+    } else if (segment !== '.') {
+      segments.push(segment);
+    }
+  });
+  const normalizedPath = segments.join('/');
+  return `${scheme}${authority}${normalizedPath.startsWith('/') ? '' : '/'}${normalizedPath}${suffix}`;
+};
+
+const isFeedType = (type = '') => type.includes('application/atom+xml') || type.includes('application/opds+json');
+
+const findPdfLink = (links) => {
+  return links.find(link => (link.rel || '').startsWith(ACQUISITION_REL) && (link.type || '').startsWith(PDF_TYPE))
+    || links.find(link => (link.type || '').startsWith(PDF_TYPE));
+};
+
+// OPDS 1.2: an Atom feed whose entries are publications or links to other feeds
+const parseAtomFeed = (text, baseUrl) => {
+  const feed = xmlParser.parse(text).feed;
+  if (!feed) {
+    throw new Error('This is not an OPDS feed');
+  }
+
+  const feedLinks = asArray(feed.link);
+  const entries = [];
+  const navigation = [];
+
+  asArray(feed.entry).forEach(entry => {
+    const links = asArray(entry.link);
+    const pdfLink = findPdfLink(links);
+    const feedLink = links.find(link => isFeedType(link.type));
+    const title = getText(entry.title);
+
+    if (!pdfLink && feedLink && !links.some(link => (link.rel || '').startsWith(ACQUISITION_REL))) {
+      navigation.push({ title, url: resolveHref(feedLink.href, baseUrl), summary: getText(entry.content || entry.summary) });
+      return;
+    }
+
+    const imageLink = links.find(link => IMAGE_RELS.includes(link.rel));
+    const pageCount = Number(getText(entry.numberOfPages || entry.extent));
+    entries.push({
+      id: getText(entry.id) || resolveHref(pdfLink?.href, baseUrl),
+      title,
+      author: asArray(entry.author).map(author => getText(author.name)).filter(Boolean).join(', '),
+      summary: getText(entry.summary || entry.content),
+      updated: getText(entry.updated || entry.published),
+      language: getText(entry.language),
+      tags: asArray(entry.category).map(category => category.label || category.term).filter(Boolean),
+      pdfUrl: pdfLink ? resolveHref(pdfLink.href, baseUrl) : null,
+      coverUrl: imageLink ? resolveHref(imageLink.href, baseUrl) : null,
+      pageCount: Number.isInteger(pageCount) && pageCount > 0 ? pageCount : null
+    });
+  });
+
+  const nextLink = feedLinks.find(link => link.rel === 'next');
+  return {
+    version: '1.2',
+    title: getText(feed.title),
+    entries,
+    navigation,
+    nextUrl: nextLink ? resolveHref(nextLink.href, baseUrl) : null
+  };
+};
+
+// Contributors are strings or objects, and names can be maps of language to name
+const getContributorNames = (value) => {
+  return asArray(value).map(contributor => (typeof contributor === 'string' ? contributor : contributor?.name))
+    .map(name => (typeof name === 'object' ? Object.values(name || {})[0] : name))
+    .filter(Boolean)
+    .join(', ');
+};
+
+// OPDS 2.0: JSON with publications, navigation links and groups of both
+const parseJsonFeed = (text, baseUrl) => {
+  const feed = JSON.parse(text);
+  if (!feed || typeof feed !== 'object' || !feed.metadata) {
+    throw new Error('This is not an OPDS feed');
+  }
+
+  const groups = [feed, ...asArray(feed.groups)];
+  const entries = groups.flatMap(group => asArray(group.publications)).map(publication => {
+    const metadata = publication.metadata || {};
+    const links = asArray(publication.links);
+    const pdfLink = findPdfLink(links);
+    const image = asArray(publication.images)[0];
+    return {
+      id: metadata.identifier || resolveHref(pdfLink?.href, baseUrl),
+      title: getText(metadata.title),
+      author: getContributorNames(metadata.author),
+      summary: getText(metadata.description),
+      updated: metadata.modified || metadata.published || '',
+      language: asArray(metadata.language)[0] || '',
+      tags: asArray(metadata.subject).map(subject => (typeof subject === 'string' ? subject : subject?.name)).filter(Boolean),
+      pdfUrl: pdfLink ? resolveHref(pdfLink.href, baseUrl) : null,
+      coverUrl: image ? resolveHref(image.href, baseUrl) : null,
+      pageCount: Number.isInteger(metadata.numberOfPages) && metadata.numberOfPages > 0 ? metadata.numberOfPages : null
+    };
+  });
+
+  const navigation = groups.flatMap(group => asArray(group.navigation)).map(link => ({
+    title: link.title || link.href,
+    url: resolveHref(link.href, baseUrl),
+    summary: ''
+  }));
+  const nextLink = asArray(feed.links).find(link => asArray(link.rel).includes('next'));
+
+  return {
+    version: '2.0',
+    title: getText(feed.metadata.title),
+    entries,
+    navigation,
+    nextUrl: nextLink ? resolveHref(nextLink.href, baseUrl) : null
+  };
+};
+
+// Returns { version, title, entries, navigation, nextUrl } for either OPDS version
+export const parseOpdsFeed = (text, baseUrl) => {
+  const trimmed = String(text || '').trim();
+  return trimmed.startsWith('{') ? parseJsonFeed(trimmed, baseUrl) : parseAtomFeed(trimmed, baseUrl);
+};
+
+// Entry ids are URNs or URLs that stay the same across refreshes
+export const getOpdsBookId = (entryId) => `${OPDS_SOURCE_TYPE}:${entryId}`;
+
+export const isOpdsBook = (book) => book?.source?.type === OPDS_SOURCE_TYPE;
+
+// A catalog book for a feed entry, with the grade and type the teacher chose.
+// The page count is only a first guess when the feed has none; the reader stores the real one.
+export const buildOpdsBook = (entry, { feedUrl, feedTitle, grade, type, totalPages }) => ({
+  id: getOpdsBookId(entry.id),
+  title: entry.title,
+  ...(entry.author && { author: entry.author }),
+  grade,
+  type,
+  pdfUrl: entry.pdfUrl,
+  totalPages: entry.pageCount || totalPages,
+  ...(entry.tags.length > 0 && { tags: entry.tags }),
+  completed: false,
+  source: {
+    type: OPDS_SOURCE_TYPE,
+    feedUrl,
+    feedTitle,
+    entryId: entry.id,
+    updated: entry.updated,
+    importedAt: new Date().toISOString()
+  }
+});
+
+// Feed changes to an imported book; the teacher's grade, type and page count are kept
+export const applyOpdsEntryUpdate = (book, entry) => ({
+  ...book,
+  title: entry.title || book.title,
+  ...(entry.author && { author: entry.author }),
+  pdfUrl: entry.pdfUrl || book.pdfUrl,
+  ...(entry.pageCount && { totalPages: entry.pageCount }),
+  ...(entry.tags.length > 0 && { tags: entry.tags }),
+  source: { ...book.source, updated: entry.updated, missing: false }
+});
@@ -0,0 +1,97 @@
+// Progress record schema versions and the migrations between them
+// Following KISS principle - each migration is a pure function from one grade's progress map to the next version's
+
+// The version this build writes; stored data without a version is version 0
+export const PROGRESS_SCHEMA_VERSION = 2;
+
+const PROGRESS_LIST_FIELDS = ['recordings', 'quizAttempts', 'failures', 'resets'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const toCount = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.floor(number) : 0;
+};
+
+// Records written before versioning: fields were added one feature at a time and never checked
+const migrateUnversionedRecord = (record) => {
+  const migrated = {
+    ...record,
+    currentPage: toCount(record.currentPage),
+    totalPages: toCount(record.totalPages),
+    completed: record.completed === true
+  };
+  PROGRESS_LIST_FIELDS.forEach(field => {
+    if (record[field] !== undefined && !Array.isArray(record[field])) {
+      migrated[field] = [];
+    }
+  });
+
+  // Best and latest scores are kept beside the attempts they summarize
+  const scores = (migrated.quizAttempts || []).map(attempt => attempt?.score).filter(Number.isFinite);
+  if (scores.length > 0 && migrated.quizBestScore === undefined) {
+    migrated.quizBestScore = Math.max(...scores);
+    migrated.quizLatestScore = scores[scores.length - 1];
+  }
+  return migrated;
+};
+
+// Recording files were stored by absolute path, which changes when iOS moves the app's container.
+// Paths under the documents folder's recordings/ become relative; any other URI is left as it was.
+const migrateRecordingPaths = (record) => {
+  if (!isPlainObject(record) || !Array.isArray(record.recordings)) return record;
+  return {
+    ...record,
+    recordings: record.recordings.map(recording => {
+      const index = typeof recording?.uri === 'string' ? recording.uri.indexOf('/recordings/') : -1;
+      if (index === -1) return recording;
+      const { uri, ...rest } = recording;
+      return { ...rest, file: uri.slice(index + 1) };
+    })
+  };
+};
+
+// Ordered by version. A migration that has shipped is never edited; a new record shape adds the next one.
+export const PROGRESS_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Check the shape of records written before versioning',
+    migrate: (gradeProgress) => Object.fromEntries(
+      Object.entries(gradeProgress)
+        .filter(([, record]) => isPlainObject(record))
+        .map(([bookId, record]) => [bookId, migrateUnversionedRecord(record)])
+    )
+  },
+  {
+    version: 2,
+    description: 'Store recording files relative to the documents folder',
+    migrate: (gradeProgress) => Object.fromEntries(
+      Object.entries(gradeProgress).map(([bookId, record]) => [bookId, migrateRecordingPaths(record)])
+    )
+  }
+];
+
+export const isProgressMap = isPlainObject;
+
+// Drops records that are not objects and list fields or entries of the wrong shape.
+// Used on files from outside the app, whose version says nothing about how they were edited.
+export const keepValidRecords = (gradeProgress) => Object.fromEntries(
+  Object.entries(gradeProgress)
+    .filter(([, record]) => isPlainObject(record))
+    .map(([bookId, record]) => {
+      const kept = { ...record };
+      PROGRESS_LIST_FIELDS.forEach(field => {
+        if (record[field] !== undefined) {
+          kept[field] = Array.isArray(record[field]) ? record[field].filter(isPlainObject) : [];
+        }
+      });
+      return [bookId, kept];
+    })
+);
+
+// Brings one grade's progress map from the stored version to the current one
+export const migrateGradeProgress = (gradeProgress, fromVersion) => {
+  return PROGRESS_MIGRATIONS
+    .filter(migration => migration.version > fromVersion && migration.version <= PROGRESS_SCHEMA_VERSION)
+    .reduce((progress, migration) => migration.migrate(progress), gradeProgress);
+};
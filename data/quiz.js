@@ -0,0 +1,121 @@
+// Quiz scoring for the post-reading quizzes
+// Following KISS principle - pure functions over the catalog's quizQuestions
+
+export const QUESTION_TYPES = {
+  SINGLE_CHOICE: 'single_choice',
+  MULTIPLE_CHOICE: 'multiple_choice',
+  TRUE_FALSE: 'true_false',
+  ORDERING: 'ordering',
+  MATCHING: 'matching',
+  SHORT_ANSWER: 'short_answer'
+};
+
+// Backward compatibility - entries without a type are single-choice questions
+export const getQuestionType = (question) => question.type || QUESTION_TYPES.SINGLE_CHOICE;
+
+// Short answers ignore case and extra whitespace unless the question asks for exact case
+export const normalizeTextAnswer = (text, caseSensitive = false) => {
+  const collapsed = String(text ?? '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+const isSameSet = (first = [], second = []) => {
+  if (first.length !== second.length) return false;
+  const expected = new Set(second);
+  return first.every(value => expected.has(value));
+};
+
+const isFilledArray = (answer, length) => {
+  return Array.isArray(answer) && answer.length === length && answer.every(value => value !== undefined && value !== null);
+};
+
+// SOLID - Open/Closed Principle: a new question type only adds an entry here
+// Answer shapes: single = option index, multiple = option indexes, true_false = boolean,
+// ordering = item indexes in the student's order, matching = { leftIndex: rightIndex }, short_answer = text
+const questionHandlers = {
+  [QUESTION_TYPES.SINGLE_CHOICE]: {
+    isAnswered: (question, answer) => Number.isInteger(answer),
+    isCorrect: (question, answer) => answer === question.correctAnswer,
+    formatAnswer: (question, answer) => question.options[answer],
+    formatCorrectAnswer: (question) => question.options[question.correctAnswer]
+  },
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: {
+    isAnswered: (question, answer) => Array.isArray(answer) && answer.length > 0,
+    isCorrect: (question, answer) => isSameSet(answer, question.correctAnswers),
+    formatAnswer: (question, answer) => [...answer].sort((a, b) => a - b).map(index => question.options[index]).join(', '),
+    formatCorrectAnswer: (question) => question.correctAnswers.map(index => question.options[index]).join(', ')
+  },
+  [QUESTION_TYPES.TRUE_FALSE]: {
+    isAnswered: (question, answer) => typeof answer === 'boolean',
+    isCorrect: (question, answer) => answer === question.correctAnswer,
+    formatAnswer: (question, answer) => (answer ? 'True' : 'False'),
+    formatCorrectAnswer: (question) => (question.correctAnswer ? 'True' : 'False')
+  },
+  [QUESTION_TYPES.ORDERING]: {
+    // Items are listed in the correct order in the catalog
+    isAnswered: (question, answer) => isFilledArray(answer, question.items.length),
+    isCorrect: (question, answer) => answer.every((itemIndex, position) => itemIndex === position),
+    formatAnswer: (question, answer) => answer.map(index => question.items[index]).join(' → '),
+    formatCorrectAnswer: (question) => question.items.join(' → ')
+  },
+  [QUESTION_TYPES.MATCHING]: {
+    // Each left item matches the right item of the same pair
+    isAnswered: (question, answer) => Boolean(answer) && question.pairs.every((pair, index) => answer[index] !== undefined),
+    isCorrect: (question, answer) => question.pairs.every((pair, index) => answer[index] === index),
+    formatAnswer: (question, answer) => question.pairs
+      .map((pair, index) => `${pair.left} → ${question.pairs[answer[index]]?.right ?? '?'}`)
+      .join(', '),
+    formatCorrectAnswer: (question) => question.pairs.map(pair => `${pair.left} → ${pair.right}`).join(', ')
+  },
+  [QUESTION_TYPES.SHORT_ANSWER]: {
+    isAnswered: (question, answer) => normalizeTextAnswer(answer).length > 0,
+    isCorrect: (question, answer) => {
+      const normalized = normalizeTextAnswer(answer, question.caseSensitive);
+      return question.acceptedAnswers.some(accepted => normalizeTextAnswer(accepted, question.caseSensitive) === normalized);
+    },
+    formatAnswer: (question, answer) => String(answer).trim(),
+    formatCorrectAnswer: (question) => question.acceptedAnswers[0]
+  }
+};
+
+const getHandler = (question) => {
+  const handler = questionHandlers[getQuestionType(question)];
+  if (!handler) {
+    throw new Error(`Unknown question type "${question.type}" for question ${question.id}`);
+  }
+  return handler;
+};
+
+export const isQuestionAnswered = (question, answer) => {
+  if (answer === undefined || answer === null) return false;
+  return getHandler(question).isAnswered(question, answer);
+};
+
+export const isAnswerCorrect = (question, answer) => {
+  if (!isQuestionAnswered(question, answer)) return false;
+  return getHandler(question).isCorrect(question, answer);
+};
+
+export const formatAnswer = (question, answer) => {
+  if (!isQuestionAnswered(question, answer)) return 'No answer';
+  return getHandler(question).formatAnswer(question, answer);
+};
+
+export const formatCorrectAnswer = (question) => getHandler(question).formatCorrectAnswer(question);
+
+// Answers are keyed by question id; the score is a whole percentage
+export const scoreQuiz = (questions, answers) => {
+  const results = questions.map(question => ({
+    questionId: question.id,
+    answer: answers[question.id],
+    correct: isAnswerCorrect(question, answers[question.id])
+  }));
+  const correctCount = results.filter(result => result.correct).length;
+
+  return {
+    results,
+    correctCount,
+    totalQuestions: questions.length,
+    score: questions.length > 0 ? Math.round((correctCount / questions.length) * 100) : 0
+  };
+};
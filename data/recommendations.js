@@ -0,0 +1,134 @@
+// "Next best book" recommendations from the student's progress
+// Following KISS principle - a small scoring model whose every point comes with a reason
+
+import { canStartBook } from './unlockRules';
+import { getBookPageCount } from './bookSearch';
+
+// Guided-reading levels run from A (emergent) to Z
+export const READING_LEVELS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+// Typical words per minute by grade, used to judge the student's reading pace
+export const READING_SPEED_TARGETS = {
+  1: 53,
+  2: 89,
+  3: 107,
+  4: 123,
+  5: 139,
+  6: 150
+};
+const DEFAULT_SPEED_TARGET = 150;
+
+// Best quiz scores at or above this count as a book read well
+const STRONG_QUIZ_SCORE = 75;
+const WEAK_QUIZ_SCORE = 50;
+
+export const getLevelIndex = (level) => {
+  const index = READING_LEVELS.indexOf(level);
+  return index === -1 ? null : index;
+};
+
+// Words per minute over the timed pages, for books that carry a word count
+export const getReadingSpeed = (books, progress) => {
+  let words = 0;
+  let seconds = 0;
+
+  books.forEach(book => {
+    const bookProgress = progress[book.id];
+    const pageTimes = bookProgress?.pageTimes || {};
+    const timedPages = Object.keys(pageTimes).length;
+    const pageCount = getBookPageCount(book, bookProgress);
+    if (!(book.wordCount > 0) || timedPages === 0 || pageCount === 0) return;
+
+    words += (book.wordCount / pageCount) * timedPages;
+    seconds += Object.values(pageTimes).reduce((total, value) => total + value, 0);
+  });
+
+  return seconds > 0 ? Math.round(words / (seconds / 60)) : null;
+};
+
+// The level the student reads comfortably: the highest level finished without a weak quiz
+export const getReaderProfile = (grade, books, progress) => {
+  const completedBooks = books.filter(book => progress[book.id]?.completed);
+  const comfortableLevels = completedBooks
+    .filter(book => !(progress[book.id].quizBestScore < WEAK_QUIZ_SCORE))
+    .map(book => getLevelIndex(book.level))
+    .filter(index => index !== null);
+  const strongBooks = completedBooks.filter(book => progress[book.id].quizBestScore >= STRONG_QUIZ_SCORE);
+  const speed = getReadingSpeed(books, progress);
+  const speedTarget = READING_SPEED_TARGETS[grade] || DEFAULT_SPEED_TARGET;
+
+  return {
+    levelIndex: comfortableLevels.length > 0 ? Math.max(...comfortableLevels) : null,
+    // Tags of books read well, with the book that earned them
+    favoriteTags: strongBooks.reduce((tags, book) => {
+      (book.tags || []).forEach(tag => {
+        tags[tag] = tags[tag] || book;
+      });
+      return tags;
+    }, {}),
+    speed,
+    pace: speed === null ? null : speed >= speedTarget ? 'fast' : speed < speedTarget * 0.75 ? 'slow' : 'steady',
+    completedCount: completedBooks.length
+  };
+};
+
+const scoreBook = (book, bookProgress, profile) => {
+  const reasons = [];
+  let score = 0;
+
+  // Finishing a started book comes first
+  if (bookProgress?.currentPage > 0) {
+    score += 50;
+    reasons.push(`Continue where you left off (page ${bookProgress.currentPage} of ${getBookPageCount(book, bookProgress)})`);
+  }
+
+  const levelIndex = getLevelIndex(book.level);
+  if (levelIndex !== null && profile.levelIndex !== null) {
+    // Fast readers are stretched by one level; everyone else stays close to their level
+    const step = profile.pace === 'fast' ? 1 : 0;
+    const distance = levelIndex - (profile.levelIndex + step);
+    score += 30 - Math.min(Math.abs(distance), 3) * 10;
+    if (distance === 0 && step === 1) {
+      reasons.push(`Level ${book.level}, one step up because you read quickly`);
+    } else if (distance === 0 || (distance === -1 && step === 1)) {
+      reasons.push(`Level ${book.level}, just right for you`);
+    } else if (distance === 1) {
+      reasons.push(`Level ${book.level}, a small challenge`);
+    }
+  } else if (profile.completedCount === 0 && book.type === 'intensive') {
+    score += 20;
+    reasons.push('A good first book for your grade');
+  }
+
+  const favoriteTag = (book.tags || []).find(tag => profile.favoriteTags[tag]);
+  if (favoriteTag) {
+    score += 15;
+    reasons.push(`About ${favoriteTag}, like "${profile.favoriteTags[favoriteTag].title}" which you did well on`);
+  }
+
+  // Slower readers get shorter books so a session can be finished
+  const pageCount = getBookPageCount(book, bookProgress);
+  if (profile.pace === 'slow' && pageCount > 0 && pageCount <= 10) {
+    score += 10;
+    reasons.push('A short read that suits your reading pace');
+  }
+
+  return { score, reasons };
+};
+
+// Up to limit unfinished books that can be started, best first, each with its main reason
+export const getRecommendations = (grade, books, progress, limit = 3) => {
+  const profile = getReaderProfile(grade, books, progress);
+
+  return books
+    .filter(book => !progress[book.id]?.completed && canStartBook(book, progress))
+    .map((book, index) => ({ book, index, ...scoreBook(book, progress[book.id], profile) }))
+    // Ties keep catalog order, which is the teaching order
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ book, reasons }) => ({
+      book,
+      reason: reasons[0] || 'Next in your reading list',
+      reasons
+    }));
+};
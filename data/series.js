@@ -0,0 +1,49 @@
+// Series and collection grouping for book lists
+// Following KISS principle - pure functions over catalog series and progress records
+
+// Progress across every book of the series, not just those a filter shows
+export const getSeriesProgress = (series, progress) => {
+  const total = series.bookIds.length;
+  const completed = series.bookIds.filter(bookId => progress[bookId]?.completed).length;
+  return {
+    completed,
+    total,
+    percent: total > 0 ? Math.round((completed / total) * 100) : 0,
+    isStarted: series.bookIds.some(bookId => progress[bookId]?.completed || progress[bookId]?.currentPage > 0)
+  };
+};
+
+// Turns a list of books into list items: { key, book } for a book on its own,
+// or { key, series, books } for a series, placed where its first listed book would be
+export const groupBooksBySeries = (books, seriesList) => {
+  const seriesByBookId = new Map();
+  seriesList.forEach(series => {
+    series.bookIds.forEach(bookId => seriesByBookId.set(bookId, series));
+  });
+
+  const groups = new Map();
+  const items = [];
+  books.forEach(book => {
+    const series = seriesByBookId.get(book.id);
+    if (!series) {
+      items.push({ key: book.id, book });
+      return;
+    }
+
+    if (!groups.has(series.id)) {
+      const group = { key: `series:${series.id}`, series, books: [] };
+      groups.set(series.id, group);
+      items.push(group);
+    }
+    groups.get(series.id).books.push(book);
+  });
+
+  // Ordered series always show their books in reading order, whatever the list is sorted by
+  groups.forEach(group => {
+    if (group.series.ordered !== false) {
+      group.books.sort((a, b) => group.series.bookIds.indexOf(a.id) - group.series.bookIds.indexOf(b.id));
+    }
+  });
+
+  return items;
+};
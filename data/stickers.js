@@ -0,0 +1,74 @@
+// Sticker and reward definitions
+// Following KISS principle - stickers are plain data, screens only render them
+
+// Quiz stickers per book, best tier first; a book's sticker comes from its best quiz score
+export const QUIZ_STICKER_TIERS = [
+  { id: 'gold', name: 'Gold', emoji: '🥇', minScore: 90, color: '#FFC107' },
+  { id: 'silver', name: 'Silver', emoji: '🥈', minScore: 75, color: '#9E9E9E' },
+  { id: 'bronze', name: 'Bronze', emoji: '🥉', minScore: 50, color: '#CD7F32' }
+];
+
+// Milestone stickers, earned from the profile stats
+export const MILESTONE_STICKERS = [
+  {
+    id: 'first_book',
+    title: 'First Book',
+    description: 'Complete your first book',
+    emoji: '🏆',
+    isEarned: (stats) => stats.totalBooksCompleted >= 1
+  },
+  {
+    id: 'foundation_builder',
+    title: 'Foundation Builder',
+    description: 'Complete all intensive books',
+    emoji: '🧱',
+    isEarned: (stats) => stats.intensiveTotal > 0 && stats.intensiveBooksCompleted === stats.intensiveTotal
+  },
+  {
+    id: 'speed_reader',
+    title: 'Speed Reader',
+    description: 'Complete 5 books',
+    emoji: '⚡',
+    isEarned: (stats) => stats.totalBooksCompleted >= 5
+  },
+  {
+    id: 'bookworm',
+    title: 'Bookworm',
+    description: 'Read 100 pages',
+    emoji: '🐛',
+    isEarned: (stats) => stats.totalPagesRead >= 100
+  },
+  {
+    id: 'quiz_champion',
+    title: 'Quiz Champion',
+    description: 'Earn a gold sticker',
+    emoji: '👑',
+    isEarned: (stats) => stats.goldStickers >= 1
+  }
+];
+
+// DRY principle - helper functions for sticker lookups
+export const getStickerTier = (tierId) => {
+  return QUIZ_STICKER_TIERS.find(tier => tier.id === tierId) || null;
+};
+
+export const getTierForScore = (score) => {
+  return QUIZ_STICKER_TIERS.find(tier => score >= tier.minScore) || null;
+};
+
+// Higher tiers come first in QUIZ_STICKER_TIERS
+export const isBetterTier = (tierId, currentTierId) => {
+  if (!tierId) return false;
+  if (!currentTierId) return true;
+  const rank = (id) => QUIZ_STICKER_TIERS.findIndex(tier => tier.id === id);
+  return rank(tierId) < rank(currentTierId);
+};
+
+export const countStickersByTier = (progressData) => {
+  const counts = Object.fromEntries(QUIZ_STICKER_TIERS.map(tier => [tier.id, 0]));
+  Object.values(progressData).forEach(bookProgress => {
+    const tierId = bookProgress.sticker?.tier;
+    if (tierId in counts) counts[tierId]++;
+  });
+  return counts;
+};
@@ -0,0 +1,118 @@
+// Prerequisite rules for sections and books
+// Following KISS principle - requirements are plain objects in the catalog, evaluated by one engine
+
+import { getIntensiveBooks, getExtensiveBooks, getBookById, getGradeRequirements, getBookSeries } from './books';
+import { REQUIREMENT_TYPES } from '../constants/Requirements';
+
+// Used for grades whose manifest entry has no requirements of its own
+export const DEFAULT_SECTION_REQUIREMENTS = {
+  intensive: [],
+  extensive: [{ type: REQUIREMENT_TYPES.COUNT_COMPLETED, section: 'intensive' }]
+};
+
+const getTitle = (bookId) => getBookById(bookId)?.title || bookId;
+
+const isCompleted = (progress, bookId) => Boolean(progress[bookId]?.completed);
+
+const getSectionBooks = (grade, section) => {
+  return section === 'extensive' ? getExtensiveBooks(grade) : getIntensiveBooks(grade);
+};
+
+const formatDate = (date) => {
+  return new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+// SOLID - Open/Closed Principle: a new requirement type only adds a checker here
+// Each checker returns null when met, or the sentence that explains what is still missing
+const requirementCheckers = {
+  [REQUIREMENT_TYPES.BOOKS_COMPLETED]: (requirement, { progress }) => {
+    const remaining = (requirement.bookIds || []).filter(bookId => !isCompleted(progress, bookId));
+    if (remaining.length === 0) return null;
+    return `Finish ${remaining.map(bookId => `"${getTitle(bookId)}"`).join(', ')}`;
+  },
+  [REQUIREMENT_TYPES.COUNT_COMPLETED]: (requirement, { grade, progress }) => {
+    const bookIds = requirement.bookIds || getSectionBooks(grade, requirement.section).map(book => book.id);
+    const setName = requirement.section ? `${requirement.section} books` : 'these books';
+    if (bookIds.length === 0) {
+      return `No ${setName} are available yet`;
+    }
+
+    // Without a count, every book of the set is needed
+    const needed = Math.min(requirement.count || bookIds.length, bookIds.length);
+    const done = bookIds.filter(bookId => isCompleted(progress, bookId)).length;
+    if (done >= needed) return null;
+
+    return needed === bookIds.length
+      ? `Finish all ${setName} (${done} of ${bookIds.length} done)`
+      : `Finish ${needed - done} more of ${setName} (${done} of ${needed} done)`;
+  },
+  [REQUIREMENT_TYPES.MIN_QUIZ_SCORE]: (requirement, { progress }) => {
+    const bestScore = progress[requirement.bookId]?.quizBestScore;
+    if (bestScore >= requirement.score) return null;
+    return `Score at least ${requirement.score}% on the "${getTitle(requirement.bookId)}" quiz` +
+      (bestScore !== undefined ? ` (best so far ${bestScore}%)` : '');
+  },
+  [REQUIREMENT_TYPES.AFTER_DATE]: (requirement, { now }) => {
+    if (now >= new Date(`${requirement.date}T00:00:00`)) return null;
+    return `Opens on ${formatDate(requirement.date)}`;
+  },
+  [REQUIREMENT_TYPES.ANY]: (requirement, context) => {
+    const reasons = (requirement.requirements || []).map(nested => checkRequirement(nested, context));
+    if (reasons.length === 0 || reasons.some(reason => reason === null)) return null;
+    return reasons.join(', or ');
+  }
+};
+
+const checkRequirement = (requirement, context) => {
+  const checker = requirementCheckers[requirement.type];
+  if (!checker) {
+    console.warn(`Unknown requirement type "${requirement.type}"`);
+    return null;
+  }
+  return checker(requirement, context);
+};
+
+// Every requirement must be met; the reasons list what is still missing
+export const evaluateRequirements = (requirements = [], { grade, progress = {}, now = new Date() }) => {
+  const reasons = requirements
+    .map(requirement => checkRequirement(requirement, { grade, progress, now }))
+    .filter(reason => reason !== null);
+  return { locked: reasons.length > 0, reasons };
+};
+
+// Without intensive books the default Extensive rule could never be met, so the section is open
+export const getSectionRequirements = (grade, section) => {
+  const gradeRequirements = getGradeRequirements(grade)?.[section];
+  if (gradeRequirements) return gradeRequirements;
+  if (section === 'extensive' && getIntensiveBooks(grade).length === 0) return [];
+  return DEFAULT_SECTION_REQUIREMENTS[section] || [];
+};
+
+export const getSectionLock = (grade, section, progress) => {
+  return evaluateRequirements(getSectionRequirements(grade, section), { grade, progress });
+};
+
+// Books of an ordered series wait for the one before them; collections set ordered to false
+const getSeriesRequirements = (book) => {
+  const bookSeries = getBookSeries(book);
+  if (!bookSeries?.previousBook || bookSeries.series.ordered === false) return [];
+  return [{ type: REQUIREMENT_TYPES.BOOKS_COMPLETED, bookIds: [bookSeries.previousBook.id] }];
+};
+
+// A book is locked by its own requirements and by those of its section and series
+export const getBookLock = (book, progress) => {
+  const requirements = [
+    ...getSectionRequirements(book.grade, book.type),
+    ...getSeriesRequirements(book),
+    ...(book.requires || [])
+  ];
+  return evaluateRequirements(requirements, { grade: book.grade, progress });
+};
+
+// Books offered without being picked from a list must also not be waiting on a review a failure rule assigned.
+// Lists show that review with FailureNotice instead of as a lock reason.
+export const canStartBook = (book, progress) => {
+  return !getBookLock(book, progress).locked && !progress[book.id]?.pendingReview;
+};
+
+export const formatLockReasons = (lock) => lock.reasons.join('\n');
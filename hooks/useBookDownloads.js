@@ -0,0 +1,59 @@
+import { useEffect, useState } from 'react';
+import {
+  loadDownloads,
+  subscribeToDownloads,
+  getDownloadsSnapshot,
+  getDownloadStatus,
+  getStorageSummary,
+  downloadBook,
+  downloadBooks,
+  removeDownload,
+  removeDownloads
+} from '../services/downloadManager';
+import { isPackBook } from '../data/contentPacks';
+
+// DRY principle - download state shared by every book list screen
+export const useBookDownloads = (books) => {
+  const [snapshot, setSnapshot] = useState(getDownloadsSnapshot);
+  const [storage, setStorage] = useState({ bookCount: 0, totalBytes: 0, freeBytes: null });
+  const bookIdsKey = books.map(book => book.id).join('|');
+
+  useEffect(() => {
+    let isMounted = true;
+    loadDownloads().then(loaded => isMounted && setSnapshot(loaded));
+    const unsubscribe = subscribeToDownloads(setSnapshot);
+
+    return () => {
+      isMounted = false;
+      unsubscribe();
+    };
+  }, []);
+
+  // Storage accounting is refreshed whenever the set of downloaded files changes
+  useEffect(() => {
+    let isMounted = true;
+    const bookIds = bookIdsKey ? bookIdsKey.split('|') : [];
+    getStorageSummary(bookIds)
+      .then(summary => isMounted && setStorage(summary))
+      .catch(error => console.error('Error loading storage summary:', error));
+
+    return () => {
+      isMounted = false;
+    };
+  }, [snapshot.downloads, bookIdsKey]);
+
+  const downloadedBooks = books.filter(book => snapshot.downloads[book.id]);
+  // Content-pack books are installed with their files, so they always count as offline
+  const packBookCount = books.filter(isPackBook).length;
+
+  return {
+    storage,
+    downloadedCount: downloadedBooks.length + packBookCount,
+    isDownloadingAny: books.some(book => snapshot.active[book.id]),
+    getStatus: (bookId) => getDownloadStatus(bookId, snapshot),
+    download: (book) => downloadBook(book),
+    downloadAll: () => downloadBooks(books.filter(book => !isPackBook(book) && !snapshot.downloads[book.id])),
+    remove: (bookId) => removeDownload(bookId),
+    removeAll: () => removeDownloads(downloadedBooks.map(book => book.id))
+  };
+};
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { subscribeToProgress } from '../services/progressStorage';
+import { loadGradeHistory } from '../services/gradeState';
+
+// DRY principle - every grade the student has read in, kept current as progress changes
+// Returns the history from gradeState.loadGradeHistory
+export const useGradeHistory = () => {
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const refresh = () => {
+      loadGradeHistory()
+        .then(gradeHistory => isMounted && setHistory(gradeHistory))
+        .catch(error => console.error('Error loading grade history:', error));
+    };
+
+    refresh();
+    const unsubscribe = subscribeToProgress(refresh);
+
+    return () => {
+      isMounted = false;
+      unsubscribe();
+    };
+  }, []);
+
+  return history;
+};
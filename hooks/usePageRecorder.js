@@ -0,0 +1,104 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  startRecording,
+  saveRecording,
+  discardRecording,
+  getBookRecordings,
+  deleteRecording
+} from '../services/recordings';
+
+// Clips shorter than this are accidental taps and are not kept
+const MIN_CLIP_MILLIS = 1000;
+
+// Following SOLID principles - Single Responsibility Principle
+// Read-aloud session for the reader: one clip per page, split automatically when the page changes
+export const usePageRecorder = ({ grade, book, onError }) => {
+  const [isReadingAloud, setIsReadingAloud] = useState(false);
+  const [recordings, setRecordings] = useState([]);
+  const activeClipRef = useRef(null);
+  const isSessionActiveRef = useRef(false);
+  const queueRef = useRef(Promise.resolve());
+  const onErrorRef = useRef(onError);
+
+  onErrorRef.current = onError;
+
+  useEffect(() => {
+    getBookRecordings(grade, book.id)
+      .then(setRecordings)
+      .catch(error => console.error('Error loading recordings:', error));
+  }, [grade, book.id]);
+
+  // Recorder calls are queued so a page change never overlaps a start or stop
+  const enqueue = useCallback((task) => {
+    queueRef.current = queueRef.current.then(task).catch((error) => {
+      console.error('Error recording audio:', error);
+      isSessionActiveRef.current = false;
+      setIsReadingAloud(false);
+      onErrorRef.current?.(error);
+    });
+    return queueRef.current;
+  }, []);
+
+  const finishClip = useCallback(async () => {
+    const activeClip = activeClipRef.current;
+    if (!activeClip) return;
+    activeClipRef.current = null;
+
+    const status = await activeClip.recording.getStatusAsync();
+    if ((status.durationMillis || 0) < MIN_CLIP_MILLIS) {
+      await discardRecording(activeClip.recording);
+      return;
+    }
+
+    const metadata = await saveRecording({
+      recording: activeClip.recording,
+      grade,
+      book,
+      page: activeClip.page
+    });
+    if (metadata) {
+      setRecordings(current => [...current, metadata]);
+    }
+  }, [grade, book]);
+
+  const beginClip = useCallback(async (page) => {
+    const recording = await startRecording();
+    activeClipRef.current = { recording, page };
+  }, []);
+
+  const start = (page) => {
+    isSessionActiveRef.current = true;
+    setIsReadingAloud(true);
+    return enqueue(() => beginClip(page));
+  };
+
+  const stop = () => {
+    isSessionActiveRef.current = false;
+    setIsReadingAloud(false);
+    return enqueue(finishClip);
+  };
+
+  // The clip for the previous page is saved and a new one starts for the new page
+  const changePage = (page) => {
+    if (!isSessionActiveRef.current) return Promise.resolve();
+    return enqueue(async () => {
+      await finishClip();
+      if (isSessionActiveRef.current) {
+        await beginClip(page);
+      }
+    });
+  };
+
+  const remove = async (recordingId) => {
+    await deleteRecording(grade, book.id, recordingId);
+    setRecordings(current => current.filter(recording => recording.id !== recordingId));
+  };
+
+  // Leaving the reader keeps whatever was recorded on the current page
+  useEffect(() => () => {
+    isSessionActiveRef.current = false;
+    enqueue(finishClip);
+  }, [enqueue, finishClip]);
+
+  return { isReadingAloud, recordings, start, stop, changePage, remove };
+};
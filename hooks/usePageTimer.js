@@ -0,0 +1,37 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Following SOLID principles - Single Responsibility Principle
+// Per-page countdown used by timed reading; it only counts while enabled and not paused
+export const usePageTimer = ({ seconds, enabled, onTick, onExpire }) => {
+  const [secondsLeft, setSecondsLeft] = useState(seconds);
+  const [isPaused, setIsPaused] = useState(false);
+  const onTickRef = useRef(onTick);
+  const onExpireRef = useRef(onExpire);
+
+  // Latest callbacks are kept in refs so the interval does not restart on every render
+  onTickRef.current = onTick;
+  onExpireRef.current = onExpire;
+
+  useEffect(() => {
+    if (!enabled || isPaused) return undefined;
+
+    const interval = setInterval(() => {
+      onTickRef.current?.();
+      setSecondsLeft(left => Math.max(left - 1, 0));
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [enabled, isPaused]);
+
+  useEffect(() => {
+    if (enabled && !isPaused && secondsLeft === 0) {
+      onExpireRef.current?.();
+    }
+  }, [secondsLeft, enabled, isPaused]);
+
+  const reset = useCallback(() => setSecondsLeft(seconds), [seconds]);
+  const pause = useCallback(() => setIsPaused(true), []);
+  const resume = useCallback(() => setIsPaused(false), []);
+
+  return { secondsLeft, isPaused, reset, pause, resume };
+};
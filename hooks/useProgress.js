@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+import { loadProgressForGrades, subscribeToProgress } from '../services/progressStorage';
+
+// DRY principle - progress for one or more grades, kept current as books are read
+// Returns the merged progress map by book id (see progressStorage.js)
+export const useProgress = (grades) => {
+  const gradesKey = grades.filter(grade => grade !== null && grade !== undefined).join('|');
+  // Remembers which grades the progress belongs to, so a change of grades shows as loading
+  const [loaded, setLoaded] = useState({ gradesKey: null, progress: {} });
+
+  useEffect(() => {
+    let isMounted = true;
+    const gradeList = gradesKey ? gradesKey.split('|').map(Number) : [];
+
+    const refresh = () => {
+      loadProgressForGrades(gradeList)
+        .then(progress => isMounted && setLoaded({ gradesKey, progress }))
+        .catch(error => {
+          console.error('Error loading progress:', error);
+          if (isMounted) setLoaded(previous => ({ ...previous, gradesKey }));
+        });
+    };
+
+    refresh();
+    const unsubscribe = subscribeToProgress((grade) => {
+      if (gradeList.includes(grade)) refresh();
+    });
+
+    return () => {
+      isMounted = false;
+      unsubscribe();
+    };
+  }, [gradesKey]);
+
+  return { progress: loaded.progress, isLoading: loaded.gradesKey !== gradesKey };
+};
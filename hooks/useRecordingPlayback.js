@@ -0,0 +1,67 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Audio } from 'expo-av';
+import { getRecordingUri } from '../services/recordings';
+
+// Following SOLID principles - Single Responsibility Principle
+// Plays one recording at a time and exposes its position for play/pause/seek controls
+export const useRecordingPlayback = () => {
+  const soundRef = useRef(null);
+  const [activeId, setActiveId] = useState(null);
+  const [playback, setPlayback] = useState({ isPlaying: false, positionMillis: 0, durationMillis: 0 });
+
+  const unload = useCallback(async () => {
+    const sound = soundRef.current;
+    soundRef.current = null;
+    setActiveId(null);
+    setPlayback({ isPlaying: false, positionMillis: 0, durationMillis: 0 });
+    if (sound) {
+      await sound.unloadAsync();
+    }
+  }, []);
+
+  useEffect(() => () => {
+    soundRef.current?.unloadAsync();
+  }, []);
+
+  const handleStatusUpdate = useCallback((status) => {
+    if (!status.isLoaded) return;
+    setPlayback({
+      isPlaying: status.isPlaying,
+      positionMillis: status.positionMillis,
+      durationMillis: status.durationMillis || 0
+    });
+    if (status.didJustFinish) {
+      soundRef.current?.setPositionAsync(0);
+    }
+  }, []);
+
+  const toggle = async (recording) => {
+    if (activeId === recording.id && soundRef.current) {
+      if (playback.isPlaying) {
+        await soundRef.current.pauseAsync();
+      } else {
+        await soundRef.current.playAsync();
+      }
+      return;
+    }
+
+    await unload();
+    await Audio.setAudioModeAsync({ allowsRecordingIOS: false, playsInSilentModeIOS: true });
+    const { sound } = await Audio.Sound.createAsync(
+      { uri: getRecordingUri(recording) },
+      { shouldPlay: true, progressUpdateIntervalMillis: 250 },
+      handleStatusUpdate
+    );
+    soundRef.current = sound;
+    setActiveId(recording.id);
+  };
+
+  // Seek to a fraction (0-1) of the active recording
+  const seek = async (fraction) => {
+    if (!soundRef.current || playback.durationMillis <= 0) return;
+    const clamped = Math.min(Math.max(fraction, 0), 1);
+    await soundRef.current.setPositionAsync(Math.round(clamped * playback.durationMillis));
+  };
+
+  return { activeId, playback, toggle, seek, stop: unload };
+};
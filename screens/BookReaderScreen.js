@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -7,23 +7,76 @@ import {
   Alert,
   StatusBar,
   SafeAreaView,
-  ScrollView
+  ActivityIndicator
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as WebBrowser from 'expo-web-browser';
+import PdfViewer from '../components/PdfViewer';
+import { getLocalBookUri, getViewerFiles, prepareViewer } from '../services/downloadManager';
+import { getPackFileUri } from '../services/contentPacks';
+import { isPackBook } from '../data/contentPacks';
+import { updateBookProgress, loadGradeProgress } from '../services/progressStorage';
+import { getPageTimerSeconds, getBookSeries } from '../data/books';
+import { usePageTimer } from '../hooks/usePageTimer';
+import { usePageRecorder } from '../hooks/usePageRecorder';
+import { useRecordingPlayback } from '../hooks/useRecordingPlayback';
+import { recordFailure, completeReview } from '../services/failureTracking';
+import { FAILURE_REASONS } from '../data/failureRules';
+import { getBookLock, canStartBook, formatLockReasons } from '../data/unlockRules';
+import { showFailureActionAlert, showPendingReviewAlert } from '../components/FailureNotice';
 
 // Following SOLID principles - Single Responsibility Principle
-// This component handles PDF reading and progress tracking using expo-web-browser
+// This component handles PDF reading and progress tracking using an in-app pdf.js viewer
 
 const BookReaderScreen = ({ route, navigation }) => {
-  const { book, grade, type } = route.params;
+  const { book, grade, type, reviewFor } = route.params;
   const [currentPage, setCurrentPage] = useState(1);
+  const [initialPage, setInitialPage] = useState(null);
   const [totalPages, setTotalPages] = useState(book.totalPages || 0);
   const [progress, setProgress] = useState(0);
   const [isLoading, setIsLoading] = useState(false);
+  const [viewerError, setViewerError] = useState(null);
+  const [pdfSource, setPdfSource] = useState(null);
+  const [viewerFiles, setViewerFiles] = useState(null);
+  // Pack books cannot fall back to the CDN copy of pdf.js, so they wait until it is saved
+  const [isViewerMissing, setIsViewerMissing] = useState(false);
+  const [isDocumentReady, setIsDocumentReady] = useState(false);
+  const [isSessionFinished, setIsSessionFinished] = useState(false);
+  const pdfViewerRef = useRef(null);
+  const completionHandledRef = useRef(false);
+  const pageTimesRef = useRef({});
+  const sessionStartedAtRef = useRef(new Date().toISOString());
+
+  // Extensive books are read in timed mode with automatic page turning
+  const isTimedMode = type === 'extensive';
+  const pageTimer = usePageTimer({
+    seconds: getPageTimerSeconds(book),
+    // The timer stops while the book is read outside the app, where missed pages cannot be told apart
+    enabled: isTimedMode && isDocumentReady && !viewerError && !isSessionFinished,
+    onTick: () => {
+      pageTimesRef.current[currentPage] = (pageTimesRef.current[currentPage] || 0) + 1;
+    },
+    onExpire: () => handleTimerExpire(),
+  });
+
+  // Read-aloud recording, one clip per page
+  const recorder = usePageRecorder({
+    grade,
+    book,
+    onError: () => {
+      Alert.alert(
+        'Recording Unavailable',
+        'We could not record your reading. Please allow microphone access and try again.'
+      );
+    },
+  });
+
+  // Narration that comes with a content-pack book
+  const narration = useRecordingPlayback();
 
   useEffect(() => {
+    checkBookLock();
     loadProgress();
+    loadBookSource();
     
     // Set navigation title
     navigation.setOptions({
@@ -38,43 +91,123 @@ const BookReaderScreen = ({ route, navigation }) => {
     });
   }, [book.title, navigation]);
 
+  // Time spent on the current page is saved when the reader is left
+  useEffect(() => {
+    if (!isTimedMode) return undefined;
+    return navigation.addListener('blur', () => {
+      saveProgress(currentPage);
+    });
+  }, [navigation, isTimedMode, currentPage, totalPages]);
+
+  // Alerts and links can open the reader directly, so the book's prerequisites and review are checked here too
+  const checkBookLock = async () => {
+    try {
+      const progress = await loadGradeProgress(grade);
+      const lock = getBookLock(book, progress);
+      if (lock.locked) {
+        Alert.alert('Locked', formatLockReasons(lock), [
+          { text: 'OK', onPress: () => navigation.goBack() }
+        ], { cancelable: false });
+        return;
+      }
+      showPendingReviewAlert({ book, bookProgress: progress[book.id], navigation, isInReader: true });
+    } catch (error) {
+      console.error('Error checking book prerequisites:', error);
+    }
+  };
+
   // DRY principle - centralized progress loading
   const loadProgress = async () => {
+    let startPage = 1;
     try {
-      const progressKey = `progress_grade_${grade}`;
-      const savedProgress = await AsyncStorage.getItem(progressKey);
-      
-      if (savedProgress) {
-        const parsedProgress = JSON.parse(savedProgress);
-        const bookProgress = parsedProgress[book.id];
-        
-        if (bookProgress && bookProgress.currentPage > 0) {
-          setCurrentPage(bookProgress.currentPage);
-          updateProgress(bookProgress.currentPage, totalPages);
-        }
+      const bookProgress = (await loadGradeProgress(grade))[book.id];
+
+      if (bookProgress && bookProgress.pageTimes) {
+        pageTimesRef.current = { ...bookProgress.pageTimes };
+      }
+
+      // A review read starts from the first page
+      if (bookProgress && bookProgress.currentPage > 0 && !reviewFor) {
+        const pageCount = bookProgress.totalPages || totalPages;
+        startPage = bookProgress.currentPage;
+        setCurrentPage(bookProgress.currentPage);
+        setTotalPages(pageCount);
+        updateProgress(bookProgress.currentPage, pageCount);
       }
     } catch (error) {
       console.error('Error loading progress:', error);
+    } finally {
+      // The viewer opens on the saved page once it is known
+      setInitialPage(startPage);
+    }
+  };
+
+  // Offline first - a downloaded copy is opened instead of the remote PDF
+  const loadBookSource = async () => {
+    if (isPackBook(book)) {
+      await loadPackSource();
+      return;
+    }
+
+    try {
+      // Only the saved viewer's page can read files in the documents folder
+      const uri = await getLocalBookUri(book.id);
+      const files = uri ? await getViewerFiles() : null;
+      if (files) {
+        setViewerFiles(files);
+        setPdfSource({ uri });
+        return;
+      }
+    } catch (error) {
+      console.error('Error reading downloaded book:', error);
+    }
+    setPdfSource({ uri: book.pdfUrl });
+  };
+
+  // Content-pack books only exist on the device and have no web copy to fall back to
+  const loadPackSource = async () => {
+    try {
+      const uri = await getPackFileUri(book.pdfUrl);
+      if (!uri) {
+        handleViewerError(new Error(`Pack file not found: ${book.pdfUrl}`));
+        return;
+      }
+      if (!(await prepareViewer())) {
+        setIsViewerMissing(true);
+        handleViewerError(new Error('The viewer is not saved on this device'));
+        return;
+      }
+      setViewerFiles(await getViewerFiles());
+      setPdfSource({ uri });
+    } catch (error) {
+      handleViewerError(error);
     }
   };
 
   // SOLID - Interface Segregation: Separate progress saving logic
-  const saveProgress = async (page, completed = false) => {
+  const saveProgress = async (page, completed = false, pageCount = totalPages) => {
     try {
-      const progressKey = `progress_grade_${grade}`;
-      const existingProgress = await AsyncStorage.getItem(progressKey);
-      let progressData = existingProgress ? JSON.parse(existingProgress) : {};
-      
-      progressData[book.id] = {
-        currentPage: page,
-        totalPages: totalPages,
-        completed: completed,
-        lastRead: new Date().toISOString(),
-        bookTitle: book.title,
-        bookType: type
-      };
-      
-      await AsyncStorage.setItem(progressKey, JSON.stringify(progressData));
+      // Serialized with recording saves, which update the same record
+      await updateBookProgress(grade, book.id, (previousProgress) => {
+        // A failure reset during this session wins over the reader's own saves
+        const lastReset = previousProgress.resets?.[previousProgress.resets.length - 1];
+        if (lastReset && lastReset.at > sessionStartedAtRef.current) {
+          return previousProgress;
+        }
+
+        return {
+          ...previousProgress,
+          currentPage: page,
+          totalPages: pageCount,
+          // Re-reading a finished book must not take its completion away
+          completed: completed || Boolean(previousProgress.completed),
+          lastRead: new Date().toISOString(),
+          bookTitle: book.title,
+          bookType: type,
+          // Seconds spent on each page in timed mode, keyed by page number
+          ...(isTimedMode && { pageTimes: { ...pageTimesRef.current } })
+        };
+      });
     } catch (error) {
       console.error('Error saving progress:', error);
     }
@@ -86,13 +219,14 @@ const BookReaderScreen = ({ route, navigation }) => {
     setProgress(progressPercent);
   };
 
-  // Handle opening PDF in external viewer
+  // Fallback - open the PDF in the device browser when the in-app viewer fails
   const handleOpenPDF = async () => {
     try {
       setIsLoading(true);
       await WebBrowser.openBrowserAsync(book.pdfUrl);
       setIsLoading(false);
     } catch (error) {
+      console.error('Error opening PDF externally:', error);
       setIsLoading(false);
       Alert.alert(
         'Error',
@@ -102,23 +236,165 @@ const BookReaderScreen = ({ route, navigation }) => {
     }
   };
 
-  // Manual page tracking for progress
+  // The document's real page count wins over the catalog value when they disagree
+  const handleDocumentLoad = async (numPages) => {
+    setIsDocumentReady(true);
+    if (!numPages || numPages === totalPages) return;
+
+    const page = Math.min(currentPage, numPages);
+    setTotalPages(numPages);
+    setCurrentPage(page);
+    updateProgress(page, numPages);
+    await saveProgress(page, false, numPages);
+  };
+
+  const handleViewerError = (error) => {
+    console.error('Error rendering PDF:', error);
+    setViewerError(error);
+  };
+
+  // The viewer marks the page itself, and the rest of the book stays open
+  const handlePageError = (page, error) => {
+    console.error(`Error rendering page ${page}:`, error);
+  };
+
+  // Page tracking driven by the page visible in the viewer
   const handlePageUpdate = async (page) => {
-    if (page < 1 || page > totalPages) return;
+    if (page < 1 || page > totalPages || page === currentPage) return;
     
     setCurrentPage(page);
     updateProgress(page, totalPages);
+    pageTimer.reset();
+    recorder.changePage(page);
     await saveProgress(page, false);
     
-    if (page === totalPages) {
+    // In timed mode the last page is finished with the Finish button or by its timer
+    if (page === totalPages && !isTimedMode) {
       handleBookCompletion();
     }
   };
 
+  // Automatic page turning when the page timer runs out
+  const handleTimerExpire = () => {
+    if (currentPage >= totalPages) {
+      handleBookCompletion();
+      return;
+    }
+    pageTimer.reset();
+    handleTimerMiss(currentPage);
+    goToPage(currentPage + 1);
+  };
+
+  // A page the timer turned counts as missed; enough misses reset the book
+  const handleTimerMiss = async (page) => {
+    try {
+      const { action } = await recordFailure(grade, book, FAILURE_REASONS.TIMER, { page });
+      if (!action) return;
+
+      completionHandledRef.current = true;
+      setIsSessionFinished(true);
+      recorder.stop();
+      showFailureActionAlert({ action, book, grade, navigation });
+    } catch (error) {
+      console.error('Error recording missed page:', error);
+    }
+  };
+
+  // Buttons scroll the viewer, which then reports the new page back
+  const goToPage = (page) => {
+    if (page < 1 || page > totalPages) return;
+
+    if (viewerError || !pdfViewerRef.current) {
+      handlePageUpdate(page);
+      return;
+    }
+    pdfViewerRef.current.goToPage(page);
+  };
+
   // YAGNI principle - only handle completion when needed
+  // The book's series, when the next book in it is unread and can be started
+  const getReadySeriesNext = async () => {
+    const bookSeries = getBookSeries(book);
+    if (!bookSeries?.nextBook) return null;
+
+    const nextProgress = await loadGradeProgress(bookSeries.nextBook.grade);
+    if (nextProgress[bookSeries.nextBook.id]?.completed || !canStartBook(bookSeries.nextBook, nextProgress)) {
+      return null;
+    }
+    return bookSeries;
+  };
+
   const handleBookCompletion = async () => {
+    if (completionHandledRef.current) return;
+    completionHandledRef.current = true;
+    setIsSessionFinished(true);
+    recorder.stop();
+
     try {
       await saveProgress(totalPages, true);
+
+      // Finishing an intensive book again clears the extensive books waiting on it
+      if (type === 'intensive') {
+        const reviewedBookIds = await completeReview(grade, book.id);
+        if (reviewedBookIds.length > 0) {
+          Alert.alert(
+            'Review Complete! 🌟',
+            `Great job reading "${book.title}" again. Your extensive books are ready for you.`,
+            [{ text: 'Go Back', onPress: () => navigation.goBack() }]
+          );
+          return;
+        }
+      }
+
+      const bookSeries = await getReadySeriesNext();
+
+      // Extensive books end with their quiz, whose results offer the series' next part
+      if (type === 'extensive' && book.quizQuestions && book.quizQuestions.length > 0) {
+        const nextInSeries = bookSeries
+          ? { seriesTitle: bookSeries.series.title, book: bookSeries.nextBook }
+          : null;
+        Alert.alert(
+          'Congratulations! 🎉',
+          `You have completed "${book.title}"! Now let's see what you remember.`,
+          [
+            {
+              text: 'Later',
+              style: 'cancel',
+              onPress: () => navigation.goBack()
+            },
+            {
+              text: 'Take Quiz',
+              onPress: () => navigation.replace('Quiz', { book, grade, nextInSeries })
+            }
+          ]
+        );
+        return;
+      }
+
+      // Series books lead straight on to the next part
+      if (bookSeries) {
+        const { nextBook } = bookSeries;
+        Alert.alert(
+          'Congratulations! 🎉',
+          `You have completed "${book.title}"! Next in ${bookSeries.series.title}: "${nextBook.title}".`,
+          [
+            {
+              text: 'Later',
+              style: 'cancel',
+              onPress: () => navigation.goBack()
+            },
+            {
+              text: 'Read Next',
+              onPress: () => navigation.replace('BookReader', {
+                book: nextBook,
+                grade: nextBook.grade,
+                type: nextBook.type
+              })
+            }
+          ]
+        );
+        return;
+      }
       
       Alert.alert(
         'Congratulations! 🎉',
@@ -142,6 +418,7 @@ const BookReaderScreen = ({ route, navigation }) => {
   // Following SOLID - Open/Closed Principle: Components can be extended
   const ProgressBar = () => (
     <View style={styles.progressContainer}>
+      <Text style={styles.bookTitle} numberOfLines={1}>{book.title}</Text>
       <View style={styles.progressInfo}>
         <Text style={styles.progressText}>
           Page {currentPage} of {totalPages}
@@ -162,21 +439,133 @@ const BookReaderScreen = ({ route, navigation }) => {
     </View>
   );
 
-  const ManualProgressControls = () => (
-    <View style={styles.manualControlsContainer}>
-      <Text style={styles.manualControlsTitle}>Track Your Progress</Text>
-      <Text style={styles.manualControlsSubtitle}>
-        Update your reading progress manually as you read
-      </Text>
-      
-      <View style={styles.pageInputContainer}>
+  const TimerBar = () => (
+    <View style={styles.timerContainer}>
+      <View style={styles.timerInfo}>
+        <View>
+          <Text style={styles.timerText}>
+            ⏱️ {pageTimer.secondsLeft}s left on this page
+          </Text>
+          <Text style={styles.timerHint}>
+            {currentPage >= totalPages ? 'Tap Finish when you reach the end' : 'Tap Next when you finish the page'}
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.timerButton}
+          onPress={pageTimer.isPaused ? pageTimer.resume : pageTimer.pause}
+          disabled={isSessionFinished}
+        >
+          <Text style={styles.timerButtonText}>
+            {pageTimer.isPaused ? 'Resume' : 'Pause'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.timerBarBackground}>
+        <View
+          style={[
+            styles.timerBarFill,
+            { width: `${Math.round((pageTimer.secondsLeft / getPageTimerSeconds(book)) * 100)}%` }
+          ]}
+        />
+      </View>
+    </View>
+  );
+
+  const handleDeleteRecording = (recording) => {
+    Alert.alert(
+      'Delete Recording',
+      'Are you sure you want to delete this recording? This action cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await recorder.remove(recording.id);
+            } catch (error) {
+              console.error('Error deleting recording:', error);
+              Alert.alert('Error', 'Failed to delete recording. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // The narration is stopped so it is not recorded with the student's voice
+  const startReadingAloud = async () => {
+    await narration.stop();
+    recorder.start(currentPage);
+  };
+
+  const toggleNarration = async () => {
+    try {
+      await narration.toggle({ id: book.id, uri: book.audioUrl });
+    } catch (error) {
+      console.error('Error playing narration:', error);
+      Alert.alert('Error', 'The narration for this book could not be played.');
+    }
+  };
+
+  const RecordingBar = () => {
+    const pageRecordings = recorder.recordings.filter(recording => recording.page === currentPage);
+    const latestRecording = pageRecordings[pageRecordings.length - 1];
+
+    return (
+      <View style={styles.recordingContainer}>
+        <TouchableOpacity
+          style={[styles.recordButton, recorder.isReadingAloud && styles.recordButtonActive]}
+          onPress={() => (recorder.isReadingAloud ? recorder.stop() : startReadingAloud())}
+        >
+          <Text style={styles.recordButtonText}>
+            {recorder.isReadingAloud ? '⏹ Stop Reading Aloud' : '🎙️ Read Aloud'}
+          </Text>
+        </TouchableOpacity>
+
+        {book.audioUrl && !recorder.isReadingAloud && (
+          <TouchableOpacity
+            style={[styles.recordButton, styles.listenButton]}
+            onPress={toggleNarration}
+          >
+            <Text style={styles.recordButtonText}>
+              {narration.playback.isPlaying ? '⏸ Pause' : '🔊 Listen'}
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        <View style={styles.recordingInfo}>
+          <Text style={styles.recordingText}>
+            {recorder.isReadingAloud
+              ? `Recording page ${currentPage}...`
+              : `${pageRecordings.length} recording${pageRecordings.length === 1 ? '' : 's'} on this page`}
+          </Text>
+          {!recorder.isReadingAloud && latestRecording && (
+            <TouchableOpacity onPress={() => handleDeleteRecording(latestRecording)}>
+              <Text style={styles.deleteRecordingText}>Delete latest</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  // In timed mode the last page has a Finish button instead of waiting for its timer
+  const PageControls = () => {
+    const isLastPage = currentPage >= totalPages;
+    const canFinish = isTimedMode && isLastPage && !isSessionFinished;
+    const isNextDisabled = isLastPage && !canFinish;
+
+    return (
+      <View style={styles.pageControlsContainer}>
         <TouchableOpacity
           style={[styles.pageButton, currentPage <= 1 && styles.disabledButton]}
-          onPress={() => handlePageUpdate(currentPage - 1)}
+          onPress={() => goToPage(currentPage - 1)}
           disabled={currentPage <= 1}
         >
           <Text style={[styles.pageButtonText, currentPage <= 1 && styles.disabledButtonText]}>
-            ← Previous Page
+            ← Previous
           </Text>
         </TouchableOpacity>
         
@@ -185,57 +574,34 @@ const BookReaderScreen = ({ route, navigation }) => {
         </View>
         
         <TouchableOpacity
-          style={[styles.pageButton, currentPage >= totalPages && styles.disabledButton]}
-          onPress={() => handlePageUpdate(currentPage + 1)}
-          disabled={currentPage >= totalPages}
+          style={[styles.pageButton, isNextDisabled && styles.disabledButton]}
+          onPress={() => (canFinish ? handleBookCompletion() : goToPage(currentPage + 1))}
+          disabled={isNextDisabled}
         >
-          <Text style={[styles.pageButtonText, currentPage >= totalPages && styles.disabledButtonText]}>
-            Next Page →
+          <Text style={[styles.pageButtonText, isNextDisabled && styles.disabledButtonText]}>
+            {canFinish ? 'Finish ✓' : 'Next →'}
           </Text>
         </TouchableOpacity>
       </View>
+    );
+  };
 
-      <View style={styles.quickJumpContainer}>
-        <Text style={styles.quickJumpTitle}>Quick Jump to Page:</Text>
-        <View style={styles.quickJumpButtons}>
-          {[1, Math.floor(totalPages * 0.25), Math.floor(totalPages * 0.5), Math.floor(totalPages * 0.75), totalPages].map((page, index) => (
-            <TouchableOpacity
-              key={index}
-              style={[styles.quickJumpButton, currentPage === page && styles.activeQuickJumpButton]}
-              onPress={() => handlePageUpdate(page)}
-            >
-              <Text style={[styles.quickJumpButtonText, currentPage === page && styles.activeQuickJumpButtonText]}>
-                {page}
-              </Text>
-            </TouchableOpacity>
-          ))}
-        </View>
-      </View>
-    </View>
-  );
-
-  return (
-    <SafeAreaView style={styles.container}>
-      <StatusBar barStyle="light-content" backgroundColor="#4CAF50" />
-      
-      {/* Progress Bar */}
-      <ProgressBar />
-      
-      <ScrollView style={styles.contentContainer} contentContainerStyle={styles.scrollContent}>
-        {/* Book Info */}
-        <View style={styles.bookInfoContainer}>
-          <Text style={styles.bookTitle}>{book.title}</Text>
-          <Text style={styles.bookDetails}>
-            Grade {book.grade} • {book.type} Learning • {book.totalPages} pages
+  const ViewerFallback = () => (
+    <View style={styles.fallbackContainer}>
+      <Text style={styles.fallbackTitle}>We could not show this book here</Text>
+      {isPackBook(book) ? (
+        // Pack books have no web copy to fall back to
+        <Text style={styles.fallbackText}>
+          {isViewerMissing
+            ? 'The book reader is not saved on this device yet. Connect to the internet once and open this book again.'
+            : `The file for this book is missing from the "${book.pack.name}" content pack. Ask your teacher to install the pack again.`}
+        </Text>
+      ) : (
+        <>
+          <Text style={styles.fallbackText}>
+            Open it in your browser instead and use the page buttons below to track your progress.
           </Text>
-        </View>
 
-        {/* PDF Open Button */}
-        <View style={styles.pdfContainer}>
-          <Text style={styles.pdfInstructions}>
-            📖 Tap the button below to open the PDF in your device's PDF reader
-          </Text>
-          
           <TouchableOpacity
             style={styles.openPdfButton}
             onPress={handleOpenPDF}
@@ -245,34 +611,62 @@ const BookReaderScreen = ({ route, navigation }) => {
               {isLoading ? 'Opening PDF...' : '📄 Open PDF Book'}
             </Text>
           </TouchableOpacity>
-          
-          <Text style={styles.pdfNote}>
-            After reading in the PDF viewer, come back here to track your progress
-          </Text>
+        </>
+      )}
+    </View>
+  );
+
+  const renderViewer = () => {
+    if (viewerError) {
+      return <ViewerFallback />;
+    }
+
+    if (initialPage === null || pdfSource === null) {
+      return (
+        <View style={styles.fallbackContainer}>
+          <ActivityIndicator size="large" color="#4CAF50" />
         </View>
+      );
+    }
 
-        {/* Manual Progress Controls */}
-        <ManualProgressControls />
-
-        {/* Reading Tips */}
-        <View style={styles.tipsContainer}>
-          <Text style={styles.tipsTitle}>📚 Reading Tips</Text>
-          <View style={styles.tipItem}>
-            <Text style={styles.tipText}>• Read at your own pace</Text>
-          </View>
-          <View style={styles.tipItem}>
-            <Text style={styles.tipText}>• Update your progress as you go</Text>
-          </View>
-          <View style={styles.tipItem}>
-            <Text style={styles.tipText}>• Complete all pages to unlock achievements</Text>
-          </View>
-          {type === 'intensive' && (
-            <View style={styles.tipItem}>
-              <Text style={styles.tipText}>• Finish all intensive books to unlock extensive learning</Text>
-            </View>
-          )}
+    return (
+      <PdfViewer
+        ref={pdfViewerRef}
+        source={pdfSource}
+        files={viewerFiles}
+        initialPage={initialPage}
+        onDocumentLoad={handleDocumentLoad}
+        onPageChange={handlePageUpdate}
+        onPageError={handlePageError}
+        onError={handleViewerError}
+      />
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#4CAF50" />
+      
+      {/* Progress Bar */}
+      <ProgressBar />
+
+      {/* Page Timer for timed reading */}
+      {isTimedMode && (viewerError ? (
+        <View style={styles.timerContainer}>
+          <Text style={styles.timerHint}>The page timer is off while the book cannot be shown here</Text>
         </View>
-      </ScrollView>
+      ) : <TimerBar />)}
+
+      {/* Read-aloud Recording */}
+      <RecordingBar />
+      
+      {/* In-app PDF Viewer */}
+      <View style={styles.viewerContainer}>
+        {renderViewer()}
+      </View>
+
+      {/* Page Controls */}
+      <PageControls />
     </SafeAreaView>
   );
 };
@@ -287,6 +681,12 @@ const styles = StyleSheet.create({
     paddingHorizontal: 20,
     paddingVertical: 15,
   },
+  bookTitle: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
   progressInfo: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -313,54 +713,109 @@ const styles = StyleSheet.create({
     backgroundColor: '#fff',
     borderRadius: 3,
   },
-  contentContainer: {
-    flex: 1,
+  timerContainer: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
   },
-  scrollContent: {
-    padding: 20,
+  timerInfo: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  timerText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  timerHint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  timerButton: {
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    borderRadius: 15,
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+  },
+  timerButtonText: {
+    color: '#4CAF50',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  timerBarBackground: {
+    height: 4,
+    backgroundColor: '#e9ecef',
+    borderRadius: 2,
+  },
+  timerBarFill: {
+    height: '100%',
+    backgroundColor: '#FF9800',
+    borderRadius: 2,
   },
-  bookInfoContainer: {
+  recordingContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
     backgroundColor: '#fff',
-    borderRadius: 16,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+  },
+  recordButton: {
+    backgroundColor: '#9C27B0',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginRight: 12,
+  },
+  recordButtonActive: {
+    backgroundColor: '#f44336',
+  },
+  listenButton: {
+    backgroundColor: '#2196F3',
+  },
+  recordButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  recordingInfo: {
+    flex: 1,
+  },
+  recordingText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  deleteRecordingText: {
+    fontSize: 13,
+    color: '#f44336',
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  viewerContainer: {
+    flex: 1,
+  },
+  fallbackContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
     padding: 20,
-    marginBottom: 20,
-    shadowColor: '#000',
-    shadowOffset: {
-      width: 0,
-      height: 2,
-    },
-    shadowOpacity: 0.1,
-    shadowRadius: 8,
-    elevation: 5,
   },
-  bookTitle: {
-    fontSize: 24,
+  fallbackTitle: {
+    fontSize: 20,
     fontWeight: 'bold',
     color: '#2c3e50',
     marginBottom: 8,
     textAlign: 'center',
   },
-  bookDetails: {
-    fontSize: 16,
-    color: '#666',
-    textAlign: 'center',
-  },
-  pdfContainer: {
-    backgroundColor: '#fff',
-    borderRadius: 16,
-    padding: 20,
-    marginBottom: 20,
-    alignItems: 'center',
-    shadowColor: '#000',
-    shadowOffset: {
-      width: 0,
-      height: 2,
-    },
-    shadowOpacity: 0.1,
-    shadowRadius: 8,
-    elevation: 5,
-  },
-  pdfInstructions: {
+  fallbackText: {
     fontSize: 16,
     color: '#666',
     textAlign: 'center',
@@ -372,7 +827,6 @@ const styles = StyleSheet.create({
     paddingVertical: 15,
     paddingHorizontal: 30,
     borderRadius: 12,
-    marginBottom: 15,
     minWidth: 200,
     alignItems: 'center',
   },
@@ -381,44 +835,15 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
-  pdfNote: {
-    fontSize: 14,
-    color: '#999',
-    textAlign: 'center',
-    fontStyle: 'italic',
-  },
-  manualControlsContainer: {
-    backgroundColor: '#fff',
-    borderRadius: 16,
-    padding: 20,
-    marginBottom: 20,
-    shadowColor: '#000',
-    shadowOffset: {
-      width: 0,
-      height: 2,
-    },
-    shadowOpacity: 0.1,
-    shadowRadius: 8,
-    elevation: 5,
-  },
-  manualControlsTitle: {
-    fontSize: 20,
-    fontWeight: 'bold',
-    color: '#2c3e50',
-    marginBottom: 8,
-    textAlign: 'center',
-  },
-  manualControlsSubtitle: {
-    fontSize: 14,
-    color: '#666',
-    textAlign: 'center',
-    marginBottom: 20,
-  },
-  pageInputContainer: {
+  pageControlsContainer: {
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'space-between',
-    marginBottom: 20,
+    backgroundColor: '#fff',
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#e9ecef',
   },
   pageButton: {
     backgroundColor: '#4CAF50',
@@ -445,8 +870,8 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: '#4CAF50',
     borderRadius: 12,
-    width: 60,
-    height: 60,
+    width: 50,
+    height: 50,
     justifyContent: 'center',
     alignItems: 'center',
     marginHorizontal: 10,
@@ -456,72 +881,6 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#4CAF50',
   },
-  quickJumpContainer: {
-    marginTop: 10,
-  },
-  quickJumpTitle: {
-    fontSize: 16,
-    fontWeight: '600',
-    color: '#2c3e50',
-    marginBottom: 10,
-    textAlign: 'center',
-  },
-  quickJumpButtons: {
-    flexDirection: 'row',
-    justifyContent: 'space-around',
-    flexWrap: 'wrap',
-  },
-  quickJumpButton: {
-    backgroundColor: '#f8f9fa',
-    borderWidth: 1,
-    borderColor: '#ddd',
-    borderRadius: 8,
-    paddingVertical: 8,
-    paddingHorizontal: 12,
-    marginHorizontal: 2,
-    marginVertical: 2,
-    minWidth: 40,
-    alignItems: 'center',
-  },
-  activeQuickJumpButton: {
-    backgroundColor: '#4CAF50',
-    borderColor: '#4CAF50',
-  },
-  quickJumpButtonText: {
-    fontSize: 14,
-    color: '#666',
-    fontWeight: '600',
-  },
-  activeQuickJumpButtonText: {
-    color: '#fff',
-  },
-  tipsContainer: {
-    backgroundColor: '#fff',
-    borderRadius: 16,
-    padding: 20,
-    shadowColor: '#000',
-    shadowOffset: {
-      width: 0,
-      height: 2,
-    },
-    shadowOpacity: 0.1,
-    shadowRadius: 8,
-    elevation: 5,
-  },
-  tipsTitle: {
-    fontSize: 18,
-    fontWeight: 'bold',
-    color: '#2c3e50',
-    marginBottom: 15,
-  },
-  tipItem: {
-    marginBottom: 8,
-  },
-  tipText: {
-    fontSize: 16,
-    color: '#666',
-    lineHeight: 24,
-  },
 });
 
 export default BookReaderScreen; 
\ No newline at end of file
@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert
+} from 'react-native';
+import { getBooksByGrade, getCatalogGrades } from '../data/books';
+import { getBookLock, formatLockReasons } from '../data/unlockRules';
+import {
+  DEFAULT_BOOK_FILTERS,
+  filterAndSortBooks,
+  getAvailableTags,
+  getBookPageCount,
+  getBookProgressPercent
+} from '../data/bookSearch';
+import { useProgress } from '../hooks/useProgress';
+import { loadSettings } from '../services/appSettings';
+import BookFilters from '../components/BookFilters';
+import { showPendingReviewAlert } from '../components/FailureNotice';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component searches intensive and extensive books together, optionally across grades
+
+const BookSearchScreen = ({ route, navigation }) => {
+  const { grade } = route.params;
+  const [books, setBooks] = useState([]);
+  // Grades whose books are listed; their progress comes from useProgress and stays current
+  const [grades, setGrades] = useState([grade]);
+  const [filters, setFilters] = useState(DEFAULT_BOOK_FILTERS);
+  const [crossGradeAllowed, setCrossGradeAllowed] = useState(false);
+  const [showAllGrades, setShowAllGrades] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const { progress, isLoading: isProgressLoading } = useProgress(grades);
+
+  useEffect(() => {
+    loadBooks();
+  }, [grade, showAllGrades]);
+
+  // DRY principle - centralized data loading
+  const loadBooks = async () => {
+    try {
+      // Other grades are only searched when a teacher allows it
+      const settings = await loadSettings();
+      setCrossGradeAllowed(settings.crossGradeSearch);
+      const listGrades = settings.crossGradeSearch && showAllGrades ? getCatalogGrades() : [grade];
+
+      setBooks(listGrades.flatMap(bookGrade => {
+        const gradeBooks = getBooksByGrade(bookGrade);
+        return [...(gradeBooks.intensive || []), ...(gradeBooks.extensive || [])];
+      }));
+      setGrades(listGrades);
+    } catch (error) {
+      console.error('Error loading books:', error);
+      Alert.alert('Error', 'Failed to load books. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleBookSelection = (book) => {
+    const lock = getBookLock(book, progress);
+    if (lock.locked) {
+      Alert.alert('Locked', formatLockReasons(lock), [{ text: 'OK' }]);
+      return;
+    }
+    if (showPendingReviewAlert({ book, bookProgress: progress[book.id], navigation })) {
+      return;
+    }
+
+    navigation.navigate('BookReader', {
+      book,
+      grade: book.grade,
+      type: book.type
+    });
+  };
+
+  const visibleBooks = filterAndSortBooks(books, filters, book => progress[book.id]);
+
+  // Following SOLID - Open/Closed Principle: Component can be extended
+  const SearchResultItem = ({ book }) => {
+    const bookProgress = progress[book.id] || {};
+    const percent = getBookProgressPercent(book, bookProgress);
+    const lock = getBookLock(book, progress);
+
+    return (
+      <TouchableOpacity
+        style={[styles.resultItem, lock.locked && styles.lockedResultItem]}
+        onPress={() => handleBookSelection(book)}
+      >
+        <View style={styles.resultInfo}>
+          <Text style={styles.resultTitle} numberOfLines={1}>{book.title}</Text>
+          <Text style={styles.resultMeta}>
+            {book.author ? `${book.author} • ` : ''}Grade {book.grade} • {book.type} • {getBookPageCount(book, bookProgress)} pages
+          </Text>
+          {book.tags && book.tags.length > 0 && (
+            <Text style={styles.resultTags}>{book.tags.map(tag => `#${tag}`).join(' ')}</Text>
+          )}
+          {lock.locked && <Text style={styles.lockReason}>🔒 {lock.reasons[0]}</Text>}
+        </View>
+        <Text style={[styles.resultProgress, bookProgress.completed && styles.completedProgress]}>
+          {bookProgress.completed ? '✓' : `${percent}%`}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderEmptyState = () => (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyIcon}>🔍</Text>
+      <Text style={styles.emptyTitle}>No Matching Books</Text>
+      <Text style={styles.emptyDescription}>
+        {books.length > 0
+          ? 'Try a different search or clear some filters.'
+          : `No books are available for Grade ${grade} yet.`}
+      </Text>
+    </View>
+  );
+
+  if (isLoading || isProgressLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.loadingText}>Loading books...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Find a Book</Text>
+        <Text style={styles.subtitle}>
+          {crossGradeAllowed && showAllGrades ? 'All Grades' : `Grade ${grade}`} • {books.length} books
+        </Text>
+
+        <BookFilters
+          filters={filters}
+          onChange={setFilters}
+          availableTags={getAvailableTags(books)}
+          showTypeFilter
+          crossGrade={{ allowed: crossGradeAllowed, enabled: showAllGrades, onChange: setShowAllGrades }}
+          resultCount={visibleBooks.length}
+        />
+      </View>
+
+      <FlatList
+        data={visibleBooks}
+        renderItem={({ item }) => <SearchResultItem book={item} />}
+        keyExtractor={(item) => item.id}
+        keyboardShouldPersistTaps="handled"
+        contentContainerStyle={[
+          styles.listContainer,
+          visibleBooks.length === 0 && styles.emptyListContainer
+        ]}
+        showsVerticalScrollIndicator={false}
+        ListEmptyComponent={renderEmptyState}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f8f9fa',
+  },
+  loadingText: {
+    fontSize: 18,
+    color: '#666',
+  },
+  header: {
+    backgroundColor: '#fff',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 5,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+  },
+  listContainer: {
+    padding: 20,
+  },
+  emptyListContainer: {
+    flex: 1,
+    justifyContent: 'center',
+  },
+  resultItem: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 1,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  lockedResultItem: {
+    opacity: 0.6,
+  },
+  resultInfo: {
+    flex: 1,
+    marginRight: 15,
+  },
+  resultTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginBottom: 4,
+  },
+  resultMeta: {
+    fontSize: 13,
+    color: '#666',
+  },
+  resultTags: {
+    fontSize: 12,
+    color: '#2196F3',
+    marginTop: 4,
+  },
+  lockReason: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#e67e22',
+    marginTop: 4,
+  },
+  resultProgress: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#4CAF50',
+  },
+  completedProgress: {
+    fontSize: 18,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyIcon: {
+    fontSize: 64,
+    marginBottom: 20,
+  },
+  emptyTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  emptyDescription: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
+
+export default BookSearchScreen;
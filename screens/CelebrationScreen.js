@@ -0,0 +1,157 @@
+import React, { useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Animated
+} from 'react-native';
+import { CommonActions } from '@react-navigation/native';
+import { getStickerTier } from '../data/stickers';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component celebrates a sticker earned on a quiz
+
+const CelebrationScreen = ({ route, navigation }) => {
+  const { book, sticker, score, nextInSeries } = route.params;
+  const tier = getStickerTier(sticker.tier);
+  const scale = useRef(new Animated.Value(0.3)).current;
+
+  useEffect(() => {
+    Animated.spring(scale, {
+      toValue: 1,
+      friction: 4,
+      useNativeDriver: true,
+    }).start();
+  }, [scale]);
+
+  const handleSeeStickers = () => {
+    navigation.navigate('Profile');
+  };
+
+  const handleContinue = () => {
+    navigation.goBack();
+  };
+
+  // The quiz underneath is replaced too, so Back from the next part returns to the book list
+  const handleReadNext = () => {
+    const nextBook = nextInSeries.book;
+    navigation.dispatch(state => {
+      const routes = [
+        ...state.routes.slice(0, -2),
+        { name: 'BookReader', params: { book: nextBook, grade: nextBook.grade, type: nextBook.type } }
+      ];
+      return CommonActions.reset({ ...state, routes, index: routes.length - 1 });
+    });
+  };
+
+  if (!tier) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Amazing Work! 🎉</Text>
+
+      <Animated.View style={[styles.stickerCircle, { borderColor: tier.color, transform: [{ scale }] }]}>
+        <Text style={styles.stickerEmoji}>{tier.emoji}</Text>
+      </Animated.View>
+
+      <Text style={styles.stickerName}>{tier.name} Sticker</Text>
+      <Text style={styles.description}>
+        You scored {score}% on the &quot;{book.title}&quot; quiz and earned a {tier.name.toLowerCase()} sticker for your album!
+      </Text>
+
+      {nextInSeries && (
+        <TouchableOpacity style={[styles.primaryButton, styles.readNextButton]} onPress={handleReadNext}>
+          <Text style={styles.primaryButtonText}>Read Next: &quot;{nextInSeries.book.title}&quot;</Text>
+        </TouchableOpacity>
+      )}
+      <TouchableOpacity style={styles.primaryButton} onPress={handleSeeStickers}>
+        <Text style={styles.primaryButtonText}>See My Stickers</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.secondaryButton} onPress={handleContinue}>
+        <Text style={styles.secondaryButtonText}>Continue</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f8f9fa',
+    padding: 30,
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 30,
+    textAlign: 'center',
+  },
+  stickerCircle: {
+    width: 160,
+    height: 160,
+    borderRadius: 80,
+    borderWidth: 6,
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 5,
+  },
+  stickerEmoji: {
+    fontSize: 80,
+  },
+  stickerName: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 10,
+  },
+  description: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 24,
+    marginBottom: 30,
+  },
+  primaryButton: {
+    backgroundColor: '#4CAF50',
+    paddingVertical: 15,
+    paddingHorizontal: 30,
+    borderRadius: 12,
+    minWidth: 220,
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  readNextButton: {
+    backgroundColor: '#2196F3',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    paddingVertical: 12,
+    paddingHorizontal: 30,
+  },
+  secondaryButtonText: {
+    color: '#4CAF50',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default CelebrationScreen;
@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator
+} from 'react-native';
+import {
+  loadContentPacks,
+  pickAndImportContentPack,
+  removeContentPack,
+  PACK_IMPORT_STATUS
+} from '../services/contentPacks';
+import { formatBytes } from '../services/downloadManager';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component lets a teacher install, update and remove content packs
+
+const ContentPacksScreen = () => {
+  const [packs, setPacks] = useState([]);
+  const [busyPackId, setBusyPackId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    loadPacks();
+  }, []);
+
+  const loadPacks = async () => {
+    try {
+      setPacks([...(await loadContentPacks())]);
+    } catch (error) {
+      console.error('Error loading content packs:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // SOLID - Open/Closed Principle: each import outcome only adds a message here
+  const showImportResult = (result) => {
+    const viewerNote = result.viewerReady === false
+      ? '\n\nThe book reader could not be saved without internet access. Connect once and open a pack book so its books can be read offline.'
+      : '';
+
+    switch (result.status) {
+      case PACK_IMPORT_STATUS.INSTALLED:
+        Alert.alert('Pack Installed 📦', `"${result.pack.name}" added ${result.pack.bookCount} book(s).${viewerNote}`);
+        break;
+      case PACK_IMPORT_STATUS.UPDATED:
+        Alert.alert(
+          'Pack Updated 📦',
+          `"${result.pack.name}" was updated from version ${result.previousVersion} to ${result.pack.version}. Reading progress is kept.${viewerNote}`
+        );
+        break;
+      case PACK_IMPORT_STATUS.NOT_NEWER:
+        Alert.alert(
+          'Already Installed',
+          `Version ${result.installed.version} of "${result.pack.name}" is installed. Choose a zip with a newer version to update it.`
+        );
+        break;
+      case PACK_IMPORT_STATUS.WRONG_PACK:
+        Alert.alert('Different Pack', `This zip contains "${result.pack.name}", not the pack you chose to update.`);
+        break;
+      case PACK_IMPORT_STATUS.INVALID:
+        Alert.alert('Pack Not Installed', `Please fix the pack and try again.\n\n${result.report}`);
+        break;
+      default:
+        break;
+    }
+  };
+
+  // An update is a newer zip of the same pack
+  const handleImport = async (packToUpdate = null) => {
+    setBusyPackId(packToUpdate ? packToUpdate.id : 'new');
+    try {
+      const result = await pickAndImportContentPack({ expectedPackId: packToUpdate?.id });
+      showImportResult(result);
+      await loadPacks();
+    } catch (error) {
+      console.error('Error importing content pack:', error);
+      Alert.alert('Error', 'Failed to read the zip file. Please check the file and try again.');
+    } finally {
+      setBusyPackId(null);
+    }
+  };
+
+  const handleRemove = (pack) => {
+    Alert.alert(
+      'Remove Pack',
+      `Remove "${pack.name}" and its ${pack.bookCount} book(s) from this device? Reading progress is kept in case the pack is installed again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await removeContentPack(pack.id);
+              await loadPacks();
+            } catch (error) {
+              console.error('Error removing content pack:', error);
+              Alert.alert('Error', 'Failed to remove the pack. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Following SOLID - Open/Closed Principle: Component can be extended
+  const PackItem = ({ pack }) => (
+    <View style={styles.packItem}>
+      <Text style={styles.packName}>{pack.name}</Text>
+      {pack.description ? <Text style={styles.packDescription}>{pack.description}</Text> : null}
+      <Text style={styles.packMeta}>
+        Version {pack.version} • {pack.bookCount} book(s) • {formatBytes(pack.size)}
+      </Text>
+      <Text style={styles.packMeta}>
+        Updated {new Date(pack.updatedAt).toLocaleDateString()}
+      </Text>
+
+      <View style={styles.packActions}>
+        <TouchableOpacity
+          style={[styles.packButton, busyPackId && styles.disabledButton]}
+          onPress={() => handleImport(pack)}
+          disabled={Boolean(busyPackId)}
+        >
+          <Text style={styles.packButtonText}>
+            {busyPackId === pack.id ? 'Updating...' : 'Update'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.packButton, styles.removeButton]}
+          onPress={() => handleRemove(pack)}
+          disabled={Boolean(busyPackId)}
+        >
+          <Text style={[styles.packButtonText, styles.removeButtonText]}>Remove</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.loadingText}>Loading packs...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      <Text style={styles.introText}>
+        Content packs add your school&apos;s own books, with their PDFs and audio, without internet access.
+        Choose a pack zip file to install it.
+      </Text>
+
+      <TouchableOpacity
+        style={[styles.importButton, busyPackId && styles.disabledButton]}
+        onPress={() => handleImport()}
+        disabled={Boolean(busyPackId)}
+      >
+        {busyPackId === 'new' ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.importButtonText}>📦 Import Pack</Text>
+        )}
+      </TouchableOpacity>
+
+      {packs.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>No content packs installed yet.</Text>
+        </View>
+      ) : (
+        packs.map(pack => <PackItem key={pack.id} pack={pack} />)
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  contentContainer: {
+    padding: 20,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f8f9fa',
+  },
+  loadingText: {
+    fontSize: 18,
+    color: '#666',
+  },
+  introText: {
+    fontSize: 15,
+    color: '#666',
+    lineHeight: 22,
+    marginBottom: 20,
+  },
+  importButton: {
+    backgroundColor: '#4CAF50',
+    borderRadius: 12,
+    paddingVertical: 15,
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  importButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 30,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#999',
+  },
+  packItem: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 1,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  packName: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 4,
+  },
+  packDescription: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 6,
+  },
+  packMeta: {
+    fontSize: 13,
+    color: '#999',
+    marginBottom: 2,
+  },
+  packActions: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  packButton: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginRight: 10,
+  },
+  packButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  removeButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#f44336',
+  },
+  removeButtonText: {
+    color: '#f44336',
+  },
+});
+
+export default ContentPacksScreen;
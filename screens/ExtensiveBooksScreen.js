@@ -0,0 +1,515 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert
+} from 'react-native';
+import { getExtensiveBooks, getCatalogGrades, getSeries } from '../data/books';
+import { DEFAULT_BOOK_FILTERS, filterAndSortBooks, getAvailableTags } from '../data/bookSearch';
+import { groupBooksBySeries } from '../data/series';
+import { getBookRecord } from '../services/progressStorage';
+import { useProgress } from '../hooks/useProgress';
+import { loadSettings } from '../services/appSettings';
+import { getBookLock, formatLockReasons } from '../data/unlockRules';
+import { getStickerTier } from '../data/stickers';
+import { useBookDownloads } from '../hooks/useBookDownloads';
+import { BookDownloadButton, DownloadsSummary } from '../components/DownloadControls';
+import BookFilters from '../components/BookFilters';
+import SeriesGroup from '../components/SeriesGroup';
+import FailureNotice, { showPendingReviewAlert } from '../components/FailureNotice';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component handles extensive books listing, progress and quiz status
+
+const ExtensiveBooksScreen = ({ route, navigation }) => {
+  const { grade } = route.params;
+  const [books, setBooks] = useState([]);
+  const [series, setSeries] = useState([]);
+  // Grades whose books are listed; their progress comes from useProgress and stays current
+  const [grades, setGrades] = useState([grade]);
+  const [isLoading, setIsLoading] = useState(true);
+  const { progress, isLoading: isProgressLoading } = useProgress(grades);
+  const [filters, setFilters] = useState(DEFAULT_BOOK_FILTERS);
+  const [crossGradeAllowed, setCrossGradeAllowed] = useState(false);
+  const [showAllGrades, setShowAllGrades] = useState(false);
+  const downloads = useBookDownloads(books);
+
+  useEffect(() => {
+    loadBooks();
+  }, [grade, showAllGrades]);
+
+  // DRY principle - centralized data loading
+  const loadBooks = async () => {
+    try {
+      // Other grades are only listed when a teacher allows it
+      const settings = await loadSettings();
+      setCrossGradeAllowed(settings.crossGradeSearch);
+      const listGrades = settings.crossGradeSearch && showAllGrades ? getCatalogGrades() : [grade];
+
+      setBooks(listGrades.flatMap(getExtensiveBooks));
+      setSeries(listGrades.flatMap(getSeries));
+      setGrades(listGrades);
+    } catch (error) {
+      console.error('Error loading books:', error);
+      Alert.alert('Error', 'Failed to load books. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // SOLID - Interface Segregation: Separate book selection logic
+  const handleBookSelection = (book) => {
+    if (!book) {
+      Alert.alert('Error', 'Invalid book selection.');
+      return;
+    }
+
+    const lock = getBookLock(book, progress);
+    if (lock.locked) {
+      Alert.alert('Locked', formatLockReasons(lock), [{ text: 'OK' }]);
+      return;
+    }
+
+    // A failure rule can send the student back to an intensive book first
+    if (showPendingReviewAlert({ book, bookProgress: getBookProgress(book.id), navigation })) {
+      return;
+    }
+
+    navigation.navigate('BookReader', {
+      book,
+      grade: book.grade,
+      type: 'extensive'
+    });
+  };
+
+  // Retakes are allowed once the book has been read
+  const handleQuizSelection = (book) => {
+    navigation.navigate('Quiz', { book, grade: book.grade });
+  };
+
+  // DRY principle - reusable progress calculation
+  const getBookProgress = (bookId) => {
+    return getBookRecord(progress, bookId);
+  };
+
+  // The reader stores the document's real page count, which wins over the catalog value
+  const getTotalPages = (book) => {
+    return getBookProgress(book.id).totalPages || book.totalPages;
+  };
+
+  const getProgressPercentage = (bookId, totalPages) => {
+    const bookProgress = getBookProgress(bookId);
+    if (bookProgress.completed) return 100;
+    return totalPages > 0 ? Math.round((bookProgress.currentPage / totalPages) * 100) : 0;
+  };
+
+  // Quiz status per book - scores are stored as percentages on the book's progress record
+  const getQuizStatus = (book) => {
+    const bookProgress = getBookProgress(book.id);
+    const attempts = bookProgress.quizAttempts || [];
+
+    if (!book.quizQuestions || book.quizQuestions.length === 0) {
+      return { label: 'No quiz', style: styles.quizNone };
+    }
+    // After a failure reset the book is read again before the next attempt
+    if (attempts.length > 0 && !bookProgress.completed) {
+      return {
+        label: `Best ${bookProgress.quizBestScore || 0}% • Read again to retake`,
+        style: styles.quizLocked
+      };
+    }
+    if (attempts.length > 0) {
+      const stickerTier = bookProgress.sticker ? getStickerTier(bookProgress.sticker.tier) : null;
+      return {
+        label: `${stickerTier ? `${stickerTier.emoji} ` : ''}Best ${bookProgress.quizBestScore || 0}% • Latest ${bookProgress.quizLatestScore || 0}% • Retake`,
+        style: styles.quizTaken,
+        available: true
+      };
+    }
+    if (bookProgress.completed) {
+      return { label: 'Quiz ready • Tap to start', style: styles.quizReady, available: true };
+    }
+    return { label: 'Quiz unlocks after reading', style: styles.quizLocked };
+  };
+
+  // Following SOLID - Open/Closed Principle: Component can be extended
+  const BookItem = ({ book }) => {
+    const bookProgress = getBookProgress(book.id);
+    const totalPages = getTotalPages(book);
+    const progressPercentage = getProgressPercentage(book.id, totalPages);
+    const isCompleted = bookProgress.completed;
+    const lock = getBookLock(book, progress);
+    const quizStatus = getQuizStatus(book);
+
+    return (
+      <TouchableOpacity
+        style={[styles.bookItem, isCompleted && styles.completedBookItem, lock.locked && styles.lockedBookItem]}
+        onPress={() => handleBookSelection(book)}
+      >
+        <View style={styles.bookHeader}>
+          <View style={styles.bookInfo}>
+            <Text style={[styles.bookTitle, isCompleted && styles.completedText]}>
+              {book.title}
+            </Text>
+            <Text style={styles.bookDetails}>
+              {book.author ? `${book.author} • ` : ''}{totalPages} pages • Grade {book.grade}
+            </Text>
+          </View>
+          
+          <View style={styles.statusContainer}>
+            {lock.locked ? (
+              <Text style={styles.lockIcon}>🔒</Text>
+            ) : isCompleted ? (
+              <View style={styles.completedBadge}>
+                <Text style={styles.completedBadgeText}>✓</Text>
+              </View>
+            ) : (
+              <Text style={styles.progressText}>{progressPercentage}%</Text>
+            )}
+          </View>
+        </View>
+
+        {/* Progress Bar */}
+        <View style={styles.progressBarContainer}>
+          <View style={styles.progressBarBackground}>
+            <View 
+              style={[
+                styles.progressBarFill, 
+                { width: `${progressPercentage}%` }
+              ]} 
+            />
+          </View>
+          <Text style={styles.progressLabel}>
+            {bookProgress.currentPage || 0} / {totalPages} pages
+          </Text>
+        </View>
+
+        {/* Book Description */}
+        {lock.locked && lock.reasons.map((reason, index) => (
+          <Text key={index} style={styles.lockReason}>{reason}</Text>
+        ))}
+        <Text style={styles.bookDescription}>
+          {isCompleted 
+            ? "Book completed! Tap to review." 
+            : bookProgress.currentPage > 0 
+              ? "Continue reading where you left off." 
+              : "Start reading this book to practice your fluency."
+          }
+        </Text>
+
+        {/* Failures and Reviews */}
+        <FailureNotice grade={book.grade} bookProgress={bookProgress} />
+
+        {/* Quiz Status */}
+        <TouchableOpacity
+          style={[styles.quizBadge, quizStatus.style]}
+          onPress={() => handleQuizSelection(book)}
+          disabled={!quizStatus.available}
+        >
+          <Text style={styles.quizBadgeText}>📝 {quizStatus.label}</Text>
+        </TouchableOpacity>
+
+        {/* Offline Download */}
+        <BookDownloadButton
+          book={book}
+          status={downloads.getStatus(book.id)}
+          onDownload={downloads.download}
+          onRemove={downloads.remove}
+        />
+      </TouchableOpacity>
+    );
+  };
+
+  const visibleBooks = filterAndSortBooks(books, filters, book => progress[book.id]);
+  const listItems = groupBooksBySeries(visibleBooks, series);
+
+  const renderListItem = ({ item }) => item.series ? (
+    <SeriesGroup
+      series={item.series}
+      books={item.books}
+      progress={progress}
+      renderBook={book => <BookItem book={book} />}
+    />
+  ) : (
+    <BookItem book={item.book} />
+  );
+
+  // YAGNI principle - only render what's needed
+  const renderEmptyState = () => books.length > 0 ? (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyIcon}>🔍</Text>
+      <Text style={styles.emptyTitle}>No Matching Books</Text>
+      <Text style={styles.emptyDescription}>
+        Try a different search or clear some filters.
+      </Text>
+    </View>
+  ) : (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyIcon}>📚</Text>
+      <Text style={styles.emptyTitle}>No Books Available</Text>
+      <Text style={styles.emptyDescription}>
+        No extensive learning books are available for Grade {grade} yet.
+      </Text>
+    </View>
+  );
+
+  if (isLoading || isProgressLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.loadingText}>Loading books...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Extensive Learning</Text>
+        <Text style={styles.subtitle}>
+          {crossGradeAllowed && showAllGrades ? 'All Grades' : `Grade ${grade}`} • Reading Fluency
+        </Text>
+        
+        {books.length > 0 && (
+          <View style={styles.statsContainer}>
+            <Text style={styles.statsText}>
+              {books.filter(book => getBookProgress(book.id).completed).length} of {books.length} completed
+            </Text>
+          </View>
+        )}
+
+        {books.length > 0 && (
+          <DownloadsSummary
+            bookCount={books.length}
+            downloadedCount={downloads.downloadedCount}
+            storage={downloads.storage}
+            isDownloading={downloads.isDownloadingAny}
+            onDownloadAll={downloads.downloadAll}
+            onRemoveAll={downloads.removeAll}
+          />
+        )}
+
+        <BookFilters
+          filters={filters}
+          onChange={setFilters}
+          availableTags={getAvailableTags(books)}
+          crossGrade={{ allowed: crossGradeAllowed, enabled: showAllGrades, onChange: setShowAllGrades }}
+          resultCount={visibleBooks.length}
+        />
+      </View>
+
+      <FlatList
+        data={listItems}
+        renderItem={renderListItem}
+        keyExtractor={(item) => item.key}
+        keyboardShouldPersistTaps="handled"
+        contentContainerStyle={[
+          styles.listContainer,
+          visibleBooks.length === 0 && styles.emptyListContainer
+        ]}
+        showsVerticalScrollIndicator={false}
+        ListEmptyComponent={renderEmptyState}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f8f9fa',
+  },
+  loadingText: {
+    fontSize: 18,
+    color: '#666',
+  },
+  header: {
+    backgroundColor: '#fff',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 5,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 15,
+  },
+  statsContainer: {
+    backgroundColor: '#4CAF50',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 20,
+    alignSelf: 'flex-start',
+  },
+  statsText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  listContainer: {
+    padding: 20,
+  },
+  emptyListContainer: {
+    flex: 1,
+    justifyContent: 'center',
+  },
+  bookItem: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 5,
+  },
+  completedBookItem: {
+    borderLeftWidth: 5,
+    borderLeftColor: '#4CAF50',
+  },
+  lockedBookItem: {
+    opacity: 0.6,
+  },
+  lockIcon: {
+    fontSize: 22,
+  },
+  lockReason: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#e67e22',
+    marginBottom: 4,
+  },
+  bookHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: 15,
+  },
+  bookInfo: {
+    flex: 1,
+    marginRight: 15,
+  },
+  bookTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 5,
+  },
+  completedText: {
+    color: '#4CAF50',
+  },
+  bookDetails: {
+    fontSize: 14,
+    color: '#666',
+  },
+  statusContainer: {
+    alignItems: 'center',
+  },
+  completedBadge: {
+    backgroundColor: '#4CAF50',
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  completedBadgeText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  progressText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#4CAF50',
+  },
+  progressBarContainer: {
+    marginBottom: 15,
+  },
+  progressBarBackground: {
+    height: 8,
+    backgroundColor: '#e9ecef',
+    borderRadius: 4,
+    marginBottom: 8,
+  },
+  progressBarFill: {
+    height: '100%',
+    backgroundColor: '#4CAF50',
+    borderRadius: 4,
+  },
+  progressLabel: {
+    fontSize: 12,
+    color: '#666',
+    textAlign: 'right',
+  },
+  bookDescription: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+  },
+  quizBadge: {
+    alignSelf: 'flex-start',
+    borderRadius: 15,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginTop: 12,
+  },
+  quizBadgeText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  quizNone: {
+    backgroundColor: '#f5f5f5',
+  },
+  quizLocked: {
+    backgroundColor: '#f5f5f5',
+  },
+  quizReady: {
+    backgroundColor: '#fff3e0',
+  },
+  quizTaken: {
+    backgroundColor: '#f3e5f5',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyIcon: {
+    fontSize: 64,
+    marginBottom: 20,
+  },
+  emptyTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  emptyDescription: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
+
+export default ExtensiveBooksScreen; 
\ No newline at end of file
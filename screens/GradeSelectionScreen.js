@@ -8,14 +8,17 @@ import {
   Pressable,
   Alert
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { hasGradeBooks, getReadingGrade } from '../data/books';
+import { loadGradeState, selectGrade, browseGrade, stopBrowsing } from '../services/gradeState';
 
 // Following SOLID principles - Single Responsibility Principle
 // This component is only responsible for grade selection
 
-const GradeSelectionScreen = ({ navigation }) => {
+const GradeSelectionScreen = ({ navigation, route }) => {
   const [selectedGrade, setSelectedGrade] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  // Browsing looks at another grade's books and leaves the student's own grade as it is
+  const isBrowsing = route?.params?.mode === 'browse';
 
   // Grades 1-12 following KISS principle - simple array
   const grades = Array.from({ length: 12 }, (_, i) => i + 1);
@@ -27,10 +30,8 @@ const GradeSelectionScreen = ({ navigation }) => {
   // DRY principle - separate function for loading grade
   const loadSavedGrade = async () => {
     try {
-      const savedGrade = await AsyncStorage.getItem('selectedGrade');
-      if (savedGrade) {
-        setSelectedGrade(parseInt(savedGrade));
-      }
+      const { selectedGrade: savedGrade } = await loadGradeState();
+      setSelectedGrade(savedGrade);
     } catch (error) {
       console.error('Error loading saved grade:', error);
     } finally {
@@ -41,7 +42,7 @@ const GradeSelectionScreen = ({ navigation }) => {
   // DRY principle - separate function for saving grade
   const saveGrade = async (grade) => {
     try {
-      await AsyncStorage.setItem('selectedGrade', grade.toString());
+      await selectGrade(grade);
       setSelectedGrade(grade);
       
       // Navigate to home after successful save
@@ -52,11 +53,48 @@ const GradeSelectionScreen = ({ navigation }) => {
     }
   };
 
+  const startBrowsing = async (grade) => {
+    try {
+      if (grade === selectedGrade) {
+        await stopBrowsing();
+      } else {
+        await browseGrade(grade);
+      }
+      navigation.navigate('Home');
+    } catch (error) {
+      console.error('Error browsing grade:', error);
+      Alert.alert('Error', 'Failed to open that grade. Please try again.');
+    }
+  };
+
   const handleGradeSelection = (grade) => {
     console.log('Grade button pressed:', grade); // Debug log
+    // Grades without books can still be chosen; Home explains which books are offered meanwhile
+    const readingGrade = getReadingGrade(grade);
+    const comingSoonNote = hasGradeBooks(grade)
+      ? ''
+      : `\n\nBooks for Grade ${grade} are coming soon.${readingGrade ? ` Until then, Grade ${readingGrade} books will be offered.` : ''}`;
+
+    if (isBrowsing) {
+      if (grade === selectedGrade) {
+        startBrowsing(grade);
+        return;
+      }
+      Alert.alert(
+        'Browse Grade',
+        `Look at Grade ${grade} books for a while? You can go back to Grade ${selectedGrade} from Home.${comingSoonNote}`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Make It My Grade', onPress: () => saveGrade(grade) },
+          { text: 'Browse', onPress: () => startBrowsing(grade) }
+        ]
+      );
+      return;
+    }
+
     Alert.alert(
       'Confirm Grade',
-      `Are you sure you want to select Grade ${grade}?`,
+      `Are you sure you want to select Grade ${grade}?${comingSoonNote}`,
       [
         { text: 'Cancel', style: 'cancel' },
         { text: 'Confirm', onPress: () => saveGrade(grade) }
@@ -83,6 +121,14 @@ const GradeSelectionScreen = ({ navigation }) => {
       ]}>
         Grade {grade}
       </Text>
+      {!hasGradeBooks(grade) && (
+        <Text style={[
+          styles.comingSoonText,
+          selectedGrade === grade && styles.selectedGradeText
+        ]}>
+          Coming soon
+        </Text>
+      )}
     </Pressable>
   );
 
@@ -108,9 +154,11 @@ const GradeSelectionScreen = ({ navigation }) => {
         <Text style={styles.testButtonText}>Test Button (Tap Me)</Text>
       </TouchableOpacity>
 
-      <Text style={styles.title}>Select Your Grade</Text>
+      <Text style={styles.title}>{isBrowsing ? 'Browse a Grade' : 'Select Your Grade'}</Text>
       <Text style={styles.subtitle}>
-        Choose your current grade level to get started
+        {isBrowsing
+          ? `Look at another grade's books for a while. You stay in Grade ${selectedGrade}.`
+          : 'Choose your current grade level to get started'}
       </Text>
       
       <FlatList
@@ -202,6 +250,11 @@ const styles = StyleSheet.create({
   selectedGradeText: {
     color: '#fff',
   },
+  comingSoonText: {
+    fontSize: 11,
+    color: '#999',
+    marginTop: 4,
+  },
   selectedContainer: {
     backgroundColor: '#4CAF50',
     padding: 15,
@@ -7,21 +7,40 @@ import {
   Alert,
   ScrollView
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getIntensiveBooks } from '../data/books';
+import { useProgress } from '../hooks/useProgress';
+import { getSectionLock, formatLockReasons } from '../data/unlockRules';
+import { getIntensiveBooks, getExtensiveBooks, getReadingGrade } from '../data/books';
+import { getRecommendations } from '../data/recommendations';
+import { describeGradeSummary } from '../data/gradeSummary';
+import {
+  MAX_GRADE,
+  loadGradeState,
+  getActiveGrade,
+  loadGradeSummary,
+  promoteGrade,
+  stopBrowsing
+} from '../services/gradeState';
+import { getActiveLearnerProfile } from '../services/learnerProfiles';
 
 // Following SOLID principles - Single Responsibility Principle
 // This component handles home screen navigation and state
 
 const HomeScreen = ({ navigation }) => {
   const [selectedGrade, setSelectedGrade] = useState(null);
-  const [extensiveLearningUnlocked, setExtensiveLearningUnlocked] = useState(false);
+  // Another grade the student is only looking at; their own grade stays selectedGrade
+  const [browsingGrade, setBrowsingGrade] = useState(null);
+  const activeGrade = getActiveGrade({ selectedGrade, browsingGrade });
+  // The grade whose books are offered, which differs while the active grade has none
+  const [readingGrade, setReadingGrade] = useState(null);
+  const [learner, setLearner] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const { progress, isLoading: isProgressLoading } = useProgress(readingGrade === null ? [] : [readingGrade]);
 
   useEffect(() => {
     loadUserData();
     
-    // Set up focus listener to refresh data when screen comes into focus
+    // Progress updates itself; the grade is read again because Grade Selection
+    // can change it and teachers can add books for it while Home stays open
     const unsubscribe = navigation.addListener('focus', () => {
       loadUserData();
     });
@@ -32,18 +51,17 @@ const HomeScreen = ({ navigation }) => {
   // DRY principle - centralized data loading
   const loadUserData = async () => {
     try {
-      const grade = await AsyncStorage.getItem('selectedGrade');
-      if (!grade) {
+      const gradeState = await loadGradeState();
+      if (gradeState.selectedGrade === null) {
         // If no grade selected, navigate to grade selection
         navigation.replace('GradeSelection');
         return;
       }
       
-      setSelectedGrade(parseInt(grade));
-      
-      // Check if extensive learning should be unlocked
-      const unlocked = await checkExtensiveLearningStatus(parseInt(grade));
-      setExtensiveLearningUnlocked(unlocked);
+      setLearner(await getActiveLearnerProfile());
+      setSelectedGrade(gradeState.selectedGrade);
+      setBrowsingGrade(gradeState.browsingGrade);
+      setReadingGrade(getReadingGrade(getActiveGrade(gradeState)));
     } catch (error) {
       console.error('Error loading user data:', error);
     } finally {
@@ -51,29 +69,30 @@ const HomeScreen = ({ navigation }) => {
     }
   };
 
-  // SOLID - Interface Segregation: Separate concerns
-  const checkExtensiveLearningStatus = async (grade) => {
-    try {
-      const progressKey = `progress_grade_${grade}`;
-      const progress = await AsyncStorage.getItem(progressKey);
-      
-      if (progress) {
-        const parsedProgress = JSON.parse(progress);
-        const intensiveBooks = getIntensiveBooks(grade);
-        
-        if (intensiveBooks.length === 0) return false;
-        
-        return intensiveBooks.every(book => {
-          const bookProgress = parsedProgress[book.id];
-          return bookProgress && bookProgress.completed;
-        });
-      }
-      
-      return false;
-    } catch (error) {
-      console.error('Error checking extensive learning status:', error);
-      return false;
-    }
+  // Each section is unlocked by the grade's prerequisite rules
+  const sectionLocks = readingGrade === null
+    ? { intensive: null, extensive: null }
+    : {
+      intensive: getSectionLock(readingGrade, 'intensive', progress),
+      extensive: getSectionLock(readingGrade, 'extensive', progress)
+    };
+  const recommendations = readingGrade === null
+    ? []
+    : getRecommendations(
+      readingGrade,
+      [...getIntensiveBooks(readingGrade), ...getExtensiveBooks(readingGrade)],
+      progress
+    );
+
+  const isSectionLocked = (section) => Boolean(sectionLocks[section]?.locked);
+
+  const showLockedAlert = (section) => {
+    Alert.alert('Locked', formatLockReasons(sectionLocks[section]), [{ text: 'OK' }]);
+  };
+
+  // Only possible when the catalog has no books for any grade
+  const showComingSoonAlert = () => {
+    Alert.alert('Coming Soon', `Books for Grade ${activeGrade} are coming soon. Please check back later.`);
   };
 
   const handleIntensiveLearning = () => {
@@ -81,7 +100,17 @@ const HomeScreen = ({ navigation }) => {
       Alert.alert('Error', 'Please select your grade first.');
       return;
     }
-    navigation.navigate('IntensiveBooks', { grade: selectedGrade });
+
+    if (readingGrade === null) {
+      showComingSoonAlert();
+      return;
+    }
+
+    if (isSectionLocked('intensive')) {
+      showLockedAlert('intensive');
+      return;
+    }
+    navigation.navigate('IntensiveBooks', { grade: readingGrade });
   };
 
   const handleExtensiveLearning = () => {
@@ -89,44 +118,101 @@ const HomeScreen = ({ navigation }) => {
       Alert.alert('Error', 'Please select your grade first.');
       return;
     }
+
+    if (readingGrade === null) {
+      showComingSoonAlert();
+      return;
+    }
     
-    if (!extensiveLearningUnlocked) {
-      Alert.alert(
-        'Locked',
-        'Complete all Intensive Learning books to unlock Extensive Learning.',
-        [{ text: 'OK' }]
-      );
+    if (isSectionLocked('extensive')) {
+      showLockedAlert('extensive');
       return;
     }
     
-    navigation.navigate('ExtensiveBooks', { grade: selectedGrade });
+    navigation.navigate('ExtensiveBooks', { grade: readingGrade });
+  };
+
+  const handleSearch = () => {
+    if (!selectedGrade) {
+      Alert.alert('Error', 'Please select your grade first.');
+      return;
+    }
+    navigation.navigate('BookSearch', { grade: readingGrade ?? activeGrade });
+  };
+
+  // Recommendations only include unlocked books, so they open straight in the reader
+  const handleRecommendation = (book) => {
+    navigation.navigate('BookReader', {
+      book,
+      grade: book.grade,
+      type: book.type
+    });
   };
 
   const handleProfile = () => {
     navigation.navigate('Profile');
   };
 
+  const handlePromotion = async () => {
+    try {
+      await promoteGrade(selectedGrade);
+      await loadUserData();
+    } catch (error) {
+      console.error('Error moving up a grade:', error);
+      Alert.alert('Error', 'Failed to move up a grade. Please try again.');
+    }
+  };
+
+  // The finished grade is summed up before the student moves on
+  const confirmPromotion = async () => {
+    try {
+      const summary = await loadGradeSummary(selectedGrade);
+      Alert.alert(
+        `Finish Grade ${selectedGrade}?`,
+        `${describeGradeSummary(summary).join('\n')}\n\nYour Grade ${selectedGrade} progress stays in your profile.`,
+        [
+          { text: 'Not Yet', style: 'cancel' },
+          { text: `Move Up to Grade ${selectedGrade + 1}`, onPress: handlePromotion }
+        ]
+      );
+    } catch (error) {
+      console.error('Error summarizing grade:', error);
+      Alert.alert('Error', 'Failed to load your grade summary. Please try again.');
+    }
+  };
+
+  // Progress is stored per grade, so neither choice loses any of it
   const handleChangeGrade = () => {
+    const buttons = [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Browse a Grade', onPress: () => navigation.navigate('GradeSelection', { mode: 'browse' }) }
+    ];
+    if (selectedGrade < MAX_GRADE) {
+      buttons.push({ text: 'Move Up', onPress: confirmPromotion });
+    }
+
     Alert.alert(
       'Change Grade',
-      'Are you sure you want to change your grade? This will reset your progress.',
-      [
-        { text: 'Cancel', style: 'cancel' },
-        { 
-          text: 'Change', 
-          onPress: () => navigation.navigate('GradeSelection'),
-          style: 'destructive'
-        }
-      ]
+      `Move up when you have finished Grade ${selectedGrade}, or look at another grade's books for a while. Your progress in every grade is kept.`,
+      buttons
     );
   };
 
+  const handleStopBrowsing = async () => {
+    try {
+      await stopBrowsing();
+      await loadUserData();
+    } catch (error) {
+      console.error('Error returning to grade:', error);
+    }
+  };
+
   // Following SOLID - Open/Closed Principle: Components can be extended
-  const FeatureCard = ({ title, description, onPress, locked = false, icon }) => (
+  // Locked cards stay tappable so the student can see what is still needed
+  const FeatureCard = ({ title, description, onPress, locked = false, lockReasons = [], icon }) => (
     <TouchableOpacity
       style={[styles.featureCard, locked && styles.lockedCard]}
       onPress={onPress}
-      disabled={locked}
     >
       <View style={styles.cardHeader}>
         <Text style={styles.cardIcon}>{icon}</Text>
@@ -136,10 +222,33 @@ const HomeScreen = ({ navigation }) => {
       <Text style={[styles.cardDescription, locked && styles.lockedText]}>
         {description}
       </Text>
+      {locked && lockReasons.map((reason, index) => (
+        <Text key={index} style={styles.lockReason}>🔒 {reason}</Text>
+      ))}
     </TouchableOpacity>
   );
 
-  if (isLoading) {
+  const RecommendationCard = ({ recommendation }) => {
+    const { book, reason } = recommendation;
+
+    return (
+      <TouchableOpacity
+        style={styles.recommendationCard}
+        onPress={() => handleRecommendation(book)}
+      >
+        <Text style={styles.recommendationIcon}>{book.type === 'extensive' ? '⏱️' : '📚'}</Text>
+        <View style={styles.recommendationInfo}>
+          <Text style={styles.recommendationTitle} numberOfLines={1}>{book.title}</Text>
+          <Text style={styles.recommendationMeta}>
+            {book.level ? `Level ${book.level} • ` : ''}{book.type} • {book.totalPages} pages
+          </Text>
+          <Text style={styles.recommendationReason}>{reason}</Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  if (isLoading || isProgressLoading) {
     return (
       <View style={styles.loadingContainer}>
         <Text style={styles.loadingText}>Loading...</Text>
@@ -151,7 +260,9 @@ const HomeScreen = ({ navigation }) => {
     <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
       {/* Header */}
       <View style={styles.header}>
-        <Text style={styles.welcomeText}>Welcome to</Text>
+        <Text style={styles.welcomeText}>
+          {learner ? `${learner.avatar} Welcome, ${learner.name}, to` : 'Welcome to'}
+        </Text>
         <Text style={styles.appTitle}>Reading Adventures</Text>
         {selectedGrade && (
           <View style={styles.gradeContainer}>
@@ -163,12 +274,46 @@ const HomeScreen = ({ navigation }) => {
         )}
       </View>
 
+      {/* Another grade's books, for now */}
+      {browsingGrade !== null && (
+        <View style={styles.browsingCard}>
+          <Text style={styles.browsingText}>👀 Browsing Grade {browsingGrade} books</Text>
+          <TouchableOpacity onPress={handleStopBrowsing} style={styles.browsingButton}>
+            <Text style={styles.browsingButtonText}>Back to Grade {selectedGrade}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Grades without books of their own yet */}
+      {activeGrade && readingGrade !== activeGrade && (
+        <View style={styles.comingSoonCard}>
+          <Text style={styles.comingSoonTitle}>🌱 Grade {activeGrade} books are coming soon</Text>
+          <Text style={styles.comingSoonText}>
+            {readingGrade === null
+              ? 'Please check back later, or ask your teacher to add books.'
+              : `Until they arrive, you can read the Grade ${readingGrade} books below.`}
+          </Text>
+        </View>
+      )}
+
+      {/* Recommendations */}
+      {recommendations.length > 0 && (
+        <View style={styles.recommendationsContainer}>
+          <Text style={styles.sectionTitle}>Recommended for You</Text>
+          {recommendations.map(recommendation => (
+            <RecommendationCard key={recommendation.book.id} recommendation={recommendation} />
+          ))}
+        </View>
+      )}
+
       {/* Feature Cards */}
       <View style={styles.featuresContainer}>
         <FeatureCard
           title="Intensive Learning"
           description="Build your reading foundation with guided practice"
           onPress={handleIntensiveLearning}
+          locked={isSectionLocked('intensive')}
+          lockReasons={sectionLocks.intensive?.reasons}
           icon="📚"
         />
         
@@ -176,10 +321,18 @@ const HomeScreen = ({ navigation }) => {
           title="Extensive Learning"
           description="Practice fluency with timed reading and recording"
           onPress={handleExtensiveLearning}
-          locked={!extensiveLearningUnlocked}
+          locked={isSectionLocked('extensive')}
+          lockReasons={sectionLocks.extensive?.reasons}
           icon="⏱️"
         />
         
+        <FeatureCard
+          title="Find a Book"
+          description="Search books by title, author or topic"
+          onPress={handleSearch}
+          icon="🔍"
+        />
+        
         <FeatureCard
           title="My Profile"
           description="View your progress, achievements, and recordings"
@@ -213,7 +366,7 @@ const HomeScreen = ({ navigation }) => {
           <View style={styles.progressStep}>
             <View style={[
               styles.stepCircle, 
-              extensiveLearningUnlocked ? styles.activeStep : styles.inactiveStep
+              isSectionLocked('extensive') ? styles.inactiveStep : styles.activeStep
             ]}>
               <Text style={styles.stepText}>3</Text>
             </View>
@@ -284,6 +437,102 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  browsingCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E3F2FD',
+    borderRadius: 12,
+    borderLeftWidth: 4,
+    borderLeftColor: '#2196F3',
+    padding: 15,
+    marginBottom: 25,
+  },
+  browsingText: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  browsingButton: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 15,
+  },
+  browsingButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  comingSoonCard: {
+    backgroundColor: '#FFF8E1',
+    borderRadius: 12,
+    borderLeftWidth: 4,
+    borderLeftColor: '#FFC107',
+    padding: 15,
+    marginBottom: 25,
+  },
+  comingSoonTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 4,
+  },
+  comingSoonText: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+  },
+  recommendationsContainer: {
+    marginBottom: 30,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 12,
+  },
+  recommendationCard: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderLeftWidth: 4,
+    borderLeftColor: '#4CAF50',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 5,
+  },
+  recommendationIcon: {
+    fontSize: 28,
+    marginRight: 15,
+  },
+  recommendationInfo: {
+    flex: 1,
+  },
+  recommendationTitle: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 4,
+  },
+  recommendationMeta: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 6,
+  },
+  recommendationReason: {
+    fontSize: 14,
+    color: '#4CAF50',
+    fontWeight: '600',
+  },
   featuresContainer: {
     marginBottom: 30,
   },
@@ -331,6 +580,12 @@ const styles = StyleSheet.create({
   lockedText: {
     color: '#999',
   },
+  lockReason: {
+    fontSize: 14,
+    color: '#e67e22',
+    fontWeight: '600',
+    marginTop: 8,
+  },
   progressContainer: {
     backgroundColor: '#fff',
     borderRadius: 16,
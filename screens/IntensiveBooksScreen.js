@@ -7,8 +7,17 @@ import {
   TouchableOpacity,
   Alert
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getIntensiveBooks } from '../data/books';
+import { getIntensiveBooks, getCatalogGrades, getSeries } from '../data/books';
+import { DEFAULT_BOOK_FILTERS, filterAndSortBooks, getAvailableTags } from '../data/bookSearch';
+import { groupBooksBySeries } from '../data/series';
+import { getBookRecord } from '../services/progressStorage';
+import { useProgress } from '../hooks/useProgress';
+import { loadSettings } from '../services/appSettings';
+import { getBookLock, formatLockReasons } from '../data/unlockRules';
+import { useBookDownloads } from '../hooks/useBookDownloads';
+import { BookDownloadButton, DownloadsSummary } from '../components/DownloadControls';
+import BookFilters from '../components/BookFilters';
+import SeriesGroup from '../components/SeriesGroup';
 
 // Following SOLID principles - Single Responsibility Principle
 // This component handles intensive books listing and progress tracking
@@ -16,35 +25,33 @@ import { getIntensiveBooks } from '../data/books';
 const IntensiveBooksScreen = ({ route, navigation }) => {
   const { grade } = route.params;
   const [books, setBooks] = useState([]);
-  const [progress, setProgress] = useState({});
+  const [series, setSeries] = useState([]);
+  // Grades whose books are listed; their progress comes from useProgress and stays current
+  const [grades, setGrades] = useState([grade]);
   const [isLoading, setIsLoading] = useState(true);
+  const { progress, isLoading: isProgressLoading } = useProgress(grades);
+  const [filters, setFilters] = useState(DEFAULT_BOOK_FILTERS);
+  const [crossGradeAllowed, setCrossGradeAllowed] = useState(false);
+  const [showAllGrades, setShowAllGrades] = useState(false);
+  const downloads = useBookDownloads(books);
 
   useEffect(() => {
-    loadBooksAndProgress();
-    
-    // Refresh data when screen comes into focus
-    const unsubscribe = navigation.addListener('focus', () => {
-      loadBooksAndProgress();
-    });
-
-    return unsubscribe;
-  }, [navigation, grade]);
+    loadBooks();
+  }, [grade, showAllGrades]);
 
   // DRY principle - centralized data loading
-  const loadBooksAndProgress = async () => {
+  const loadBooks = async () => {
     try {
-      const intensiveBooks = getIntensiveBooks(grade);
-      setBooks(intensiveBooks);
-      
-      // Load progress from AsyncStorage
-      const progressKey = `progress_grade_${grade}`;
-      const savedProgress = await AsyncStorage.getItem(progressKey);
-      
-      if (savedProgress) {
-        setProgress(JSON.parse(savedProgress));
-      }
+      // Other grades are only listed when a teacher allows it
+      const settings = await loadSettings();
+      setCrossGradeAllowed(settings.crossGradeSearch);
+      const listGrades = settings.crossGradeSearch && showAllGrades ? getCatalogGrades() : [grade];
+
+      setBooks(listGrades.flatMap(getIntensiveBooks));
+      setSeries(listGrades.flatMap(getSeries));
+      setGrades(listGrades);
     } catch (error) {
-      console.error('Error loading books and progress:', error);
+      console.error('Error loading books:', error);
       Alert.alert('Error', 'Failed to load books. Please try again.');
     } finally {
       setIsLoading(false);
@@ -58,16 +65,27 @@ const IntensiveBooksScreen = ({ route, navigation }) => {
       return;
     }
 
+    const lock = getBookLock(book, progress);
+    if (lock.locked) {
+      Alert.alert('Locked', formatLockReasons(lock), [{ text: 'OK' }]);
+      return;
+    }
+
     navigation.navigate('BookReader', {
       book,
-      grade,
+      grade: book.grade,
       type: 'intensive'
     });
   };
 
   // DRY principle - reusable progress calculation
   const getBookProgress = (bookId) => {
-    return progress[bookId] || { currentPage: 0, completed: false, totalPages: 0 };
+    return getBookRecord(progress, bookId);
+  };
+
+  // The reader stores the document's real page count, which wins over the catalog value
+  const getTotalPages = (book) => {
+    return getBookProgress(book.id).totalPages || book.totalPages;
   };
 
   const getProgressPercentage = (bookId, totalPages) => {
@@ -79,12 +97,14 @@ const IntensiveBooksScreen = ({ route, navigation }) => {
   // Following SOLID - Open/Closed Principle: Component can be extended
   const BookItem = ({ book }) => {
     const bookProgress = getBookProgress(book.id);
-    const progressPercentage = getProgressPercentage(book.id, book.totalPages);
+    const totalPages = getTotalPages(book);
+    const progressPercentage = getProgressPercentage(book.id, totalPages);
     const isCompleted = bookProgress.completed;
+    const lock = getBookLock(book, progress);
 
     return (
       <TouchableOpacity
-        style={[styles.bookItem, isCompleted && styles.completedBookItem]}
+        style={[styles.bookItem, isCompleted && styles.completedBookItem, lock.locked && styles.lockedBookItem]}
         onPress={() => handleBookSelection(book)}
       >
         <View style={styles.bookHeader}>
@@ -93,12 +113,14 @@ const IntensiveBooksScreen = ({ route, navigation }) => {
               {book.title}
             </Text>
             <Text style={styles.bookDetails}>
-              {book.totalPages} pages • Grade {book.grade}
+              {book.author ? `${book.author} • ` : ''}{totalPages} pages • Grade {book.grade}
             </Text>
           </View>
           
           <View style={styles.statusContainer}>
-            {isCompleted ? (
+            {lock.locked ? (
+              <Text style={styles.lockIcon}>🔒</Text>
+            ) : isCompleted ? (
               <View style={styles.completedBadge}>
                 <Text style={styles.completedBadgeText}>✓</Text>
               </View>
@@ -119,11 +141,14 @@ const IntensiveBooksScreen = ({ route, navigation }) => {
             />
           </View>
           <Text style={styles.progressLabel}>
-            {bookProgress.currentPage || 0} / {book.totalPages} pages
+            {bookProgress.currentPage || 0} / {totalPages} pages
           </Text>
         </View>
 
         {/* Book Description */}
+        {lock.locked && lock.reasons.map((reason, index) => (
+          <Text key={index} style={styles.lockReason}>{reason}</Text>
+        ))}
         <Text style={styles.bookDescription}>
           {isCompleted 
             ? "Book completed! Tap to review." 
@@ -132,12 +157,42 @@ const IntensiveBooksScreen = ({ route, navigation }) => {
               : "Start reading this book to build your foundation."
           }
         </Text>
+
+        {/* Offline Download */}
+        <BookDownloadButton
+          book={book}
+          status={downloads.getStatus(book.id)}
+          onDownload={downloads.download}
+          onRemove={downloads.remove}
+        />
       </TouchableOpacity>
     );
   };
 
+  const visibleBooks = filterAndSortBooks(books, filters, book => progress[book.id]);
+  const listItems = groupBooksBySeries(visibleBooks, series);
+
+  const renderListItem = ({ item }) => item.series ? (
+    <SeriesGroup
+      series={item.series}
+      books={item.books}
+      progress={progress}
+      renderBook={book => <BookItem book={book} />}
+    />
+  ) : (
+    <BookItem book={item.book} />
+  );
+
   // YAGNI principle - only render what's needed
-  const renderEmptyState = () => (
+  const renderEmptyState = () => books.length > 0 ? (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyIcon}>🔍</Text>
+      <Text style={styles.emptyTitle}>No Matching Books</Text>
+      <Text style={styles.emptyDescription}>
+        Try a different search or clear some filters.
+      </Text>
+    </View>
+  ) : (
     <View style={styles.emptyContainer}>
       <Text style={styles.emptyIcon}>📚</Text>
       <Text style={styles.emptyTitle}>No Books Available</Text>
@@ -147,7 +202,7 @@ const IntensiveBooksScreen = ({ route, navigation }) => {
     </View>
   );
 
-  if (isLoading) {
+  if (isLoading || isProgressLoading) {
     return (
       <View style={styles.loadingContainer}>
         <Text style={styles.loadingText}>Loading books...</Text>
@@ -159,7 +214,9 @@ const IntensiveBooksScreen = ({ route, navigation }) => {
     <View style={styles.container}>
       <View style={styles.header}>
         <Text style={styles.title}>Intensive Learning</Text>
-        <Text style={styles.subtitle}>Grade {grade} • Foundation Building</Text>
+        <Text style={styles.subtitle}>
+          {crossGradeAllowed && showAllGrades ? 'All Grades' : `Grade ${grade}`} • Foundation Building
+        </Text>
         
         {books.length > 0 && (
           <View style={styles.statsContainer}>
@@ -168,15 +225,35 @@ const IntensiveBooksScreen = ({ route, navigation }) => {
             </Text>
           </View>
         )}
+
+        {books.length > 0 && (
+          <DownloadsSummary
+            bookCount={books.length}
+            downloadedCount={downloads.downloadedCount}
+            storage={downloads.storage}
+            isDownloading={downloads.isDownloadingAny}
+            onDownloadAll={downloads.downloadAll}
+            onRemoveAll={downloads.removeAll}
+          />
+        )}
+
+        <BookFilters
+          filters={filters}
+          onChange={setFilters}
+          availableTags={getAvailableTags(books)}
+          crossGrade={{ allowed: crossGradeAllowed, enabled: showAllGrades, onChange: setShowAllGrades }}
+          resultCount={visibleBooks.length}
+        />
       </View>
 
       <FlatList
-        data={books}
-        renderItem={({ item }) => <BookItem book={item} />}
-        keyExtractor={(item) => item.id}
+        data={listItems}
+        renderItem={renderListItem}
+        keyExtractor={(item) => item.key}
+        keyboardShouldPersistTaps="handled"
         contentContainerStyle={[
           styles.listContainer,
-          books.length === 0 && styles.emptyListContainer
+          visibleBooks.length === 0 && styles.emptyListContainer
         ]}
         showsVerticalScrollIndicator={false}
         ListEmptyComponent={renderEmptyState}
@@ -254,6 +331,18 @@ const styles = StyleSheet.create({
     borderLeftWidth: 5,
     borderLeftColor: '#4CAF50',
   },
+  lockedBookItem: {
+    opacity: 0.6,
+  },
+  lockIcon: {
+    fontSize: 22,
+  },
+  lockReason: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#e67e22',
+    marginBottom: 4,
+  },
   bookHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
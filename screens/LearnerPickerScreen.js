@@ -0,0 +1,408 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert
+} from 'react-native';
+import {
+  LEARNER_AVATARS,
+  MAX_NAME_LENGTH,
+  loadLearnerProfiles,
+  addLearnerProfile,
+  updateLearnerProfile,
+  deleteLearnerProfile,
+  selectLearnerProfile,
+  signOutLearner
+} from '../services/learnerProfiles';
+import { loadGradeState } from '../services/gradeState';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component lets learners sharing the device choose, add, edit and delete their profiles
+
+// A new learner gets the first avatar nobody has yet
+const getNewProfileForm = (profiles) => {
+  const usedAvatars = profiles.map(profile => profile.avatar);
+  return {
+    profileId: null,
+    name: '',
+    avatar: LEARNER_AVATARS.find(avatar => !usedAvatars.includes(avatar)) || LEARNER_AVATARS[0]
+  };
+};
+
+const LearnerPickerScreen = ({ navigation }) => {
+  const [profiles, setProfiles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isManaging, setIsManaging] = useState(false);
+  // The add/edit form: null when closed, otherwise { profileId, name, avatar } with profileId null for a new learner
+  const [form, setForm] = useState(null);
+
+  useEffect(() => {
+    loadProfiles();
+  }, []);
+
+  // DRY principle - centralized data loading
+  const loadProfiles = async () => {
+    try {
+      // Nobody's data can be read while the picker is open
+      await signOutLearner();
+      const savedProfiles = await loadLearnerProfiles();
+      setProfiles(savedProfiles);
+      if (savedProfiles.length === 0) {
+        setForm(getNewProfileForm(savedProfiles));
+      }
+    } catch (error) {
+      console.error('Error loading learner profiles:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openForm = (profile = null) => {
+    setForm(profile
+      ? { profileId: profile.id, name: profile.name, avatar: profile.avatar }
+      : getNewProfileForm(profiles));
+  };
+
+  const handleSelectProfile = async (profile) => {
+    try {
+      await selectLearnerProfile(profile.id);
+      const { selectedGrade } = await loadGradeState();
+      navigation.replace(selectedGrade === null ? 'GradeSelection' : 'Home');
+    } catch (error) {
+      console.error('Error selecting learner:', error);
+      Alert.alert('Error', 'Failed to open this profile. Please try again.');
+    }
+  };
+
+  const handleSaveForm = async () => {
+    try {
+      if (form.profileId) {
+        await updateLearnerProfile(form.profileId, { name: form.name, avatar: form.avatar });
+      } else {
+        await addLearnerProfile({ name: form.name, avatar: form.avatar });
+      }
+      setForm(null);
+      setProfiles(await loadLearnerProfiles());
+    } catch (error) {
+      Alert.alert('Check the Profile', error.message);
+    }
+  };
+
+  const handleDeleteProfile = (profile) => {
+    Alert.alert(
+      'Delete Learner',
+      `Delete ${profile.name}'s profile? Their grade, reading progress, recordings and stickers will be removed from this device. This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteLearnerProfile(profile.id);
+              const savedProfiles = await loadLearnerProfiles();
+              setProfiles(savedProfiles);
+              if (savedProfiles.length === 0) {
+                setIsManaging(false);
+                setForm(getNewProfileForm(savedProfiles));
+              }
+            } catch (error) {
+              console.error('Error deleting learner:', error);
+              Alert.alert('Error', 'Failed to delete this profile. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Following SOLID - Open/Closed Principle: Components can be extended
+  const ProfileCard = ({ profile }) => (
+    <TouchableOpacity
+      style={styles.profileCard}
+      onPress={() => (isManaging ? openForm(profile) : handleSelectProfile(profile))}
+      accessibilityRole="button"
+      accessibilityLabel={isManaging ? `Edit ${profile.name}` : `Read as ${profile.name}`}
+    >
+      <Text style={styles.profileAvatar}>{profile.avatar}</Text>
+      <Text style={styles.profileName} numberOfLines={1}>{profile.name}</Text>
+      {isManaging && (
+        <View style={styles.manageActions}>
+          <Text style={styles.editText}>Edit</Text>
+          <TouchableOpacity onPress={() => handleDeleteProfile(profile)} style={styles.deleteButton}>
+            <Text style={styles.deleteButtonText}>Delete</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.loadingText}>Loading...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      <Text style={styles.title}>Who is reading?</Text>
+      <Text style={styles.subtitle}>
+        {profiles.length > 0
+          ? 'Each learner has their own grade, progress and stickers'
+          : 'Add the first learner to get started'}
+      </Text>
+
+      <View style={styles.profilesGrid}>
+        {profiles.map(profile => (
+          <ProfileCard key={profile.id} profile={profile} />
+        ))}
+        {!form && !isManaging && (
+          <TouchableOpacity style={[styles.profileCard, styles.addCard]} onPress={() => openForm()}>
+            <Text style={styles.profileAvatar}>➕</Text>
+            <Text style={styles.profileName}>Add Learner</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Add or edit a learner */}
+      {form && (
+        <View style={styles.formCard}>
+          <Text style={styles.formTitle}>{form.profileId ? 'Edit Learner' : 'New Learner'}</Text>
+          <Text style={styles.fieldLabel}>Name</Text>
+          <TextInput
+            style={styles.nameInput}
+            value={form.name}
+            onChangeText={name => setForm({ ...form, name })}
+            placeholder="First name"
+            maxLength={MAX_NAME_LENGTH}
+            autoCapitalize="words"
+            autoCorrect={false}
+          />
+
+          <Text style={styles.fieldLabel}>Avatar</Text>
+          <View style={styles.avatarGrid}>
+            {LEARNER_AVATARS.map(avatar => (
+              <TouchableOpacity
+                key={avatar}
+                style={[styles.avatarOption, form.avatar === avatar && styles.selectedAvatarOption]}
+                onPress={() => setForm({ ...form, avatar })}
+                accessibilityLabel={`Avatar ${avatar}`}
+              >
+                <Text style={styles.avatarOptionText}>{avatar}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.formActions}>
+            {profiles.length > 0 && (
+              <TouchableOpacity style={styles.cancelButton} onPress={() => setForm(null)}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.saveButton} onPress={handleSaveForm}>
+              <Text style={styles.saveButtonText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      {profiles.length > 0 && !form && (
+        <TouchableOpacity style={styles.manageButton} onPress={() => setIsManaging(!isManaging)}>
+          <Text style={styles.manageButtonText}>{isManaging ? 'Done' : 'Manage Learners'}</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  contentContainer: {
+    padding: 20,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+  loadingText: {
+    fontSize: 18,
+    color: '#666',
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+    marginTop: 40,
+    marginBottom: 10,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginBottom: 30,
+  },
+  profilesGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  profileCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+    width: '48%',
+    marginBottom: 15,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  addCard: {
+    borderWidth: 2,
+    borderColor: '#4CAF50',
+    borderStyle: 'dashed',
+  },
+  profileAvatar: {
+    fontSize: 48,
+    marginBottom: 8,
+  },
+  profileName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  manageActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  editText: {
+    fontSize: 14,
+    color: '#4CAF50',
+    fontWeight: '600',
+    marginRight: 15,
+  },
+  deleteButton: {
+    backgroundColor: '#f44336',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  deleteButtonText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  formCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  formTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 10,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 10,
+    marginBottom: 8,
+  },
+  nameInput: {
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#333',
+  },
+  avatarGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  avatarOption: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: '#f0f0f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedAvatarOption: {
+    backgroundColor: '#C8E6C9',
+    borderWidth: 2,
+    borderColor: '#4CAF50',
+  },
+  avatarOptionText: {
+    fontSize: 26,
+  },
+  formActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 15,
+  },
+  cancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    marginRight: 10,
+  },
+  cancelButtonText: {
+    color: '#666',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  saveButton: {
+    backgroundColor: '#4CAF50',
+    paddingVertical: 10,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  manageButton: {
+    alignItems: 'center',
+    paddingVertical: 15,
+  },
+  manageButtonText: {
+    color: '#4CAF50',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default LearnerPickerScreen;
@@ -0,0 +1,611 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  ActivityIndicator
+} from 'react-native';
+import {
+  loadOpdsImports,
+  fetchOpdsFeed,
+  importOpdsEntries,
+  refreshOpdsImports,
+  removeOpdsFeed
+} from '../services/opdsImports';
+import { loadGradeState } from '../services/gradeState';
+import { getOpdsBookId } from '../data/opds';
+import { BOOK_TYPES } from '../data/catalogValidator';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component lets a teacher browse OPDS library feeds and add their books to a grade
+
+const GRADES = Array.from({ length: 12 }, (_, i) => i + 1);
+
+const OpdsBrowserScreen = () => {
+  const [urlInput, setUrlInput] = useState('');
+  // feed.url is the feed's first page, which is what a refresh reads again
+  const [feed, setFeed] = useState(null);
+  const [feedHistory, setFeedHistory] = useState([]);
+  const [imports, setImports] = useState({ feeds: {}, books: [] });
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [grade, setGrade] = useState(1);
+  const [type, setType] = useState('intensive');
+  const [pagesInput, setPagesInput] = useState('');
+  const [isLoadingFeed, setIsLoadingFeed] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [busyFeedUrl, setBusyFeedUrl] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const [savedImports, { selectedGrade }] = await Promise.all([
+        loadOpdsImports(),
+        loadGradeState()
+      ]);
+      setImports(savedImports);
+      if (selectedGrade !== null) {
+        setGrade(selectedGrade);
+      }
+    } catch (error) {
+      console.error('Error loading OPDS imports:', error);
+    }
+  };
+
+  const openFeed = async (url, { addToHistory = true } = {}) => {
+    const feedUrl = url.trim();
+    if (!feedUrl) return;
+
+    setIsLoadingFeed(true);
+    try {
+      const nextFeed = await fetchOpdsFeed(feedUrl);
+      if (addToHistory && feed) {
+        setFeedHistory([...feedHistory, feed.url]);
+      }
+      setFeed({ ...nextFeed, url: feedUrl });
+      setUrlInput(feedUrl);
+      setSelectedIds([]);
+    } catch (error) {
+      console.error('Error opening OPDS feed:', error);
+      Alert.alert('Feed Not Loaded', `Could not read an OPDS feed at this address.\n\n${error.message}`);
+    } finally {
+      setIsLoadingFeed(false);
+    }
+  };
+
+  const goBack = () => {
+    const previousUrl = feedHistory[feedHistory.length - 1];
+    setFeedHistory(feedHistory.slice(0, -1));
+    openFeed(previousUrl, { addToHistory: false });
+  };
+
+  const loadMore = async () => {
+    setIsLoadingMore(true);
+    try {
+      const nextPage = await fetchOpdsFeed(feed.nextUrl);
+      setFeed({
+        ...feed,
+        entries: [...feed.entries, ...nextPage.entries],
+        navigation: [...feed.navigation, ...nextPage.navigation],
+        nextUrl: nextPage.nextUrl
+      });
+    } catch (error) {
+      console.error('Error loading more OPDS entries:', error);
+      Alert.alert('Error', 'Failed to load more books. Please try again.');
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const toggleEntry = (entry) => {
+    setSelectedIds(selectedIds.includes(entry.id)
+      ? selectedIds.filter(id => id !== entry.id)
+      : [...selectedIds, entry.id]);
+  };
+
+  const handleImport = async () => {
+    const entries = feed.entries.filter(entry => selectedIds.includes(entry.id));
+    const totalPages = parseInt(pagesInput, 10);
+    if (entries.some(entry => !entry.pageCount) && !(totalPages > 0)) {
+      Alert.alert('Page Count Needed', 'Some of these books do not list their page count. Enter the number of pages to use for them.');
+      return;
+    }
+
+    setIsImporting(true);
+    try {
+      const result = await importOpdsEntries(entries, {
+        feedUrl: feed.url,
+        feedTitle: feed.title || feed.url,
+        grade,
+        type,
+        totalPages
+      });
+      if (result.report) {
+        Alert.alert('Books Not Added', `Please check the feed entries.\n\n${result.report}`);
+        return;
+      }
+      setImports(await loadOpdsImports());
+      setSelectedIds([]);
+      Alert.alert('Books Added 📚', `${result.imported.length} book(s) added to Grade ${grade} ${type} reading.`);
+    } catch (error) {
+      console.error('Error importing OPDS entries:', error);
+      Alert.alert('Error', 'Failed to add the books. Please try again.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleRefresh = async (feedUrl) => {
+    setBusyFeedUrl(feedUrl);
+    try {
+      const summary = await refreshOpdsImports(feedUrl);
+      setImports(await loadOpdsImports());
+      if (summary.failedFeeds.length > 0) {
+        Alert.alert('Refresh Failed', 'Could not reach this feed. The imported books are unchanged.');
+      } else {
+        Alert.alert(
+          'Feed Refreshed',
+          `${summary.updated} book(s) updated.${summary.missing > 0 ? ` ${summary.missing} book(s) are no longer in the feed and are kept as they were.` : ''}`
+        );
+      }
+    } catch (error) {
+      console.error('Error refreshing OPDS feed:', error);
+      Alert.alert('Error', 'Failed to refresh the feed. Please try again.');
+    } finally {
+      setBusyFeedUrl(null);
+    }
+  };
+
+  const handleRemove = (savedFeed, bookCount) => {
+    Alert.alert(
+      'Remove Feed',
+      `Remove "${savedFeed.title}" and its ${bookCount} book(s)? Reading progress is kept in case they are added again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await removeOpdsFeed(savedFeed.url);
+              setImports(await loadOpdsImports());
+            } catch (error) {
+              console.error('Error removing OPDS feed:', error);
+              Alert.alert('Error', 'Failed to remove the feed. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const importedBooks = new Map(imports.books.map(book => [book.id, book]));
+
+  // Following SOLID - Open/Closed Principle: Component can be extended
+  const EntryItem = ({ entry }) => {
+    const importedBook = importedBooks.get(getOpdsBookId(entry.id));
+    const isSelected = selectedIds.includes(entry.id);
+    const canImport = Boolean(entry.pdfUrl);
+
+    return (
+      <TouchableOpacity
+        style={[styles.entryItem, isSelected && styles.selectedEntryItem, !canImport && styles.disabledButton]}
+        onPress={() => toggleEntry(entry)}
+        disabled={!canImport}
+      >
+        <Text style={styles.entryCheck}>{isSelected ? '☑' : '☐'}</Text>
+        <View style={styles.entryInfo}>
+          <Text style={styles.entryTitle}>{entry.title}</Text>
+          {entry.author ? <Text style={styles.entryMeta}>by {entry.author}</Text> : null}
+          <Text style={styles.entryMeta}>
+            {canImport
+              ? `${entry.pageCount ? `${entry.pageCount} pages` : 'Page count not listed'}`
+              : 'No PDF available'}
+          </Text>
+          {importedBook && (
+            <Text style={styles.importedText}>
+              ✓ In Grade {importedBook.grade} {importedBook.type} reading
+            </Text>
+          )}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  const Chip = ({ label, isActive, onPress }) => (
+    <TouchableOpacity style={[styles.chip, isActive && styles.activeChip]} onPress={onPress}>
+      <Text style={[styles.chipText, isActive && styles.activeChipText]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const savedFeeds = Object.values(imports.feeds);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      <Text style={styles.introText}>
+        Enter the address of an OPDS 1.2 or 2.0 library feed, choose books, and add them to a grade.
+      </Text>
+
+      <View style={styles.urlRow}>
+        <TextInput
+          style={styles.urlInput}
+          value={urlInput}
+          onChangeText={setUrlInput}
+          placeholder="https://example.org/opds"
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+          onSubmitEditing={() => openFeed(urlInput)}
+        />
+        <TouchableOpacity
+          style={[styles.openButton, isLoadingFeed && styles.disabledButton]}
+          onPress={() => openFeed(urlInput)}
+          disabled={isLoadingFeed}
+        >
+          {isLoadingFeed ? <ActivityIndicator color="#fff" /> : <Text style={styles.openButtonText}>Open</Text>}
+        </TouchableOpacity>
+      </View>
+
+      {feed && (
+        <View style={styles.section}>
+          {feedHistory.length > 0 && (
+            <TouchableOpacity onPress={goBack} disabled={isLoadingFeed}>
+              <Text style={styles.linkText}>‹ Back</Text>
+            </TouchableOpacity>
+          )}
+          <Text style={styles.sectionTitle}>{feed.title || 'Library'}</Text>
+          <Text style={styles.feedMeta}>OPDS {feed.version}</Text>
+
+          {feed.navigation.map(link => (
+            <TouchableOpacity
+              key={link.url}
+              style={styles.navigationItem}
+              onPress={() => openFeed(link.url)}
+              disabled={isLoadingFeed}
+            >
+              <View style={styles.entryInfo}>
+                <Text style={styles.entryTitle}>{link.title}</Text>
+                {link.summary ? <Text style={styles.entryMeta}>{link.summary}</Text> : null}
+              </View>
+              <Text style={styles.settingChevron}>›</Text>
+            </TouchableOpacity>
+          ))}
+
+          {feed.entries.map(entry => <EntryItem key={entry.id} entry={entry} />)}
+
+          {feed.entries.length === 0 && feed.navigation.length === 0 && (
+            <Text style={styles.emptyText}>This feed has no books.</Text>
+          )}
+
+          {feed.nextUrl && (
+            <TouchableOpacity style={styles.loadMoreButton} onPress={loadMore} disabled={isLoadingMore}>
+              <Text style={styles.linkText}>{isLoadingMore ? 'Loading...' : 'Load More'}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {selectedIds.length > 0 && (
+        <View style={styles.importPanel}>
+          <Text style={styles.sectionTitle}>Add {selectedIds.length} Book(s)</Text>
+
+          <Text style={styles.fieldLabel}>Grade</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            {GRADES.map(value => (
+              <Chip key={value} label={`${value}`} isActive={grade === value} onPress={() => setGrade(value)} />
+            ))}
+          </ScrollView>
+
+          <Text style={styles.fieldLabel}>Reading type</Text>
+          <View style={styles.chipRow}>
+            {BOOK_TYPES.map(value => (
+              <Chip
+                key={value}
+                label={value === 'intensive' ? 'Intensive' : 'Extensive'}
+                isActive={type === value}
+                onPress={() => setType(value)}
+              />
+            ))}
+          </View>
+
+          <Text style={styles.fieldLabel}>Pages (for books that do not list them)</Text>
+          <TextInput
+            style={styles.pagesInput}
+            value={pagesInput}
+            onChangeText={setPagesInput}
+            placeholder="e.g. 12"
+            keyboardType="number-pad"
+          />
+
+          <TouchableOpacity
+            style={[styles.importButton, isImporting && styles.disabledButton]}
+            onPress={handleImport}
+            disabled={isImporting}
+          >
+            {isImporting ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.importButtonText}>Add to Grade {grade}</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Imported Feeds</Text>
+        {savedFeeds.length === 0 ? (
+          <Text style={styles.emptyText}>No books have been added from a feed yet.</Text>
+        ) : (
+          savedFeeds.map(savedFeed => {
+            const feedBooks = imports.books.filter(book => book.source.feedUrl === savedFeed.url);
+            const missingCount = feedBooks.filter(book => book.source.missing).length;
+            return (
+              <View key={savedFeed.url} style={styles.feedItem}>
+                <Text style={styles.entryTitle}>{savedFeed.title}</Text>
+                <Text style={styles.entryMeta} numberOfLines={1}>{savedFeed.url}</Text>
+                <Text style={styles.entryMeta}>
+                  {feedBooks.length} book(s) • Refreshed {new Date(savedFeed.refreshedAt).toLocaleDateString()}
+                </Text>
+                {missingCount > 0 && (
+                  <Text style={styles.missingText}>{missingCount} book(s) no longer in the feed</Text>
+                )}
+                <View style={styles.feedActions}>
+                  <TouchableOpacity style={styles.feedButton} onPress={() => openFeed(savedFeed.url)}>
+                    <Text style={styles.feedButtonText}>Open</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.feedButton, busyFeedUrl && styles.disabledButton]}
+                    onPress={() => handleRefresh(savedFeed.url)}
+                    disabled={Boolean(busyFeedUrl)}
+                  >
+                    <Text style={styles.feedButtonText}>
+                      {busyFeedUrl === savedFeed.url ? 'Refreshing...' : 'Refresh'}
+                    </Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.feedButton, styles.removeButton]}
+                    onPress={() => handleRemove(savedFeed, feedBooks.length)}
+                    disabled={Boolean(busyFeedUrl)}
+                  >
+                    <Text style={[styles.feedButtonText, styles.removeButtonText]}>Remove</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            );
+          })
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  contentContainer: {
+    padding: 20,
+  },
+  introText: {
+    fontSize: 15,
+    color: '#666',
+    lineHeight: 22,
+    marginBottom: 15,
+  },
+  urlRow: {
+    flexDirection: 'row',
+    marginBottom: 20,
+  },
+  urlInput: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    marginRight: 10,
+  },
+  openButton: {
+    backgroundColor: '#2196F3',
+    borderRadius: 8,
+    paddingHorizontal: 18,
+    justifyContent: 'center',
+  },
+  openButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  section: {
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 4,
+  },
+  feedMeta: {
+    fontSize: 13,
+    color: '#999',
+    marginBottom: 12,
+  },
+  linkText: {
+    fontSize: 15,
+    color: '#2196F3',
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  navigationItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 10,
+  },
+  settingChevron: {
+    fontSize: 24,
+    color: '#999',
+    marginLeft: 10,
+  },
+  entryItem: {
+    flexDirection: 'row',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 10,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  selectedEntryItem: {
+    borderColor: '#4CAF50',
+  },
+  entryCheck: {
+    fontSize: 22,
+    color: '#4CAF50',
+    marginRight: 12,
+  },
+  entryInfo: {
+    flex: 1,
+  },
+  entryTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 2,
+  },
+  entryMeta: {
+    fontSize: 13,
+    color: '#999',
+    marginBottom: 2,
+  },
+  importedText: {
+    fontSize: 13,
+    color: '#4CAF50',
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  missingText: {
+    fontSize: 13,
+    color: '#FF9800',
+    marginTop: 2,
+  },
+  emptyText: {
+    fontSize: 15,
+    color: '#999',
+    paddingVertical: 10,
+  },
+  loadMoreButton: {
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  importPanel: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 1,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 10,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    marginRight: 8,
+  },
+  activeChip: {
+    backgroundColor: '#4CAF50',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  activeChipText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  pagesInput: {
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+    width: 120,
+  },
+  importButton: {
+    backgroundColor: '#4CAF50',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  importButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  feedItem: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 12,
+  },
+  feedActions: {
+    flexDirection: 'row',
+    marginTop: 10,
+  },
+  feedButton: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginRight: 10,
+  },
+  feedButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  removeButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#f44336',
+  },
+  removeButtonText: {
+    color: '#f44336',
+  },
+});
+
+export default OpdsBrowserScreen;
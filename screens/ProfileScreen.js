@@ -7,47 +7,51 @@ import {
   TouchableOpacity,
   Alert
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getIntensiveBooks, getExtensiveBooks } from '../data/books';
+import { getIntensiveBooks, getExtensiveBooks, getBookById, getReadingGrade } from '../data/books';
+import { deleteRecordingFiles, deleteRecording } from '../services/recordings';
+import { loadGradeProgress, resetGradeProgress } from '../services/progressStorage';
+import { loadGradeState } from '../services/gradeState';
+import { getActiveLearnerProfile } from '../services/learnerProfiles';
+import { exportLearnerBackup, pickLearnerBackup, restoreLearnerBackup } from '../services/learnerBackup';
+import { useProgress } from '../hooks/useProgress';
+import { useGradeHistory } from '../hooks/useGradeHistory';
+import RecordingsLibrary from '../components/RecordingsLibrary';
+import StickerAlbum from '../components/StickerAlbum';
+import { MILESTONE_STICKERS, countStickersByTier } from '../data/stickers';
+import { describeFailure } from '../data/failureRules';
+import { describeGradeSummary } from '../data/gradeSummary';
+import { RESTORE_MODES, describeLearnerBackup } from '../data/learnerBackup';
 
 // Following SOLID principles - Single Responsibility Principle
 // This component handles user profile and progress display
 
 const ProfileScreen = ({ navigation }) => {
   const [selectedGrade, setSelectedGrade] = useState(null);
-  const [progress, setProgress] = useState({});
-  const [stats, setStats] = useState({
-    totalBooksCompleted: 0,
-    intensiveBooksCompleted: 0,
-    extensiveBooksCompleted: 0,
-    totalPagesRead: 0,
-    currentStreak: 0
-  });
-  const [recentBooks, setRecentBooks] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [learner, setLearner] = useState(null);
+  // While the selected grade has no books, the neighbouring grade being read holds the progress
+  const readingGrade = selectedGrade === null ? null : (getReadingGrade(selectedGrade) ?? selectedGrade);
+  // Stays current as recordings are deleted or progress is reset, without reloading on focus
+  const { progress, isLoading: isProgressLoading } = useProgress([readingGrade]);
+  // Every grade read in, including ones the student has moved up from
+  const gradeHistory = useGradeHistory();
 
   useEffect(() => {
     loadProfileData();
-    
-    // Refresh data when screen comes into focus
-    const unsubscribe = navigation.addListener('focus', () => {
-      loadProfileData();
-    });
-
-    return unsubscribe;
-  }, [navigation]);
+  }, []);
 
   // DRY principle - centralized data loading
   const loadProfileData = async () => {
     try {
-      const grade = await AsyncStorage.getItem('selectedGrade');
-      if (!grade) {
+      // The profile is the student's own grade, even while Home browses another
+      const { selectedGrade: grade } = await loadGradeState();
+      if (grade === null) {
         navigation.replace('GradeSelection');
         return;
       }
       
-      setSelectedGrade(parseInt(grade));
-      await loadProgressData(parseInt(grade));
+      setSelectedGrade(grade);
+      setLearner(await getActiveLearnerProfile());
     } catch (error) {
       console.error('Error loading profile data:', error);
     } finally {
@@ -55,23 +59,6 @@ const ProfileScreen = ({ navigation }) => {
     }
   };
 
-  // SOLID - Interface Segregation: Separate progress data loading
-  const loadProgressData = async (grade) => {
-    try {
-      const progressKey = `progress_grade_${grade}`;
-      const savedProgress = await AsyncStorage.getItem(progressKey);
-      
-      if (savedProgress) {
-        const parsedProgress = JSON.parse(savedProgress);
-        setProgress(parsedProgress);
-        calculateStats(parsedProgress, grade);
-        getRecentBooks(parsedProgress);
-      }
-    } catch (error) {
-      console.error('Error loading progress data:', error);
-    }
-  };
-
   // DRY principle - reusable stats calculation
   const calculateStats = (progressData, grade) => {
     const intensiveBooks = getIntensiveBooks(grade);
@@ -96,16 +83,17 @@ const ProfileScreen = ({ navigation }) => {
       totalPagesRead += bookProgress.currentPage || 0;
     });
 
-    setStats({
+    return {
       totalBooksCompleted: totalCompleted,
       intensiveBooksCompleted: intensiveCompleted,
       extensiveBooksCompleted: extensiveCompleted,
       totalPagesRead: totalPagesRead,
       currentStreak: calculateReadingStreak(progressData),
+      goldStickers: countStickersByTier(progressData).gold,
       totalBooks: intensiveBooks.length + extensiveBooks.length,
       intensiveTotal: intensiveBooks.length,
       extensiveTotal: extensiveBooks.length
-    });
+    };
   };
 
   // YAGNI principle - simple streak calculation for now
@@ -117,7 +105,7 @@ const ProfileScreen = ({ navigation }) => {
 
   // DRY principle - get recent books
   const getRecentBooks = (progressData) => {
-    const recent = Object.entries(progressData)
+    return Object.entries(progressData)
       .filter(([bookId, data]) => data.lastRead)
       .sort((a, b) => new Date(b[1].lastRead) - new Date(a[1].lastRead))
       .slice(0, 5)
@@ -129,8 +117,126 @@ const ProfileScreen = ({ navigation }) => {
         lastRead: data.lastRead,
         type: data.bookType
       }));
-    
-    setRecentBooks(recent);
+  };
+
+  // DRY principle - recordings grouped by book and page, oldest first so progress can be heard over time
+  const getRecordingGroups = (progressData) => {
+    return Object.entries(progressData)
+      .filter(([bookId, data]) => data.recordings && data.recordings.length > 0)
+      .map(([bookId, data]) => {
+        const pages = {};
+        data.recordings.forEach(recording => {
+          pages[recording.page] = pages[recording.page] || [];
+          pages[recording.page].push(recording);
+        });
+
+        return {
+          bookId,
+          title: data.bookTitle,
+          recordingCount: data.recordings.length,
+          totalMillis: data.recordings.reduce((total, recording) => total + (recording.durationMillis || 0), 0),
+          latestRecordedAt: data.recordings.reduce(
+            (latest, recording) => (recording.recordedAt > latest ? recording.recordedAt : latest),
+            ''
+          ),
+          pages: Object.keys(pages)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(page => ({
+              page,
+              recordings: pages[page].sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt))
+            }))
+        };
+      })
+      .sort((a, b) => new Date(b.latestRecordedAt) - new Date(a.latestRecordedAt));
+  };
+
+  // DRY principle - books with recorded failures, most recent first, with the reasons behind them
+  const getPracticeBooks = (progressData) => {
+    return Object.entries(progressData)
+      .filter(([bookId, data]) => data.failures && data.failures.length > 0)
+      .map(([bookId, data]) => ({
+        id: bookId,
+        title: data.bookTitle,
+        resetCount: (data.resets || []).length,
+        reviewBook: data.pendingReview ? getBookById(data.pendingReview.bookId) : null,
+        recentFailures: data.failures.slice(-3).reverse(),
+        lastFailedAt: data.failures[data.failures.length - 1].at
+      }))
+      .sort((a, b) => new Date(b.lastFailedAt) - new Date(a.lastFailedAt));
+  };
+
+  const handleDeleteRecording = async (bookId, recording) => {
+    try {
+      await deleteRecording(readingGrade, bookId, recording.id);
+    } catch (error) {
+      console.error('Error deleting recording:', error);
+      Alert.alert('Error', 'Failed to delete recording. Please try again.');
+    }
+  };
+
+  const handleExportProgress = async () => {
+    try {
+      await exportLearnerBackup();
+    } catch (error) {
+      console.error('Error exporting progress:', error);
+      Alert.alert('Export Failed', error.message);
+    }
+  };
+
+  const restoreBackup = async (backup, mode) => {
+    try {
+      const { gradeCount, missingRecordingCount } = await restoreLearnerBackup(backup, mode);
+      // The grade may have changed; progress and history update themselves
+      await loadProfileData();
+      Alert.alert(
+        'Progress Imported',
+        `Progress for ${gradeCount} grade${gradeCount === 1 ? '' : 's'} was imported.` +
+        (missingRecordingCount > 0
+          ? ` ${missingRecordingCount} recording${missingRecordingCount === 1 ? ' was' : 's were'} made on another device and can only be played there.`
+          : '')
+      );
+    } catch (error) {
+      console.error('Error importing progress:', error);
+      Alert.alert('Import Failed', 'Failed to import the backup. Please try again.');
+    }
+  };
+
+  const confirmReplace = (backup) => {
+    Alert.alert(
+      'Replace Progress',
+      'Your current progress, quizzes and recordings will be replaced by the backup. This action cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Replace', style: 'destructive', onPress: () => restoreBackup(backup, RESTORE_MODES.REPLACE) }
+      ]
+    );
+  };
+
+  // The backup is previewed first; merging keeps the best of both, replacing keeps only the backup
+  const handleImportProgress = async () => {
+    try {
+      const picked = await pickLearnerBackup();
+      if (!picked) return;
+
+      Alert.alert(
+        'Import Progress',
+        `${describeLearnerBackup(picked.summary).join('\n')}\n\nMerge adds this backup to your progress. Replace makes it your only progress.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Replace', style: 'destructive', onPress: () => confirmReplace(picked.backup) },
+          { text: 'Merge', onPress: () => restoreBackup(picked.backup, RESTORE_MODES.MERGE) }
+        ]
+      );
+    } catch (error) {
+      console.error('Error reading backup:', error);
+      Alert.alert('Import Failed', error.message);
+    }
+  };
+
+  // Nothing of this learner stays on screen: the picker replaces every open screen
+  const handleSwitchLearner = () => {
+    navigation.reset({ index: 0, routes: [{ name: 'LearnerPicker' }] });
   };
 
   const handleResetProgress = () => {
@@ -144,9 +250,9 @@ const ProfileScreen = ({ navigation }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              const progressKey = `progress_grade_${selectedGrade}`;
-              await AsyncStorage.removeItem(progressKey);
-              await loadProfileData();
+              // Recording files belong to the progress being reset
+              await deleteRecordingFiles(await loadGradeProgress(readingGrade));
+              await resetGradeProgress(readingGrade);
               Alert.alert('Success', 'Your progress has been reset.');
             } catch (error) {
               console.error('Error resetting progress:', error);
@@ -193,10 +299,61 @@ const ProfileScreen = ({ navigation }) => {
     </View>
   );
 
-  const AchievementBadge = ({ title, description, unlocked = false }) => (
+  const PracticeBookItem = ({ book }) => (
+    <View style={styles.recentBookItem}>
+      <View style={styles.recentBookInfo}>
+        <Text style={styles.recentBookTitle} numberOfLines={1}>
+          {book.title}
+        </Text>
+        {book.reviewBook && (
+          <Text style={styles.practiceReview}>📖 Review &quot;{book.reviewBook.title}&quot; next</Text>
+        )}
+        {book.recentFailures.map((failure, index) => (
+          <Text key={index} style={styles.recentBookMeta}>
+            {describeFailure(failure)} • {new Date(failure.at).toLocaleDateString()}
+          </Text>
+        ))}
+        <Text style={styles.recentBookDate}>
+          Started over {book.resetCount} time{book.resetCount === 1 ? '' : 's'}
+        </Text>
+      </View>
+    </View>
+  );
+
+  const GradeHistoryItem = ({ entry }) => (
+    <View style={styles.recentBookItem}>
+      <View style={styles.recentBookInfo}>
+        <Text style={styles.recentBookTitle}>
+          Grade {entry.grade}{entry.grade === readingGrade ? ' • current' : ''}
+        </Text>
+        {describeGradeSummary(entry.summary).map(line => (
+          <Text key={line} style={styles.recentBookMeta}>{line}</Text>
+        ))}
+        {entry.promotion ? (
+          <Text style={styles.recentBookDate}>
+            Moved up on {new Date(entry.promotion.promotedAt).toLocaleDateString()}
+          </Text>
+        ) : entry.summary.lastRead && (
+          <Text style={styles.recentBookDate}>
+            Last read: {new Date(entry.summary.lastRead).toLocaleDateString()}
+          </Text>
+        )}
+      </View>
+
+      {entry.promotion && (
+        <View style={styles.recentBookStatus}>
+          <View style={styles.completedBadge}>
+            <Text style={styles.completedBadgeText}>✓</Text>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+
+  const AchievementBadge = ({ title, description, emoji, unlocked = false }) => (
     <View style={[styles.achievementBadge, !unlocked && styles.lockedBadge]}>
       <Text style={styles.achievementIcon}>
-        {unlocked ? '🏆' : '🔒'}
+        {unlocked ? emoji : '🔒'}
       </Text>
       <Text style={[styles.achievementTitle, !unlocked && styles.lockedText]}>
         {title}
@@ -207,7 +364,17 @@ const ProfileScreen = ({ navigation }) => {
     </View>
   );
 
-  if (isLoading) {
+  const stats = calculateStats(progress, readingGrade);
+  const recentBooks = getRecentBooks(progress);
+  const recordingGroups = getRecordingGroups(progress);
+  const practiceBooks = getPracticeBooks(progress);
+
+  // Every quiz book of the grade gets a slot in the album, earned or not
+  const stickerBooks = getExtensiveBooks(readingGrade)
+    .filter(book => book.quizQuestions && book.quizQuestions.length > 0)
+    .map(book => ({ id: book.id, title: book.title, sticker: progress[book.id]?.sticker }));
+
+  if (isLoading || isProgressLoading) {
     return (
       <View style={styles.loadingContainer}>
         <Text style={styles.loadingText}>Loading profile...</Text>
@@ -219,8 +386,11 @@ const ProfileScreen = ({ navigation }) => {
     <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
       {/* Header */}
       <View style={styles.header}>
-        <Text style={styles.headerTitle}>My Profile</Text>
-        <Text style={styles.headerSubtitle}>Grade {selectedGrade}</Text>
+        {learner && <Text style={styles.headerAvatar}>{learner.avatar}</Text>}
+        <Text style={styles.headerTitle}>{learner ? learner.name : 'My Profile'}</Text>
+        <Text style={styles.headerSubtitle}>
+          Grade {selectedGrade}{readingGrade !== selectedGrade ? ` • reading Grade ${readingGrade} books` : ''}
+        </Text>
       </View>
 
       {/* Stats Grid */}
@@ -255,6 +425,22 @@ const ProfileScreen = ({ navigation }) => {
         </View>
       </View>
 
+      {/* Grade History */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Grade History</Text>
+        {gradeHistory.length > 0 ? (
+          gradeHistory.map(entry => (
+            <GradeHistoryItem key={entry.grade} entry={entry} />
+          ))
+        ) : (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateText}>
+              Every grade you read in will appear here, with what you achieved.
+            </Text>
+          </View>
+        )}
+      </View>
+
       {/* Recent Reading Activity */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Recent Reading Activity</Text>
@@ -271,35 +457,102 @@ const ProfileScreen = ({ navigation }) => {
         )}
       </View>
 
+      {/* Needs Practice */}
+      {practiceBooks.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Needs Practice</Text>
+          {practiceBooks.map(book => (
+            <PracticeBookItem key={book.id} book={book} />
+          ))}
+        </View>
+      )}
+
+      {/* Recordings Library */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>My Recordings</Text>
+        {recordingGroups.length > 0 ? (
+          <RecordingsLibrary groups={recordingGroups} onDelete={handleDeleteRecording} />
+        ) : (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateText}>
+              No recordings yet. Tap Read Aloud while reading to record yourself!
+            </Text>
+          </View>
+        )}
+      </View>
+
+      {/* Sticker Album */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Sticker Album</Text>
+        {stickerBooks.length > 0 ? (
+          <StickerAlbum books={stickerBooks} />
+        ) : (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateText}>
+              No quizzes for Grade {readingGrade} yet. Stickers will appear here!
+            </Text>
+          </View>
+        )}
+      </View>
+
       {/* Achievements */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Achievements</Text>
         <View style={styles.achievementsGrid}>
-          <AchievementBadge
-            title="First Book"
-            description="Complete your first book"
-            unlocked={stats.totalBooksCompleted >= 1}
-          />
-          <AchievementBadge
-            title="Foundation Builder"
-            description="Complete all intensive books"
-            unlocked={stats.intensiveBooksCompleted === stats.intensiveTotal && stats.intensiveTotal > 0}
-          />
-          <AchievementBadge
-            title="Speed Reader"
-            description="Complete 5 books"
-            unlocked={stats.totalBooksCompleted >= 5}
-          />
-          <AchievementBadge
-            title="Bookworm"
-            description="Read 100 pages"
-            unlocked={stats.totalPagesRead >= 100}
-          />
+          {MILESTONE_STICKERS.map(sticker => (
+            <AchievementBadge
+              key={sticker.id}
+              title={sticker.title}
+              description={sticker.description}
+              emoji={sticker.emoji}
+              unlocked={sticker.isEarned(stats)}
+            />
+          ))}
         </View>
       </View>
 
+      {/* Backup */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Backup</Text>
+        <TouchableOpacity style={styles.settingRow} onPress={handleExportProgress}>
+          <View style={styles.settingInfo}>
+            <Text style={styles.settingTitle}>Export Progress</Text>
+            <Text style={styles.settingDescription}>
+              Save or send a file with your grade, progress, quizzes and recordings list
+            </Text>
+          </View>
+          <Text style={styles.settingChevron}>›</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.settingRow, styles.settingLinkRow]} onPress={handleImportProgress}>
+          <View style={styles.settingInfo}>
+            <Text style={styles.settingTitle}>Import Progress</Text>
+            <Text style={styles.settingDescription}>
+              Restore a backup file from this or another device
+            </Text>
+          </View>
+          <Text style={styles.settingChevron}>›</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Teacher Tools */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>For Teachers</Text>
+        <TouchableOpacity style={styles.settingRow} onPress={() => navigation.navigate('TeacherTools')}>
+          <View style={styles.settingInfo}>
+            <Text style={styles.settingTitle}>Teacher Tools</Text>
+            <Text style={styles.settingDescription}>
+              Device settings, content packs and online libraries
+            </Text>
+          </View>
+          <Text style={styles.settingChevron}>›</Text>
+        </TouchableOpacity>
+      </View>
+
       {/* Actions */}
       <View style={styles.actionsContainer}>
+        <TouchableOpacity style={styles.switchButton} onPress={handleSwitchLearner}>
+          <Text style={styles.switchButtonText}>Switch Learner</Text>
+        </TouchableOpacity>
         <TouchableOpacity style={styles.resetButton} onPress={handleResetProgress}>
           <Text style={styles.resetButtonText}>Reset Progress</Text>
         </TouchableOpacity>
@@ -331,6 +584,10 @@ const styles = StyleSheet.create({
     marginBottom: 30,
     paddingTop: 20,
   },
+  headerAvatar: {
+    fontSize: 56,
+    marginBottom: 5,
+  },
   headerTitle: {
     fontSize: 32,
     fontWeight: 'bold',
@@ -424,6 +681,12 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#999',
   },
+  practiceReview: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#e67e22',
+    marginBottom: 3,
+  },
   recentBookStatus: {
     alignItems: 'center',
   },
@@ -509,10 +772,59 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     lineHeight: 24,
   },
+  settingRow: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    flexDirection: 'row',
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 1,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  settingInfo: {
+    flex: 1,
+    marginRight: 15,
+  },
+  settingTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginBottom: 3,
+  },
+  settingDescription: {
+    fontSize: 13,
+    color: '#666',
+  },
+  settingLinkRow: {
+    marginTop: 10,
+  },
+  settingChevron: {
+    fontSize: 24,
+    color: '#999',
+  },
   actionsContainer: {
     marginTop: 20,
     marginBottom: 40,
   },
+  switchButton: {
+    backgroundColor: '#4CAF50',
+    paddingVertical: 15,
+    paddingHorizontal: 30,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  switchButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
   resetButton: {
     backgroundColor: '#f44336',
     paddingVertical: 15,
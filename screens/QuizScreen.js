@@ -0,0 +1,421 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert
+} from 'react-native';
+import { scoreQuiz, isQuestionAnswered, formatAnswer, formatCorrectAnswer } from '../data/quiz';
+import { saveQuizAttempt } from '../services/quizAttempts';
+import { recordFailure } from '../services/failureTracking';
+import { FAILURE_REASONS, getFailureRules, isQuizFailure } from '../data/failureRules';
+import QuizQuestion from '../components/QuizQuestion';
+import { showFailureActionAlert } from '../components/FailureNotice';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component presents a book's quiz, scores the attempt and shows the results
+
+const QuizScreen = ({ route, navigation }) => {
+  // nextInSeries is { seriesTitle, book } when the reader found the series' next part ready
+  const { book, grade, nextInSeries } = route.params;
+  const questions = book.quizQuestions || [];
+  const [questionIndex, setQuestionIndex] = useState(0);
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    navigation.setOptions({ title: `${book.title} Quiz` });
+  }, [book.title, navigation]);
+
+  const currentQuestion = questions[questionIndex];
+  const isLastQuestion = questionIndex === questions.length - 1;
+
+  const handleAnswer = (answer) => {
+    setAnswers(current => ({ ...current, [currentQuestion.id]: answer }));
+  };
+
+  // SOLID - Interface Segregation: Separate scoring and saving logic
+  const handleSubmit = async () => {
+    const unanswered = questions.filter(question => !isQuestionAnswered(question, answers[question.id]));
+    if (unanswered.length > 0) {
+      Alert.alert('Almost There', 'Please answer every question before submitting.');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const score = scoreQuiz(questions, answers);
+      const { bookProgress, newSticker } = await saveQuizAttempt(grade, book, { answers, ...score });
+
+      // Scores under the grade's pass mark count towards the book's reset rule
+      const failed = isQuizFailure(getFailureRules(grade), score.score);
+      const failureAction = failed
+        ? (await recordFailure(grade, book, FAILURE_REASONS.QUIZ, { score: score.score })).action
+        : null;
+
+      setResult({
+        ...score,
+        bestScore: bookProgress.quizBestScore,
+        attemptCount: bookProgress.quizAttempts.length,
+        failed,
+        failureAction
+      });
+
+      if (failureAction) {
+        showFailureActionAlert({ action: failureAction, book, grade, navigation });
+        return;
+      }
+
+      // New or better stickers are celebrated before the results are shown
+      if (newSticker) {
+        navigation.navigate('Celebration', { book, grade, sticker: newSticker, score: score.score, nextInSeries });
+      }
+    } catch (error) {
+      console.error('Error saving quiz attempt:', error);
+      Alert.alert('Error', 'Failed to save your quiz. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRetake = () => {
+    setAnswers({});
+    setQuestionIndex(0);
+    setResult(null);
+  };
+
+  const handleDone = () => {
+    navigation.goBack();
+  };
+
+  const handleReadNext = () => {
+    navigation.replace('BookReader', {
+      book: nextInSeries.book,
+      grade: nextInSeries.book.grade,
+      type: nextInSeries.book.type
+    });
+  };
+
+  // Render functions rather than inner components, so typed answers keep their focus
+  const renderQuestion = () => (
+    <View>
+      <View style={styles.questionHeader}>
+        <Text style={styles.questionCounter}>
+          Question {questionIndex + 1} of {questions.length}
+        </Text>
+        <View style={styles.progressBarBackground}>
+          <View
+            style={[
+              styles.progressBarFill,
+              { width: `${Math.round(((questionIndex + 1) / questions.length) * 100)}%` }
+            ]}
+          />
+        </View>
+      </View>
+
+      <QuizQuestion
+        key={currentQuestion.id}
+        question={currentQuestion}
+        answer={answers[currentQuestion.id]}
+        onAnswer={handleAnswer}
+      />
+
+      <View style={styles.navigationRow}>
+        <TouchableOpacity
+          style={[styles.navButton, styles.secondaryButton, questionIndex === 0 && styles.disabledButton]}
+          onPress={() => setQuestionIndex(questionIndex - 1)}
+          disabled={questionIndex === 0}
+        >
+          <Text style={[styles.navButtonText, styles.secondaryButtonText]}>← Back</Text>
+        </TouchableOpacity>
+
+        {isLastQuestion ? (
+          <TouchableOpacity
+            style={[styles.navButton, isSaving && styles.disabledButton]}
+            onPress={handleSubmit}
+            disabled={isSaving}
+          >
+            <Text style={styles.navButtonText}>{isSaving ? 'Saving...' : 'Submit'}</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.navButton, !isQuestionAnswered(currentQuestion, answers[currentQuestion.id]) && styles.disabledButton]}
+            onPress={() => setQuestionIndex(questionIndex + 1)}
+            disabled={!isQuestionAnswered(currentQuestion, answers[currentQuestion.id])}
+          >
+            <Text style={styles.navButtonText}>Next →</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+
+  const renderResults = () => (
+    <View>
+      <View style={styles.scoreCard}>
+        <Text style={styles.scoreEmoji}>{result.score >= 80 ? '🌟' : result.score >= 50 ? '👍' : '📖'}</Text>
+        <Text style={styles.scoreValue}>{result.score}%</Text>
+        <Text style={styles.scoreDetails}>
+          {result.correctCount} of {result.totalQuestions} correct
+        </Text>
+        <View style={styles.scoreStatsRow}>
+          <Text style={styles.scoreStat}>Latest: {result.score}%</Text>
+          <Text style={styles.scoreStat}>Best: {result.bestScore}%</Text>
+          <Text style={styles.scoreStat}>Attempts: {result.attemptCount}</Text>
+        </View>
+      </View>
+
+      <Text style={styles.sectionTitle}>Review</Text>
+      {questions.map((question, index) => {
+        const questionResult = result.results[index];
+        return (
+          <View
+            key={question.id}
+            style={[styles.reviewItem, questionResult.correct ? styles.correctReview : styles.incorrectReview]}
+          >
+            <Text style={styles.reviewQuestion}>
+              {questionResult.correct ? '✓' : '✗'} {question.question}
+            </Text>
+            <Text style={styles.reviewAnswer}>Your answer: {formatAnswer(question, questionResult.answer)}</Text>
+            {!questionResult.correct && (
+              <Text style={styles.reviewAnswer}>Correct answer: {formatCorrectAnswer(question)}</Text>
+            )}
+          </View>
+        );
+      })}
+
+      {result.failed && (
+        <Text style={styles.failureText}>
+          {result.failureAction
+            ? 'Read the book again before your next try.'
+            : `You need ${getFailureRules(grade).quizPassScore}% to pass. Keep practicing!`}
+        </Text>
+      )}
+
+      {/* A reset sends the student back to this book, so the next part waits */}
+      {nextInSeries && !result.failureAction && (
+        <TouchableOpacity style={styles.readNextButton} onPress={handleReadNext}>
+          <Text style={styles.navButtonText}>Read Next: &quot;{nextInSeries.book.title}&quot;</Text>
+          <Text style={styles.readNextSeries}>Next in {nextInSeries.seriesTitle}</Text>
+        </TouchableOpacity>
+      )}
+
+      <View style={styles.navigationRow}>
+        {!result.failureAction && (
+          <TouchableOpacity style={[styles.navButton, styles.secondaryButton]} onPress={handleRetake}>
+            <Text style={[styles.navButtonText, styles.secondaryButtonText]}>Retake Quiz</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.navButton} onPress={handleDone}>
+          <Text style={styles.navButtonText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  // YAGNI principle - only render what's needed
+  if (questions.length === 0) {
+    return (
+      <View style={styles.emptyContainer}>
+        <Text style={styles.emptyIcon}>📝</Text>
+        <Text style={styles.emptyTitle}>No Quiz Available</Text>
+        <Text style={styles.emptyDescription}>This book does not have a quiz yet.</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.contentContainer}
+      keyboardShouldPersistTaps="handled"
+    >
+      <Text style={styles.title}>{book.title}</Text>
+      {result ? renderResults() : renderQuestion()}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  contentContainer: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 15,
+    textAlign: 'center',
+  },
+  questionHeader: {
+    marginBottom: 15,
+  },
+  questionCounter: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 8,
+  },
+  progressBarBackground: {
+    height: 8,
+    backgroundColor: '#e9ecef',
+    borderRadius: 4,
+  },
+  progressBarFill: {
+    height: '100%',
+    backgroundColor: '#4CAF50',
+    borderRadius: 4,
+  },
+  navigationRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 10,
+    marginBottom: 30,
+  },
+  navButton: {
+    flex: 1,
+    backgroundColor: '#4CAF50',
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
+  secondaryButton: {
+    backgroundColor: '#fff',
+    borderWidth: 2,
+    borderColor: '#4CAF50',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  navButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryButtonText: {
+    color: '#4CAF50',
+  },
+  readNextButton: {
+    backgroundColor: '#2196F3',
+    paddingVertical: 14,
+    paddingHorizontal: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 5,
+    marginTop: 10,
+  },
+  readNextSeries: {
+    color: '#fff',
+    fontSize: 13,
+    marginTop: 3,
+  },
+  scoreCard: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 25,
+    marginBottom: 25,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 5,
+  },
+  scoreEmoji: {
+    fontSize: 48,
+    marginBottom: 10,
+  },
+  scoreValue: {
+    fontSize: 48,
+    fontWeight: 'bold',
+    color: '#4CAF50',
+  },
+  scoreDetails: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 15,
+  },
+  scoreStatsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    alignSelf: 'stretch',
+  },
+  scoreStat: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  sectionTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 15,
+  },
+  reviewItem: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 10,
+    borderLeftWidth: 4,
+  },
+  correctReview: {
+    borderLeftColor: '#4CAF50',
+  },
+  incorrectReview: {
+    borderLeftColor: '#f44336',
+  },
+  reviewQuestion: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginBottom: 5,
+  },
+  reviewAnswer: {
+    fontSize: 14,
+    color: '#666',
+  },
+  failureText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#e67e22',
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+    backgroundColor: '#f8f9fa',
+  },
+  emptyIcon: {
+    fontSize: 64,
+    marginBottom: 20,
+  },
+  emptyTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  emptyDescription: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
+
+export default QuizScreen;
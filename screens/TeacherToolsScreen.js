@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  Switch
+} from 'react-native';
+import { loadSettings, updateSettings } from '../services/appSettings';
+
+// Following SOLID principles - Single Responsibility Principle
+// This component gathers the device settings and book management a teacher looks after
+
+const TeacherToolsScreen = ({ navigation }) => {
+  const [settings, setSettings] = useState(null);
+
+  useEffect(() => {
+    loadTeacherSettings();
+  }, []);
+
+  const loadTeacherSettings = async () => {
+    setSettings(await loadSettings());
+  };
+
+  const handleSettingChange = async (changes) => {
+    try {
+      setSettings(await updateSettings(changes));
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      Alert.alert('Error', 'Failed to save the setting. Please try again.');
+    }
+  };
+
+  // Following SOLID - Open/Closed Principle: a new tool only adds a row
+  const ToolLink = ({ title, description, screen }) => (
+    <TouchableOpacity
+      style={styles.settingRow}
+      onPress={() => navigation.navigate(screen)}
+    >
+      <View style={styles.settingInfo}>
+        <Text style={styles.settingTitle}>{title}</Text>
+        <Text style={styles.settingDescription}>{description}</Text>
+      </View>
+      <Text style={styles.settingChevron}>›</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
+      <Text style={styles.introText}>
+        These settings apply to every learner on this device.
+      </Text>
+
+      {settings && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Reading</Text>
+          <View style={styles.settingRow}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingTitle}>Search all grades</Text>
+              <Text style={styles.settingDescription}>
+                Let book search and lists show books from other grades
+              </Text>
+            </View>
+            <Switch
+              value={settings.crossGradeSearch}
+              onValueChange={(value) => handleSettingChange({ crossGradeSearch: value })}
+              trackColor={{ true: '#4CAF50' }}
+            />
+          </View>
+        </View>
+      )}
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Books</Text>
+        <ToolLink
+          title="Content Packs"
+          description="Install your school's books from zip files"
+          screen="ContentPacks"
+        />
+        <ToolLink
+          title="Online Libraries"
+          description="Browse OPDS catalogs and add their books to a grade"
+          screen="OpdsBrowser"
+        />
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  contentContainer: {
+    padding: 20,
+  },
+  introText: {
+    fontSize: 15,
+    color: '#666',
+    lineHeight: 22,
+    marginBottom: 20,
+  },
+  section: {
+    marginBottom: 30,
+  },
+  sectionTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 5,
+  },
+  settingRow: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginTop: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 1,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  settingInfo: {
+    flex: 1,
+    marginRight: 15,
+  },
+  settingTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginBottom: 3,
+  },
+  settingDescription: {
+    fontSize: 13,
+    color: '#666',
+  },
+  settingChevron: {
+    fontSize: 24,
+    color: '#999',
+  },
+});
+
+export default TeacherToolsScreen;
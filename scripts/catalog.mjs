@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+/**
+ * Authoring tool for the book catalog manifest (data/catalog.json by default).
+ * Runs offline against local files:
+ *
+ *   node scripts/catalog.mjs validate [--manifest <file>]
+ *   node scripts/catalog.mjs new-book --grade <n> --type <intensive|extensive> --title <title>
+ *        --url <pdf url> --pages <n> [--id <id>] [--author <name>] [--tags <a;b>] [--timer <seconds>]
+ *        [--level <A-Z>] [--words <n>] [--manifest <file>] [--dry-run]
+ *   node scripts/catalog.mjs import-csv <file.csv> [--manifest <file>] [--dry-run]
+ *   node scripts/catalog.mjs emit [--manifest <file>] [--out <file>]
+ *
+ * CSV columns: title, grade, type, url, pages, and optionally id, author, tags (separated by ;), timer,
+ * level (guided-reading level), words (word count) and q1, q2, ... for quiz questions.
+ * A quiz cell is either "Question | *Right option | Wrong option" (several * make a multiple-choice question),
+ * "Question | true" / "Question | false" for true or false, or a JSON question object for the other types.
+ */
+
+import fs from "fs";
+import path from "path";
+// The validator is shared with the app, whose ES modules sit in a package without "type": "module";
+// `npm run catalog` turns off Node's warning about that
+import { validateCatalog, formatValidationReport } from "../data/catalogValidator.js";
+
+// Run from the project root, as `npm run catalog` does
+const root = process.cwd();
+const defaultManifestPath = path.join(root, "data", "catalog.json");
+
+const parseArgs = (argv) => {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith("--")) {
+      const key = arg.slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith("--")) {
+        args[key] = true;
+      } else {
+        args[key] = next;
+        i++;
+      }
+    } else {
+      args._.push(arg);
+    }
+  }
+  return args;
+};
+
+const readManifest = (manifestPath) => {
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Manifest not found: ${manifestPath}`);
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+};
+
+const writeJson = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`);
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Ids follow the grade<n>_<type>_<count> pattern used by the bundled books
+const nextBookId = (manifest, grade, type) => {
+  const ids = new Set(
+    Object.values(manifest.grades).flatMap((gradeBooks) =>
+      [...(gradeBooks.intensive || []), ...(gradeBooks.extensive || [])].map((book) => book.id)
+    )
+  );
+  let count = 1;
+  while (ids.has(`grade${grade}_${type}_${count}`)) count++;
+  return `grade${grade}_${type}_${count}`;
+};
+
+const buildBook = (manifest, fields) => {
+  const grade = Number(fields.grade);
+  const type = String(fields.type || "").trim().toLowerCase();
+  const book = {
+    id: fields.id ? String(fields.id).trim() : nextBookId(manifest, grade, type),
+    title: String(fields.title || "").trim(),
+    ...(fields.author && { author: String(fields.author).trim() }),
+    grade,
+    type,
+    pdfUrl: String(fields.url || "").trim(),
+    totalPages: Number(fields.pages),
+    completed: false,
+  };
+  if (fields.tags) {
+    book.tags = String(fields.tags)
+      .split(";")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+  if (fields.level) {
+    book.level = String(fields.level).trim().toUpperCase();
+  }
+  if (fields.words) {
+    book.wordCount = Number(fields.words);
+  }
+  if (fields.timer) {
+    book.pageTimerSeconds = Number(fields.timer);
+  }
+  if (type === "extensive") {
+    book.quizQuestions = fields.quizQuestions || [];
+  }
+  return book;
+};
+
+// A book with an existing id replaces it; otherwise it is added to its grade and type
+const upsertBook = (manifest, book) => {
+  Object.values(manifest.grades).forEach((gradeBooks) => {
+    ["intensive", "extensive"].forEach((bucket) => {
+      if (gradeBooks[bucket]) {
+        gradeBooks[bucket] = gradeBooks[bucket].filter((existing) => existing.id !== book.id);
+      }
+    });
+  });
+
+  const gradeKey = String(book.grade);
+  manifest.grades[gradeKey] = manifest.grades[gradeKey] || { intensive: [], extensive: [] };
+  const bucket = book.type === "extensive" ? "extensive" : "intensive";
+  manifest.grades[gradeKey][bucket] = [...(manifest.grades[gradeKey][bucket] || []), book];
+};
+
+// Handles quoted fields, escaped quotes and line breaks inside quotes
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+const parseQuizCell = (cell, questionId) => {
+  const text = cell.trim();
+  if (text.startsWith("{")) {
+    return { id: questionId, ...JSON.parse(text) };
+  }
+
+  const [question, ...parts] = text.split("|").map((part) => part.trim());
+  if (parts.length === 1 && ["true", "false"].includes(parts[0].toLowerCase())) {
+    return { id: questionId, type: "true_false", question, correctAnswer: parts[0].toLowerCase() === "true" };
+  }
+
+  const options = parts.map((part) => part.replace(/^\*/, "").trim());
+  const correct = parts
+    .map((part, index) => (part.startsWith("*") ? index : null))
+    .filter((index) => index !== null);
+  if (correct.length > 1) {
+    return { id: questionId, type: "multiple_choice", question, options, correctAnswers: correct };
+  }
+  return { id: questionId, question, options, correctAnswer: correct.length === 1 ? correct[0] : null };
+};
+
+const readCsvBooks = (csvPath, manifest) => {
+  const [header, ...rows] = parseCsv(fs.readFileSync(csvPath, "utf8"));
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const missing = ["title", "grade", "type", "url", "pages"].filter((name) => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`CSV is missing column(s): ${missing.join(", ")}`);
+  }
+
+  return rows.map((cells, rowIndex) => {
+    const fields = {};
+    columns.forEach((name, index) => {
+      fields[name] = (cells[index] || "").trim();
+    });
+
+    const quizQuestions = columns
+      .filter((name) => /^q\d+$/.test(name) && fields[name])
+      .map((name) => {
+        try {
+          return parseQuizCell(fields[name], name);
+        } catch (error) {
+          throw new Error(`Row ${rowIndex + 2}, column ${name}: ${error.message}`);
+        }
+      });
+
+    const book = buildBook(manifest, { ...fields, quizQuestions });
+    // Later rows must not be given the same generated id
+    upsertBook(manifest, book);
+    return book;
+  });
+};
+
+// Checks the changed manifest and only writes it when no book would be quarantined
+const saveManifest = async (manifest, manifestPath, { dryRun }) => {
+  const result = validateCatalog(manifest);
+  console.log(formatValidationReport(result));
+
+  if (!result.isValid) {
+    console.error("\n❌ Manifest not written. Fix the errors above and try again.");
+    return false;
+  }
+  if (dryRun) {
+    console.log("\nℹ️ Dry run: manifest not written.");
+    return true;
+  }
+
+  manifest.version = (Number(manifest.version) || 0) + 1;
+  manifest.updatedAt = today();
+  writeJson(manifestPath, manifest);
+  console.log(`\n✅ ${path.relative(root, manifestPath)} written (version ${manifest.version}).`);
+  return true;
+};
+
+const commands = {
+  validate: async (args, manifestPath) => {
+    const result = validateCatalog(readManifest(manifestPath));
+    console.log(formatValidationReport(result));
+    return result.isValid;
+  },
+
+  "new-book": async (args, manifestPath) => {
+    const missing = ["grade", "type", "title", "url", "pages"].filter((name) => args[name] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Missing option(s): ${missing.map((name) => `--${name}`).join(", ")}`);
+    }
+
+    const manifest = readManifest(manifestPath);
+    const book = buildBook(manifest, args);
+    upsertBook(manifest, book);
+    console.log(`📘 ${book.id}\n${JSON.stringify(book, null, 2)}\n`);
+    return saveManifest(manifest, manifestPath, { dryRun: args["dry-run"] });
+  },
+
+  "import-csv": async (args, manifestPath) => {
+    const csvPath = args._[1];
+    if (!csvPath) {
+      throw new Error("Usage: import-csv <file.csv>");
+    }
+
+    const manifest = readManifest(manifestPath);
+    const books = readCsvBooks(path.resolve(csvPath), manifest);
+    console.log(`📥 ${books.length} book(s) read from ${csvPath}: ${books.map((book) => book.id).join(", ")}\n`);
+    return saveManifest(manifest, manifestPath, { dryRun: args["dry-run"] });
+  },
+
+  // The emitted manifest leaves quarantined books out and is ready to host as the app's catalogUrl
+  emit: async (args, manifestPath) => {
+    const result = validateCatalog(readManifest(manifestPath));
+    console.log(formatValidationReport(result));
+
+    const outPath = path.resolve(args.out || path.join(root, "dist", "catalog.json"));
+    writeJson(outPath, result.catalog);
+    console.log(`\n✅ Manifest emitted to ${outPath}`);
+    return true;
+  },
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const command = commands[args._[0]];
+  if (!command) {
+    console.log(`Usage: node scripts/catalog.mjs <${Object.keys(commands).join("|")}> [options]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const manifestPath = path.resolve(args.manifest || defaultManifestPath);
+    const succeeded = await command(args, manifestPath);
+    process.exitCode = succeeded ? 0 : 1;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+};
+
+main();
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for an OPDS library, for trying the app's Online Libraries screen without internet.
+ * Serves the same sample books as OPDS 1.2 and OPDS 2.0 feeds, with small generated PDFs:
+ *
+ *   node scripts/opds-server.js [--port 8080] [--edition 2]
+ *
+ *   /opds/v1/root.xml      OPDS 1.2 navigation feed
+ *   /opds/v1/books.xml     OPDS 1.2 acquisition feed (two pages)
+ *   /opds/v2/catalog.json  OPDS 2.0 feed (two pages)
+ *
+ * --edition 2 serves a later version of the library: one book is revised and one is withdrawn,
+ * so refreshing imported books can be tried.
+ */
+
+const http = require("http");
+const os = require("os");
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, "")] = argv[i + 1];
+  }
+  return args;
+};
+
+const args = parseArgs(process.argv.slice(2));
+const port = Number(args.port) || 8080;
+const edition = Number(args.edition) || 1;
+const PAGE_SIZE = 3;
+
+const baseBooks = [
+  { id: "urn:standin:little-red-hen", title: "The Little Red Hen", author: "Folk Tale", pages: 8, tags: ["animals", "farm"] },
+  { id: "urn:standin:moon-walk", title: "Moon Walk", author: "Ada Lee", pages: 10, tags: ["space"] },
+  { id: "urn:standin:busy-bees", title: "Busy Bees", author: "Sam Ortiz", pages: 6, tags: ["insects", "science"] },
+  { id: "urn:standin:rainy-day", title: "Rainy Day", author: "Mia Chen", pages: 12, tags: ["weather"] },
+  { id: "urn:standin:our-town", title: "A Map of Our Town", author: "Leo Park", pages: 9, tags: ["community"] },
+];
+
+const getBooks = () => {
+  if (edition < 2) {
+    return baseBooks.map((book) => ({ ...book, updated: "2026-01-05T00:00:00Z" }));
+  }
+  return baseBooks
+    .filter((book) => book.id !== "urn:standin:our-town")
+    .map((book) => (book.id === "urn:standin:moon-walk"
+      ? { ...book, title: "Moon Walk (Revised)", pages: 11, updated: "2026-06-01T00:00:00Z" }
+      : { ...book, updated: "2026-01-05T00:00:00Z" }));
+};
+
+const getSlug = (book) => book.id.split(":").pop();
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+// A valid PDF with one line of text per page, built by hand so the server needs no dependencies
+const buildPdf = (title, pageCount) => {
+  const objects = ["<< /Type /Catalog /Pages 2 0 R >>"];
+  const pageIds = Array.from({ length: pageCount }, (_, index) => 4 + index * 2);
+  objects.push(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageCount} >>`);
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>");
+
+  pageIds.forEach((pageId, index) => {
+    const text = `${title} - page ${index + 1}`.replace(/[()\\]/g, "");
+    const stream = `BT /F1 24 Tf 60 700 Td (${text}) Tj ET`;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`);
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return pdf;
+};
+
+const getPage = (books, page) => books.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+const hasNextPage = (books, page) => page * PAGE_SIZE < books.length;
+
+const opds1Root = () => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:standin:root</id>
+  <title>Stand-in Children's Library</title>
+  <updated>2026-06-01T00:00:00Z</updated>
+  <link rel="self" href="/opds/v1/root.xml" type="application/atom+xml;profile=opds-catalog;kind=navigation"/>
+  <entry>
+    <title>All Books</title>
+    <id>urn:standin:all-books</id>
+    <updated>2026-06-01T00:00:00Z</updated>
+    <content type="text">Every book in the library</content>
+    <link rel="subsection" href="books.xml" type="application/atom+xml;profile=opds-catalog;kind=acquisition"/>
+  </entry>
+</feed>
+`;
+
+const opds1Books = (page) => {
+  const books = getBooks();
+  const entries = getPage(books, page).map((book) => `  <entry>
+    <title>${escapeXml(book.title)}</title>
+    <id>${book.id}</id>
+    <updated>${book.updated}</updated>
+    <author><name>${escapeXml(book.author)}</name></author>
+    <dc:language>en</dc:language>
+    <schema:numberOfPages>${book.pages}</schema:numberOfPages>
+    <summary>A sample book with ${book.pages} pages.</summary>
+${book.tags.map((tag) => `    <category term="${tag}" label="${tag}"/>`).join("\n")}
+    <link rel="http://opds-spec.org/acquisition/open-access" href="/books/${getSlug(book)}.pdf" type="application/pdf"/>
+  </entry>`).join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/terms/" xmlns:schema="http://schema.org/">
+  <id>urn:standin:all-books</id>
+  <title>All Books</title>
+  <updated>2026-06-01T00:00:00Z</updated>
+  <link rel="self" href="/opds/v1/books.xml?page=${page}" type="application/atom+xml;profile=opds-catalog;kind=acquisition"/>
+${hasNextPage(books, page) ? `  <link rel="next" href="books.xml?page=${page + 1}" type="application/atom+xml;profile=opds-catalog;kind=acquisition"/>\n` : ""}${entries}
+</feed>
+`;
+};
+
+const opds2Catalog = (page) => {
+  const books = getBooks();
+  const links = [{ rel: "self", href: `/opds/v2/catalog.json?page=${page}`, type: "application/opds+json" }];
+  if (hasNextPage(books, page)) {
+    links.push({ rel: "next", href: `catalog.json?page=${page + 1}`, type: "application/opds+json" });
+  }
+
+  return {
+    metadata: { title: "Stand-in Children's Library" },
+    links,
+    navigation: page === 1 ? [{ href: "/opds/v1/root.xml", title: "OPDS 1.2 version", type: "application/atom+xml" }] : [],
+    publications: getPage(books, page).map((book) => ({
+      metadata: {
+        "@type": "http://schema.org/Book",
+        identifier: book.id,
+        title: book.title,
+        author: { name: book.author },
+        language: "en",
+        modified: book.updated,
+        numberOfPages: book.pages,
+        subject: book.tags.map((tag) => ({ name: tag })),
+      },
+      links: [{ rel: "http://opds-spec.org/acquisition/open-access", href: `/books/${getSlug(book)}.pdf`, type: "application/pdf" }],
+    })),
+  };
+};
+
+const send = (response, status, type, body) => {
+  response.writeHead(status, { "Content-Type": type, "Access-Control-Allow-Origin": "*" });
+  response.end(body);
+};
+
+const server = http.createServer((request, response) => {
+  const url = new URL(request.url, `http://localhost:${port}`);
+  const page = Math.max(1, Number(url.searchParams.get("page")) || 1);
+  console.log(`${request.method} ${request.url}`);
+
+  if (url.pathname === "/opds/v1/root.xml") {
+    return send(response, 200, "application/atom+xml;profile=opds-catalog;kind=navigation", opds1Root());
+  }
+  if (url.pathname === "/opds/v1/books.xml") {
+    return send(response, 200, "application/atom+xml;profile=opds-catalog;kind=acquisition", opds1Books(page));
+  }
+  if (url.pathname === "/opds/v2/catalog.json") {
+    return send(response, 200, "application/opds+json", JSON.stringify(opds2Catalog(page), null, 2));
+  }
+
+  const pdfMatch = url.pathname.match(/^\/books\/([a-z-]+)\.pdf$/);
+  const book = pdfMatch && getBooks().find((entry) => getSlug(entry) === pdfMatch[1]);
+  if (book) {
+    return send(response, 200, "application/pdf", buildPdf(book.title, book.pages));
+  }
+  return send(response, 404, "text/plain", "Not found");
+});
+
+server.listen(port, () => {
+  // A phone on the same network uses the computer's address; the Android emulator uses 10.0.2.2
+  const addresses = Object.values(os.networkInterfaces())
+    .flat()
+    .filter((address) => address && address.family === "IPv4")
+    .map((address) => address.address);
+  console.log(`📚 Stand-in OPDS library (edition ${edition}) on port ${port}`);
+  addresses.forEach((address) => {
+    console.log(`   http://${address}:${port}/opds/v1/root.xml`);
+    console.log(`   http://${address}:${port}/opds/v2/catalog.json`);
+  });
+});
@@ -0,0 +1,22 @@
+// Following SOLID principles - Single Responsibility Principle
+// The learner using the app right now. Every key for a learner's own data (grade, progress)
+// goes through getLearnerKey, so learners sharing a device never see each other's data.
+
+let activeLearnerId = null;
+
+export const getLearnerKeyPrefix = (learnerId) => `learner_${learnerId}_`;
+
+export const getActiveLearnerId = () => activeLearnerId;
+
+// Null while the learner picker is open
+export const setActiveLearner = (learnerId) => {
+  activeLearnerId = learnerId;
+};
+
+export const getLearnerKey = (key) => {
+  // Failing is safer than reading or writing data that belongs to nobody, or to someone else
+  if (activeLearnerId === null) {
+    throw new Error('No learner profile is selected');
+  }
+  return `${getLearnerKeyPrefix(activeLearnerId)}${key}`;
+};
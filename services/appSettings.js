@@ -0,0 +1,27 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Following SOLID principles - Single Responsibility Principle
+// Device settings chosen by a teacher, stored apart from the learner's progress
+
+const SETTINGS_KEY = 'app_settings';
+
+export const DEFAULT_SETTINGS = {
+  // Lets book search show books from every grade, not just the selected one
+  crossGradeSearch: false
+};
+
+export const loadSettings = async () => {
+  try {
+    const savedSettings = await AsyncStorage.getItem(SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...(savedSettings ? JSON.parse(savedSettings) : {}) };
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+export const updateSettings = async (changes) => {
+  const settings = { ...(await loadSettings()), ...changes };
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+};
@@ -0,0 +1,100 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Constants from 'expo-constants';
+import {
+  getBundledCatalog,
+  getCatalog,
+  setCatalog,
+  isSupportedManifest
+} from '../data/books';
+import { loadContentPacks } from './contentPacks';
+import { loadOpdsImports } from './opdsImports';
+
+// Following SOLID principles - Single Responsibility Principle
+// This module loads the book catalog: bundled manifest, last good cached copy, then an optional override
+
+const CATALOG_CACHE_KEY = 'catalog_manifest';
+// Lets a device point at a local server while content is being authored
+const CATALOG_URL_KEY = 'catalog_source_url';
+const FETCH_TIMEOUT_MS = 10000;
+
+// app.json can set expo.extra.catalogUrl; a stored override wins
+export const getCatalogSourceUrl = async () => {
+  const storedUrl = await AsyncStorage.getItem(CATALOG_URL_KEY);
+  return storedUrl || Constants.expoConfig?.extra?.catalogUrl || null;
+};
+
+export const setCatalogSourceUrl = async (url) => {
+  if (url) {
+    await AsyncStorage.setItem(CATALOG_URL_KEY, url);
+  } else {
+    await AsyncStorage.removeItem(CATALOG_URL_KEY);
+  }
+};
+
+// Only a supported manifest newer than the one in use replaces it
+const isNewerManifest = (manifest) => {
+  return isSupportedManifest(manifest) && manifest.version > getCatalog().version;
+};
+
+// The cached copy is the last manifest that was fetched and accepted
+export const loadCachedCatalog = async () => {
+  try {
+    const cachedManifest = await AsyncStorage.getItem(CATALOG_CACHE_KEY);
+    const manifest = cachedManifest ? JSON.parse(cachedManifest) : null;
+    if (isNewerManifest(manifest)) {
+      setCatalog(manifest);
+    }
+  } catch (error) {
+    console.error('Error loading cached catalog:', error);
+  }
+  return getCatalog();
+};
+
+const fetchManifest = async (url) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal, headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`Catalog request failed with status ${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+// Failed, unsupported or older fetches keep the catalog already in use
+export const refreshCatalog = async () => {
+  const url = await getCatalogSourceUrl();
+  if (!url) return { updated: false, catalog: getCatalog() };
+
+  try {
+    const manifest = await fetchManifest(url);
+    if (!isNewerManifest(manifest)) {
+      return { updated: false, catalog: getCatalog() };
+    }
+    await AsyncStorage.setItem(CATALOG_CACHE_KEY, JSON.stringify(manifest));
+    setCatalog(manifest);
+    return { updated: true, catalog: manifest };
+  } catch (error) {
+    console.error('Error refreshing catalog:', error);
+    return { updated: false, catalog: getCatalog(), error };
+  }
+};
+
+// Called once at startup: the cached copy, installed packs and OPDS imports are ready right away,
+// the override is fetched in the background
+export const initializeCatalog = async () => {
+  await loadCachedCatalog();
+  await loadContentPacks();
+  await loadOpdsImports();
+  refreshCatalog();
+  return getCatalog();
+};
+
+// Drops the cached copy so the bundled manifest is used again
+export const clearCachedCatalog = async () => {
+  await AsyncStorage.removeItem(CATALOG_CACHE_KEY);
+  setCatalog(getBundledCatalog());
+};
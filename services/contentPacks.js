@@ -0,0 +1,212 @@
+import * as FileSystem from 'expo-file-system';
+import * as DocumentPicker from 'expo-document-picker';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import JSZip from 'jszip';
+import { setCatalogExtensions } from '../data/books';
+import { validatePack, countPackBooks, normalizePackPath, PACK_MANIFEST_FILE } from '../data/contentPacks';
+import { formatValidationReport } from '../data/catalogValidator';
+import { prepareViewer } from './downloadManager';
+
+// Following SOLID principles - Single Responsibility Principle
+// This module installs, updates and removes content packs and keeps their files on the device
+
+const PACKS_KEY = 'content_packs';
+const PACKS_DIRECTORY = `${FileSystem.documentDirectory}packs/`;
+
+export const PACK_IMPORT_STATUS = {
+  INSTALLED: 'installed',
+  UPDATED: 'updated',
+  INVALID: 'invalid',
+  NOT_NEWER: 'not_newer',
+  WRONG_PACK: 'wrong_pack',
+  CANCELED: 'canceled'
+};
+
+// Installed packs with their catalog entries, read once and then kept in memory
+let installedPacks = null;
+
+const getPackDirectory = (packId) => `${PACKS_DIRECTORY}${packId}/`;
+const getStagingDirectory = (packId) => `${PACKS_DIRECTORY}.staging-${packId}/`;
+
+const ensureDirectory = async (directory) => {
+  const info = await FileSystem.getInfoAsync(directory);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+  }
+};
+
+// Saved file URIs are moved to the current documents folder, whose absolute path changes when iOS updates the app
+const PACK_FILE_FIELDS = ['pdfUrl', 'audioUrl', 'coverUrl'];
+
+const relocatePackEntry = (entry, packDirectory, savedPrefix) => {
+  if (!entry || typeof entry !== 'object') return entry;
+  const relocated = { ...entry };
+  PACK_FILE_FIELDS.forEach(field => {
+    const index = typeof entry[field] === 'string' ? entry[field].indexOf(savedPrefix) : -1;
+    if (index !== -1) {
+      relocated[field] = `${packDirectory}${entry[field].slice(index + savedPrefix.length)}`;
+    }
+  });
+  return relocated;
+};
+
+const relocatePackFiles = (pack) => {
+  const packDirectory = getPackDirectory(pack.id);
+  const savedPrefix = `/packs/${pack.id}/`;
+  const grades = {};
+  Object.entries(pack.grades || {}).forEach(([gradeKey, gradeBooks]) => {
+    grades[gradeKey] = Object.fromEntries(Object.entries(gradeBooks).map(([bucket, entries]) => [
+      bucket,
+      Array.isArray(entries) ? entries.map(entry => relocatePackEntry(entry, packDirectory, savedPrefix)) : entries
+    ]));
+  });
+  return { ...pack, grades };
+};
+
+// Called at startup so pack books are in the catalog before any screen reads it
+export const loadContentPacks = async () => {
+  if (installedPacks) return installedPacks;
+
+  try {
+    const savedPacks = await AsyncStorage.getItem(PACKS_KEY);
+    installedPacks = savedPacks ? JSON.parse(savedPacks).map(relocatePackFiles) : [];
+  } catch (error) {
+    console.error('Error loading content packs:', error);
+    installedPacks = [];
+  }
+  setCatalogExtensions('packs', installedPacks);
+  return installedPacks;
+};
+
+const savePacks = async (packs) => {
+  await AsyncStorage.setItem(PACKS_KEY, JSON.stringify(packs));
+  installedPacks = packs;
+  setCatalogExtensions('packs', packs);
+};
+
+// pack.json may sit at the top of the zip or inside one folder, as when a folder is zipped
+const findPackRoot = (zip) => {
+  const manifestPath = Object.keys(zip.files)
+    .filter(name => !name.startsWith('__MACOSX/'))
+    .filter(name => name === PACK_MANIFEST_FILE || name.endsWith(`/${PACK_MANIFEST_FILE}`))
+    .sort((a, b) => a.length - b.length)[0];
+  return manifestPath === undefined ? null : manifestPath.slice(0, -PACK_MANIFEST_FILE.length);
+};
+
+// Files are written to a staging folder and only replace the installed version once all are on disk
+const installPackFiles = async (zip, root, packId, files) => {
+  const stagingDirectory = getStagingDirectory(packId);
+  await FileSystem.deleteAsync(stagingDirectory, { idempotent: true });
+
+  try {
+    let size = 0;
+    for (const file of files) {
+      const target = `${stagingDirectory}${file}`;
+      await ensureDirectory(target.slice(0, target.lastIndexOf('/') + 1));
+      const data = await zip.file(`${root}${file}`).async('base64');
+      await FileSystem.writeAsStringAsync(target, data, { encoding: FileSystem.EncodingType.Base64 });
+      size += (await FileSystem.getInfoAsync(target)).size || 0;
+    }
+
+    await FileSystem.deleteAsync(getPackDirectory(packId), { idempotent: true });
+    await FileSystem.moveAsync({ from: stagingDirectory, to: getPackDirectory(packId) });
+    return size;
+  } catch (error) {
+    await FileSystem.deleteAsync(stagingDirectory, { idempotent: true });
+    throw error;
+  }
+};
+
+// Installs a pack zip, or updates the installed pack when the zip has a newer version.
+// Book ids are namespaced by the pack id, so an update keeps the progress of books it still contains.
+export const importContentPack = async (zipUri, { expectedPackId = null } = {}) => {
+  const packs = await loadContentPacks();
+  const zip = await JSZip.loadAsync(
+    await FileSystem.readAsStringAsync(zipUri, { encoding: FileSystem.EncodingType.Base64 }),
+    { base64: true }
+  );
+
+  const root = findPackRoot(zip);
+  if (root === null) {
+    return { status: PACK_IMPORT_STATUS.INVALID, report: `The zip has no ${PACK_MANIFEST_FILE} file.` };
+  }
+
+  let packManifest;
+  try {
+    packManifest = JSON.parse(await zip.file(`${root}${PACK_MANIFEST_FILE}`).async('string'));
+  } catch (error) {
+    return { status: PACK_IMPORT_STATUS.INVALID, report: `${PACK_MANIFEST_FILE} is not valid JSON: ${error.message}` };
+  }
+
+  const fileNames = Object.keys(zip.files)
+    .filter(name => name.startsWith(root) && !zip.files[name].dir)
+    .map(name => normalizePackPath(name.slice(root.length)));
+  const result = validatePack(packManifest, {
+    fileNames,
+    resolveFile: (file) => `${getPackDirectory(packManifest.id)}${file}`
+  });
+  if (!result.isValid) {
+    return { status: PACK_IMPORT_STATUS.INVALID, report: formatValidationReport(result) };
+  }
+
+  const { pack } = result;
+  if (expectedPackId && pack.id !== expectedPackId) {
+    return { status: PACK_IMPORT_STATUS.WRONG_PACK, pack };
+  }
+  const installed = packs.find(entry => entry.id === pack.id);
+  if (installed && pack.version <= installed.version) {
+    return { status: PACK_IMPORT_STATUS.NOT_NEWER, pack, installed };
+  }
+
+  const size = await installPackFiles(zip, root, pack.id, result.files);
+  const now = new Date().toISOString();
+  const record = {
+    ...pack,
+    bookCount: countPackBooks(pack),
+    size,
+    installedAt: installed ? installed.installedAt : now,
+    updatedAt: now
+  };
+  await savePacks(installed
+    ? packs.map(entry => (entry.id === pack.id ? record : entry))
+    : [...packs, record]);
+
+  return {
+    status: installed ? PACK_IMPORT_STATUS.UPDATED : PACK_IMPORT_STATUS.INSTALLED,
+    pack: record,
+    previousVersion: installed?.version,
+    // Pack books open with the saved pdf.js, which needs internet access once
+    viewerReady: await prepareViewer()
+  };
+};
+
+// Lets the teacher choose a zip from the device, then imports it
+export const pickAndImportContentPack = async (options) => {
+  const selection = await DocumentPicker.getDocumentAsync({
+    type: ['application/zip', 'application/x-zip-compressed'],
+    copyToCacheDirectory: true
+  });
+  if (selection.canceled || !selection.assets?.length) {
+    return { status: PACK_IMPORT_STATUS.CANCELED };
+  }
+
+  const zipUri = selection.assets[0].uri;
+  try {
+    return await importContentPack(zipUri, options);
+  } finally {
+    await FileSystem.deleteAsync(zipUri, { idempotent: true });
+  }
+};
+
+// The pack's books leave the catalog; reading progress is kept in case the pack is installed again
+export const removeContentPack = async (packId) => {
+  const packs = await loadContentPacks();
+  await FileSystem.deleteAsync(getPackDirectory(packId), { idempotent: true });
+  await savePacks(packs.filter(pack => pack.id !== packId));
+};
+
+// Pack PDFs are opened like downloaded books; null when the file is no longer on the device
+export const getPackFileUri = async (uri) => {
+  const info = await FileSystem.getInfoAsync(uri);
+  return info.exists ? uri : null;
+};
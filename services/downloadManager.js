@@ -0,0 +1,251 @@
+import * as FileSystem from 'expo-file-system';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { PDFJS_URL, PDFJS_WORKER_URL } from '../constants/PdfViewer';
+
+// Following SOLID principles - Single Responsibility Principle
+// This module owns the offline copies of book PDFs and the pdf.js code needed to show them
+
+const DOWNLOADS_KEY = 'downloaded_books';
+const BOOKS_DIRECTORY = `${FileSystem.documentDirectory}books/`;
+const VIEWER_DIRECTORY = `${FileSystem.documentDirectory}viewer/`;
+const VIEWER_LIBRARY_PATH = `${VIEWER_DIRECTORY}pdf.min.js`;
+const VIEWER_WORKER_PATH = `${VIEWER_DIRECTORY}pdf.worker.min.js`;
+// Written by the viewer for each book, next to the pdf.js files it loads
+const VIEWER_PAGE_PATH = `${VIEWER_DIRECTORY}reader.html`;
+
+// In-memory state shared by every screen that shows download status
+let downloadsIndex = null;
+const activeDownloads = {};
+const listeners = new Set();
+
+// Observer pattern - screens subscribe instead of polling the file system
+const notifyListeners = () => {
+  const snapshot = getDownloadsSnapshot();
+  listeners.forEach(listener => listener(snapshot));
+};
+
+export const subscribeToDownloads = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getDownloadsSnapshot = () => ({
+  downloads: { ...(downloadsIndex || {}) },
+  active: { ...activeDownloads }
+});
+
+// Paths are rebuilt from the book id rather than stored, as iOS moves the documents folder when the app updates
+const getBookPath = (bookId) => `${BOOKS_DIRECTORY}${encodeURIComponent(bookId)}.pdf`;
+
+const ensureDirectory = async (directory) => {
+  const info = await FileSystem.getInfoAsync(directory);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+  }
+};
+
+const saveDownloadsIndex = async () => {
+  await AsyncStorage.setItem(DOWNLOADS_KEY, JSON.stringify(downloadsIndex));
+  notifyListeners();
+};
+
+// DRY principle - the index is read once and then kept in memory
+export const loadDownloads = async () => {
+  if (downloadsIndex) return getDownloadsSnapshot();
+
+  try {
+    const savedDownloads = await AsyncStorage.getItem(DOWNLOADS_KEY);
+    downloadsIndex = savedDownloads ? JSON.parse(savedDownloads) : {};
+  } catch (error) {
+    console.error('Error loading downloads:', error);
+    downloadsIndex = {};
+  }
+  return getDownloadsSnapshot();
+};
+
+export const getDownloadStatus = (bookId, snapshot = getDownloadsSnapshot()) => {
+  if (snapshot.active[bookId]) {
+    return { state: 'downloading', progress: snapshot.active[bookId].progress };
+  }
+  const download = snapshot.downloads[bookId];
+  if (download) {
+    return { state: 'downloaded', size: download.size, downloadedAt: download.downloadedAt };
+  }
+  return { state: 'none' };
+};
+
+// pdf.js is cached next to the books so the viewer also works without internet
+const ensureViewerAssets = async () => {
+  await ensureDirectory(VIEWER_DIRECTORY);
+
+  for (const [url, path] of [[PDFJS_URL, VIEWER_LIBRARY_PATH], [PDFJS_WORKER_URL, VIEWER_WORKER_PATH]]) {
+    const info = await FileSystem.getInfoAsync(path);
+    if (!info.exists) {
+      const result = await FileSystem.downloadAsync(url, path);
+      if (result.status !== 200) {
+        await FileSystem.deleteAsync(path, { idempotent: true });
+        throw new Error(`Viewer download failed with status ${result.status}`);
+      }
+    }
+  }
+};
+
+// Content packs and their books call this, since they never go through downloadBook.
+// False when pdf.js is not saved and could not be downloaded.
+export const prepareViewer = async () => {
+  try {
+    await ensureViewerAssets();
+    return true;
+  } catch (error) {
+    console.error('Error saving the viewer:', error);
+    return false;
+  }
+};
+
+// The saved viewer's file URIs, which the WebView loads directly; null when pdf.js is not saved
+export const getViewerFiles = async () => {
+  try {
+    const [libraryInfo, workerInfo] = await Promise.all([
+      FileSystem.getInfoAsync(VIEWER_LIBRARY_PATH),
+      FileSystem.getInfoAsync(VIEWER_WORKER_PATH)
+    ]);
+    if (!libraryInfo.exists || !workerInfo.exists) return null;
+
+    return {
+      library: VIEWER_LIBRARY_PATH,
+      worker: VIEWER_WORKER_PATH,
+      page: VIEWER_PAGE_PATH,
+      readAccessRoot: FileSystem.documentDirectory
+    };
+  } catch (error) {
+    console.error('Error checking viewer files:', error);
+    return null;
+  }
+};
+
+export const downloadBook = async (book) => {
+  await loadDownloads();
+  if (activeDownloads[book.id]) return activeDownloads[book.id].promise;
+  if (downloadsIndex[book.id]) return downloadsIndex[book.id];
+
+  const finalPath = getBookPath(book.id);
+  const temporaryPath = `${finalPath}.part`;
+
+  const run = async () => {
+    try {
+      await ensureDirectory(BOOKS_DIRECTORY);
+      await ensureViewerAssets();
+
+      const resumable = FileSystem.createDownloadResumable(
+        book.pdfUrl,
+        temporaryPath,
+        {},
+        ({ totalBytesWritten, totalBytesExpectedToWrite }) => {
+          if (!activeDownloads[book.id] || totalBytesExpectedToWrite <= 0) return;
+          activeDownloads[book.id].progress = totalBytesWritten / totalBytesExpectedToWrite;
+          notifyListeners();
+        }
+      );
+      const result = await resumable.downloadAsync();
+      if (!result || result.status !== 200) {
+        throw new Error(`Download failed with status ${result ? result.status : 'unknown'}`);
+      }
+
+      // The file is only moved into place once it is complete
+      await FileSystem.moveAsync({ from: temporaryPath, to: finalPath });
+      const info = await FileSystem.getInfoAsync(finalPath);
+
+      downloadsIndex[book.id] = {
+        size: info.size || 0,
+        pdfUrl: book.pdfUrl,
+        title: book.title,
+        grade: book.grade,
+        downloadedAt: new Date().toISOString()
+      };
+      return downloadsIndex[book.id];
+    } catch (error) {
+      await FileSystem.deleteAsync(temporaryPath, { idempotent: true });
+      throw error;
+    } finally {
+      delete activeDownloads[book.id];
+      await saveDownloadsIndex();
+    }
+  };
+
+  const promise = run();
+  activeDownloads[book.id] = { progress: 0, promise };
+  notifyListeners();
+  return promise;
+};
+
+// Downloads run one after another to keep memory and bandwidth use low
+export const downloadBooks = async (books) => {
+  const failed = [];
+  for (const book of books) {
+    try {
+      await downloadBook(book);
+    } catch (error) {
+      console.error(`Error downloading ${book.id}:`, error);
+      failed.push(book);
+    }
+  }
+  return { downloaded: books.length - failed.length, failed };
+};
+
+export const removeDownload = async (bookId) => {
+  await loadDownloads();
+  await FileSystem.deleteAsync(getBookPath(bookId), { idempotent: true });
+  delete downloadsIndex[bookId];
+  await saveDownloadsIndex();
+};
+
+export const removeDownloads = async (bookIds) => {
+  await loadDownloads();
+  for (const bookId of bookIds) {
+    await FileSystem.deleteAsync(getBookPath(bookId), { idempotent: true });
+    delete downloadsIndex[bookId];
+  }
+  await saveDownloadsIndex();
+};
+
+// Returns the local copy when it is still on disk, cleaning up stale index entries
+export const getLocalBookUri = async (bookId) => {
+  await loadDownloads();
+  if (!downloadsIndex[bookId]) return null;
+
+  const uri = getBookPath(bookId);
+  const info = await FileSystem.getInfoAsync(uri);
+  if (!info.exists) {
+    delete downloadsIndex[bookId];
+    await saveDownloadsIndex();
+    return null;
+  }
+  return uri;
+};
+
+// Storage accounting for the downloads summary
+export const getStorageSummary = async (bookIds = null) => {
+  await loadDownloads();
+  const entries = Object.entries(downloadsIndex)
+    .filter(([bookId]) => !bookIds || bookIds.includes(bookId));
+
+  let freeBytes = null;
+  try {
+    freeBytes = await FileSystem.getFreeDiskStorageAsync();
+  } catch (error) {
+    console.error('Error reading free storage:', error);
+  }
+
+  return {
+    bookCount: entries.length,
+    totalBytes: entries.reduce((total, [, download]) => total + (download.size || 0), 0),
+    freeBytes
+  };
+};
+
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
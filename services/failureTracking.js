@@ -0,0 +1,88 @@
+import { updateBookProgress, updateGradeProgress } from './progressStorage';
+import { getIntensiveBooks } from '../data/books';
+import {
+  FAILURE_ACTIONS,
+  getFailureRules,
+  getFailureCounts,
+  getFailureThreshold
+} from '../data/failureRules';
+
+// Following SOLID principles - Single Responsibility Principle
+// Records extensive reading failures and applies the grade's reset rules when a threshold is reached
+
+const getReviewBookId = (grade, rules) => {
+  if (rules.reviewBookId) return rules.reviewBookId;
+  const intensiveBooks = getIntensiveBooks(grade);
+  return intensiveBooks.length > 0 ? intensiveBooks[0].id : null;
+};
+
+// Reading state starts over; history such as quiz attempts, recordings and stickers is kept
+const resetReadingState = (bookProgress) => ({
+  ...bookProgress,
+  currentPage: 0,
+  completed: false,
+  pageTimes: {}
+});
+
+export const recordFailure = async (grade, book, reason, details = {}) => {
+  const rules = getFailureRules(grade);
+  const failure = { reason, details, at: new Date().toISOString() };
+  let action = null;
+
+  await updateBookProgress(grade, book.id, (previousProgress) => {
+    const counts = getFailureCounts(previousProgress);
+    counts[reason] += 1;
+
+    let nextProgress = {
+      ...previousProgress,
+      bookTitle: previousProgress.bookTitle || book.title,
+      bookType: previousProgress.bookType || book.type,
+      failures: [...(previousProgress.failures || []), failure],
+      failureCounts: counts
+    };
+
+    if (counts[reason] < getFailureThreshold(rules, reason)) {
+      return nextProgress;
+    }
+
+    const reviewBookId = rules.action === FAILURE_ACTIONS.REVIEW_INTENSIVE
+      ? getReviewBookId(grade, rules)
+      : null;
+    action = {
+      type: reviewBookId ? FAILURE_ACTIONS.REVIEW_INTENSIVE : FAILURE_ACTIONS.RESET_BOOK,
+      reason,
+      reviewBookId,
+      at: failure.at
+    };
+
+    nextProgress = {
+      ...resetReadingState(nextProgress),
+      failureCounts: getFailureCounts({}),
+      resets: [...(previousProgress.resets || []), action]
+    };
+    if (reviewBookId) {
+      nextProgress.pendingReview = { bookId: reviewBookId, assignedAt: failure.at };
+    }
+    return nextProgress;
+  });
+
+  return { failure, action, rules };
+};
+
+// Finishing an intensive book again clears the reviews that pointed to it
+export const completeReview = async (grade, reviewBookId) => {
+  let waitingBookIds = [];
+  await updateGradeProgress(grade, (progressData) => {
+    waitingBookIds = Object.keys(progressData)
+      .filter(bookId => progressData[bookId].pendingReview?.bookId === reviewBookId);
+    if (waitingBookIds.length === 0) return progressData;
+
+    const nextProgress = { ...progressData };
+    waitingBookIds.forEach(bookId => {
+      const { pendingReview, ...rest } = progressData[bookId];
+      nextProgress[bookId] = rest;
+    });
+    return nextProgress;
+  });
+  return waitingBookIds;
+};
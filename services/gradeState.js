@@ -0,0 +1,102 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getReadingGrade } from '../data/books';
+import { summarizeGrade } from '../data/gradeSummary';
+import { loadGradeProgress, loadGradesWithProgress } from './progressStorage';
+import { getLearnerKey } from './activeLearner';
+
+// Following SOLID principles - Single Responsibility Principle
+// The student's grade, a grade they are only looking around in, and the grades they moved up from.
+// Changing grade never touches progress: it is stored per grade and stays in place (see progressStorage.js).
+// All of it belongs to the active learner (see activeLearner.js).
+
+const SELECTED_GRADE_KEY = 'selectedGrade';
+// Set while the student looks at another grade's books; their own grade is unchanged
+const BROWSING_GRADE_KEY = 'browsingGrade';
+const PROMOTIONS_KEY = 'grade_promotions';
+
+export const MAX_GRADE = 12;
+
+export const loadGradeState = async () => {
+  const [[, savedGrade], [, savedBrowsingGrade]] = await AsyncStorage.multiGet([
+    getLearnerKey(SELECTED_GRADE_KEY),
+    getLearnerKey(BROWSING_GRADE_KEY)
+  ]);
+  const selectedGrade = savedGrade ? parseInt(savedGrade, 10) : null;
+  const browsingGrade = savedBrowsingGrade ? parseInt(savedBrowsingGrade, 10) : null;
+
+  return {
+    selectedGrade,
+    browsingGrade: selectedGrade !== null && browsingGrade !== selectedGrade ? browsingGrade : null
+  };
+};
+
+// The grade whose books are shown: the browsed one while browsing, otherwise the student's own
+export const getActiveGrade = ({ selectedGrade, browsingGrade }) => browsingGrade ?? selectedGrade;
+
+// Choosing on Grade Selection corrects the student's grade; moving up is promoteGrade
+export const selectGrade = async (grade) => {
+  await AsyncStorage.setItem(getLearnerKey(SELECTED_GRADE_KEY), grade.toString());
+  await AsyncStorage.removeItem(getLearnerKey(BROWSING_GRADE_KEY));
+};
+
+export const browseGrade = (grade) => AsyncStorage.setItem(getLearnerKey(BROWSING_GRADE_KEY), grade.toString());
+
+export const stopBrowsing = () => AsyncStorage.removeItem(getLearnerKey(BROWSING_GRADE_KEY));
+
+export const loadPromotions = async () => {
+  try {
+    const savedPromotions = await AsyncStorage.getItem(getLearnerKey(PROMOTIONS_KEY));
+    return savedPromotions ? JSON.parse(savedPromotions) : [];
+  } catch (error) {
+    console.error('Error loading grade promotions:', error);
+    return [];
+  }
+};
+
+export const savePromotions = (promotions) => {
+  return AsyncStorage.setItem(getLearnerKey(PROMOTIONS_KEY), JSON.stringify(promotions));
+};
+
+// Summary of the books the student read for their grade, which are a neighbour's while it has none
+export const loadGradeSummary = async (grade) => {
+  const readingGrade = getReadingGrade(grade) ?? grade;
+  return summarizeGrade(readingGrade, await loadGradeProgress(readingGrade));
+};
+
+// Moves the student up one grade and keeps the finished grade's summary for the profile
+export const promoteGrade = async (grade) => {
+  const summary = await loadGradeSummary(grade);
+  const promotions = (await loadPromotions()).filter(promotion => promotion.grade !== grade);
+  const promotion = { grade, promotedAt: new Date().toISOString(), summary };
+
+  await AsyncStorage.multiSet([
+    [getLearnerKey(PROMOTIONS_KEY), JSON.stringify([...promotions, promotion])],
+    [getLearnerKey(SELECTED_GRADE_KEY), (grade + 1).toString()]
+  ]);
+  await AsyncStorage.removeItem(getLearnerKey(BROWSING_GRADE_KEY));
+  return promotion;
+};
+
+/**
+ * Every grade the student has read in, lowest first. Grades with progress are summed up from it;
+ * a grade whose progress was reset after moving up keeps the summary taken when it was finished.
+ * @returns {Promise<Object[]>} { grade, summary, promotion } with promotion null until moved up from
+ */
+export const loadGradeHistory = async () => {
+  const [progressGrades, promotions] = await Promise.all([loadGradesWithProgress(), loadPromotions()]);
+  const findPromotion = (grade) => promotions.find(promotion => promotion.summary.grade === grade) || null;
+  const promotedGrades = promotions
+    .map(promotion => promotion.summary.grade)
+    .filter(grade => !progressGrades.includes(grade));
+
+  const history = await Promise.all(progressGrades.map(async grade => ({
+    grade,
+    summary: summarizeGrade(grade, await loadGradeProgress(grade)),
+    promotion: findPromotion(grade)
+  })));
+  promotedGrades.forEach(grade => {
+    const promotion = findPromotion(grade);
+    history.push({ grade, summary: promotion.summary, promotion });
+  });
+  return history.sort((a, b) => a.grade - b.grade);
+};
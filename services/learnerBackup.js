@@ -0,0 +1,181 @@
+import * as FileSystem from 'expo-file-system';
+import * as DocumentPicker from 'expo-document-picker';
+import * as Sharing from 'expo-sharing';
+import {
+  RESTORE_MODES,
+  createLearnerBackup,
+  parseLearnerBackup,
+  summarizeLearnerBackup,
+  mergeGradeProgress,
+  mergePromotions
+} from '../data/learnerBackup';
+import {
+  loadGradeProgress,
+  loadGradesWithProgress,
+  updateGradeProgress,
+  resetGradeProgress
+} from './progressStorage';
+import { loadGradeState, loadPromotions, savePromotions, selectGrade } from './gradeState';
+import { getActiveLearnerProfile } from './learnerProfiles';
+import { deleteRecordingFiles, copyRecordingFile } from './recordings';
+
+// Following SOLID principles - Single Responsibility Principle
+// Exports the active learner's state as one JSON file through the share sheet, and restores such files
+
+const getBackupFileName = (learner) => {
+  const fileName = learner.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'learner';
+  return `reading-adventures-${fileName}-${new Date().toISOString().slice(0, 10)}.json`;
+};
+
+export const exportLearnerBackup = async () => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing files is not available on this device.');
+  }
+
+  const learner = await getActiveLearnerProfile();
+  const [{ selectedGrade }, promotions, grades] = await Promise.all([
+    loadGradeState(),
+    loadPromotions(),
+    loadGradesWithProgress()
+  ]);
+  const progress = {};
+  for (const grade of grades) {
+    progress[grade] = await loadGradeProgress(grade);
+  }
+
+  const backup = createLearnerBackup({ learner, selectedGrade, promotions, progress });
+  const uri = `${FileSystem.cacheDirectory}${getBackupFileName(learner)}`;
+  await FileSystem.writeAsStringAsync(uri, JSON.stringify(backup, null, 2));
+  await Sharing.shareAsync(uri, {
+    mimeType: 'application/json',
+    UTI: 'public.json',
+    dialogTitle: `Share ${learner.name}'s progress`
+  });
+  return backup;
+};
+
+// Lets the user choose a backup file and checks it; null when nothing was chosen
+export const pickLearnerBackup = async () => {
+  const selection = await DocumentPicker.getDocumentAsync({
+    type: ['application/json', 'text/plain'],
+    copyToCacheDirectory: true
+  });
+  if (selection.canceled || !selection.assets?.length) {
+    return null;
+  }
+
+  const fileUri = selection.assets[0].uri;
+  try {
+    const backup = parseLearnerBackup(await FileSystem.readAsStringAsync(fileUri));
+    return { backup, summary: summarizeLearnerBackup(backup) };
+  } finally {
+    await FileSystem.deleteAsync(fileUri, { idempotent: true });
+  }
+};
+
+const RECORDING_FILE_FIELDS = ['uri', 'file', 'fileMissing'];
+
+// The backup's record with the clip location taken from source
+const withRecordingFile = (recording, source) => {
+  const restored = { ...recording };
+  RECORDING_FILE_FIELDS.forEach(key => {
+    if (source[key] === undefined) {
+      delete restored[key];
+    } else {
+      restored[key] = source[key];
+    }
+  });
+  return restored;
+};
+
+// A backup only lists recordings. Clips the learner already has are kept as they are, and clips found on this
+// device are copied into the learner's own folder, so deleting them later never touches another learner's files.
+// The others are kept and marked.
+const rehomeRecordings = async (gradeProgress, currentProgress) => {
+  const currentRecordings = new Map(Object.values(currentProgress)
+    .flatMap(record => record.recordings || [])
+    .map(recording => [recording.id, recording]));
+  let missingCount = 0;
+
+  const rehomeRecording = async (recording, bookId) => {
+    const current = currentRecordings.get(recording.id);
+    if (current) {
+      return withRecordingFile(recording, current);
+    }
+
+    const copiedFile = await copyRecordingFile(recording, bookId).catch(error => {
+      console.error('Error copying a restored recording:', error);
+      return null;
+    });
+    if (copiedFile) {
+      return withRecordingFile(recording, { file: copiedFile });
+    }
+    missingCount++;
+    return withRecordingFile(recording, { fileMissing: true });
+  };
+
+  const entries = await Promise.all(Object.entries(gradeProgress).map(async ([bookId, record]) => {
+    if (!record?.recordings?.length) return [bookId, record];
+
+    const recordings = await Promise.all(record.recordings.map(recording => rehomeRecording(recording, bookId)));
+    return [bookId, { ...record, recordings }];
+  }));
+
+  return { gradeProgress: Object.fromEntries(entries), missingCount };
+};
+
+// Files of recordings that the replacing progress no longer lists
+const deleteReplacedRecordings = async (currentProgress, incomingProgress) => {
+  const keptIds = new Set(Object.values(incomingProgress)
+    .flatMap(record => record.recordings || [])
+    .map(recording => recording.id));
+  const replacedProgress = Object.fromEntries(Object.entries(currentProgress).map(([bookId, record]) => [
+    bookId,
+    { recordings: (record.recordings || []).filter(recording => !keptIds.has(recording.id)) }
+  ]));
+  await deleteRecordingFiles(replacedProgress);
+};
+
+/**
+ * Restores a backup from pickLearnerBackup into the active learner.
+ * @param {Object} backup
+ * @param {string} mode One of RESTORE_MODES
+ * @returns {Promise<{gradeCount: number, missingRecordingCount: number}>}
+ */
+export const restoreLearnerBackup = async (backup, mode) => {
+  const isReplacing = mode === RESTORE_MODES.REPLACE;
+  const backupGrades = Object.keys(backup.progress).map(Number);
+  let missingRecordingCount = 0;
+
+  for (const grade of backupGrades) {
+    const currentProgress = await loadGradeProgress(grade);
+    const { gradeProgress, missingCount } = await rehomeRecordings(backup.progress[grade], currentProgress);
+    missingRecordingCount += missingCount;
+    if (isReplacing) {
+      await deleteReplacedRecordings(currentProgress, gradeProgress);
+    }
+    await updateGradeProgress(grade, currentProgress => (
+      isReplacing ? gradeProgress : mergeGradeProgress(currentProgress, gradeProgress)
+    ));
+  }
+
+  if (isReplacing) {
+    const replacedGrades = (await loadGradesWithProgress()).filter(grade => !backupGrades.includes(grade));
+    for (const grade of replacedGrades) {
+      await deleteReplacedRecordings(await loadGradeProgress(grade), {});
+      await resetGradeProgress(grade);
+    }
+  }
+
+  const [{ selectedGrade }, promotions] = await Promise.all([loadGradeState(), loadPromotions()]);
+  await savePromotions(isReplacing ? backup.promotions : mergePromotions(promotions, backup.promotions));
+  // Merging keeps the grade chosen on this device; replacing takes the backup's
+  const restoredGrade = isReplacing
+    ? (backup.selectedGrade ?? selectedGrade)
+    : (selectedGrade ?? backup.selectedGrade);
+  if (restoredGrade !== null && restoredGrade !== selectedGrade) {
+    await selectGrade(restoredGrade);
+  }
+
+  return { gradeCount: backupGrades.length, missingRecordingCount };
+};
@@ -0,0 +1,127 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getLearnerKeyPrefix, getActiveLearnerId, setActiveLearner } from './activeLearner';
+import { clearProgressCache, loadLearnerProgress } from './progressStorage';
+import { deleteRecordingFiles, deleteLearnerRecordings } from './recordings';
+
+// Following SOLID principles - Single Responsibility Principle
+// Learners sharing the device, each with a name and an avatar.
+// Their grade and progress are stored under their own keys (see activeLearner.js).
+
+const PROFILES_KEY = 'learner_profiles';
+// The only learner's data before profiles existed, which becomes the first profile's
+const LEGACY_KEY_PATTERN = /^(selectedGrade|browsingGrade|grade_promotions|progress_grade_\d+.*|progress_backup_.+)$/;
+
+export const LEARNER_AVATARS = ['🦊', '🐼', '🦁', '🐸', '🐙', '🦉', '🐢', '🦄', '🐝', '🐬', '🚀', '🌟'];
+
+export const MAX_NAME_LENGTH = 20;
+
+export const loadLearnerProfiles = async () => {
+  try {
+    const savedProfiles = await AsyncStorage.getItem(PROFILES_KEY);
+    return savedProfiles ? JSON.parse(savedProfiles) : [];
+  } catch (error) {
+    console.error('Error loading learner profiles:', error);
+    return [];
+  }
+};
+
+const saveLearnerProfiles = (profiles) => AsyncStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+
+const createProfileRecord = (name, avatar) => ({
+  id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  name,
+  avatar,
+  createdAt: new Date().toISOString()
+});
+
+// Called once at startup, before progress is migrated.
+// A device used before profiles keeps its learner's data as "Learner 1".
+export const initializeLearnerProfiles = async () => {
+  const profiles = await loadLearnerProfiles();
+  if (profiles.length > 0) return profiles;
+
+  const legacyKeys = (await AsyncStorage.getAllKeys()).filter(key => LEGACY_KEY_PATTERN.test(key));
+  if (legacyKeys.length === 0) return profiles;
+
+  const profile = createProfileRecord('Learner 1', LEARNER_AVATARS[0]);
+  const prefix = getLearnerKeyPrefix(profile.id);
+  const entries = await AsyncStorage.multiGet(legacyKeys);
+  await AsyncStorage.multiSet([
+    ...entries
+      .filter(([, value]) => value !== null)
+      .map(([key, value]) => [`${prefix}${key}`, value]),
+    [PROFILES_KEY, JSON.stringify([profile])]
+  ]);
+  await AsyncStorage.multiRemove(legacyKeys);
+  return [profile];
+};
+
+const checkProfileName = (profiles, name, profileId = null) => {
+  const trimmedName = name.trim();
+  if (!trimmedName) {
+    throw new Error('Please enter a name.');
+  }
+  if (trimmedName.length > MAX_NAME_LENGTH) {
+    throw new Error(`Please use a name of at most ${MAX_NAME_LENGTH} letters.`);
+  }
+  const isTaken = profiles.some(profile => (
+    profile.id !== profileId && profile.name.toLowerCase() === trimmedName.toLowerCase()
+  ));
+  if (isTaken) {
+    throw new Error(`There is already a learner called ${trimmedName}.`);
+  }
+  return trimmedName;
+};
+
+export const addLearnerProfile = async ({ name, avatar }) => {
+  const profiles = await loadLearnerProfiles();
+  const profile = createProfileRecord(checkProfileName(profiles, name), avatar);
+  await saveLearnerProfiles([...profiles, profile]);
+  return profile;
+};
+
+export const updateLearnerProfile = async (profileId, { name, avatar }) => {
+  const profiles = await loadLearnerProfiles();
+  const updatedProfiles = profiles.map(profile => (
+    profile.id === profileId
+      ? { ...profile, name: checkProfileName(profiles, name, profileId), avatar }
+      : profile
+  ));
+  await saveLearnerProfiles(updatedProfiles);
+  return updatedProfiles.find(profile => profile.id === profileId);
+};
+
+// Cached progress belongs to the previous learner, so it is dropped before anyone else reads
+export const selectLearnerProfile = async (profileId) => {
+  setActiveLearner(profileId);
+  await clearProgressCache();
+};
+
+// Used by the learner picker, so no one's data can be read until a learner is chosen
+export const signOutLearner = async () => {
+  setActiveLearner(null);
+  await clearProgressCache();
+};
+
+export const getActiveLearnerProfile = async () => {
+  const profiles = await loadLearnerProfiles();
+  return profiles.find(profile => profile.id === getActiveLearnerId()) || null;
+};
+
+// Removes the learner with everything stored under their keys, and their recording files
+export const deleteLearnerProfile = async (profileId) => {
+  if (profileId === getActiveLearnerId()) {
+    await signOutLearner();
+  }
+
+  const prefix = getLearnerKeyPrefix(profileId);
+  const learnerProgress = await loadLearnerProgress(prefix);
+  for (const gradeProgress of learnerProgress) {
+    await deleteRecordingFiles(gradeProgress, profileId);
+  }
+  await deleteLearnerRecordings(profileId);
+
+  const learnerKeys = (await AsyncStorage.getAllKeys()).filter(key => key.startsWith(prefix));
+  await AsyncStorage.multiRemove(learnerKeys);
+  await saveLearnerProfiles((await loadLearnerProfiles()).filter(profile => profile.id !== profileId));
+};
@@ -0,0 +1,150 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { setCatalogExtensions } from '../data/books';
+import { validateCatalog, formatValidationReport } from '../data/catalogValidator';
+import { parseOpdsFeed, buildOpdsBook, applyOpdsEntryUpdate, getOpdsBookId } from '../data/opds';
+
+// Following SOLID principles - Single Responsibility Principle
+// This module fetches OPDS feeds and keeps the books a teacher imported from them
+
+const OPDS_IMPORTS_KEY = 'opds_imports';
+const FETCH_TIMEOUT_MS = 10000;
+// A refresh follows "next" links this many pages at most
+const MAX_REFRESH_PAGES = 10;
+
+// Saved feeds by URL and the imported books, read once and then kept in memory
+let opdsImports = null;
+
+const toCatalogExtension = (books) => {
+  const grades = {};
+  books.forEach(book => {
+    const gradeBooks = grades[book.grade] || (grades[book.grade] = { intensive: [], extensive: [] });
+    gradeBooks[book.type].push(book);
+  });
+  return { grades };
+};
+
+// Called at startup so imported books are in the catalog before any screen reads it
+export const loadOpdsImports = async () => {
+  if (opdsImports) return opdsImports;
+
+  try {
+    const savedImports = await AsyncStorage.getItem(OPDS_IMPORTS_KEY);
+    opdsImports = savedImports ? JSON.parse(savedImports) : { feeds: {}, books: [] };
+  } catch (error) {
+    console.error('Error loading OPDS imports:', error);
+    opdsImports = { feeds: {}, books: [] };
+  }
+  setCatalogExtensions('opds', [toCatalogExtension(opdsImports.books)]);
+  return opdsImports;
+};
+
+const saveImports = async (imports) => {
+  await AsyncStorage.setItem(OPDS_IMPORTS_KEY, JSON.stringify(imports));
+  opdsImports = imports;
+  setCatalogExtensions('opds', [toCatalogExtension(imports.books)]);
+};
+
+// Returns { version, title, entries, navigation, nextUrl } for an OPDS 1.2 or 2.0 feed
+export const fetchOpdsFeed = async (url) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: { Accept: 'application/opds+json, application/atom+xml;q=0.9, application/json;q=0.8, */*;q=0.5' }
+    });
+    if (!response.ok) {
+      throw new Error(`Feed request failed with status ${response.status}`);
+    }
+    return parseOpdsFeed(await response.text(), url);
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+// Adds the chosen entries as books of one grade and type; entries already imported are replaced.
+// The books are checked like any catalog entry, so a bad entry never reaches the screens.
+export const importOpdsEntries = async (entries, { feedUrl, feedTitle, grade, type, totalPages }) => {
+  const imports = await loadOpdsImports();
+  const books = entries.map(entry => buildOpdsBook(entry, { feedUrl, feedTitle, grade, type, totalPages }));
+
+  const result = validateCatalog(toCatalogExtension(books));
+  if (result.quarantined.length > 0) {
+    return { imported: [], report: formatValidationReport(result) };
+  }
+
+  const bookIds = new Set(books.map(book => book.id));
+  const now = new Date().toISOString();
+  const savedFeed = imports.feeds[feedUrl];
+  await saveImports({
+    feeds: {
+      ...imports.feeds,
+      [feedUrl]: { url: feedUrl, title: feedTitle, addedAt: savedFeed?.addedAt || now, refreshedAt: now }
+    },
+    books: [...imports.books.filter(book => !bookIds.has(book.id)), ...books]
+  });
+  return { imported: books, report: null };
+};
+
+// Reads a feed and the pages after it
+const fetchAllEntries = async (url) => {
+  const entries = [];
+  let pageUrl = url;
+  for (let page = 0; pageUrl && page < MAX_REFRESH_PAGES; page += 1) {
+    const feed = await fetchOpdsFeed(pageUrl);
+    entries.push(...feed.entries);
+    pageUrl = feed.nextUrl;
+  }
+  return entries;
+};
+
+// Applies each saved feed's latest titles, links and page counts to its imported books.
+// Books no longer in their feed are kept, so reading progress is not lost, and marked as missing.
+export const refreshOpdsImports = async (feedUrl = null) => {
+  const imports = await loadOpdsImports();
+  const feedUrls = feedUrl ? [feedUrl] : Object.keys(imports.feeds);
+  const summary = { updated: 0, missing: 0, failedFeeds: [] };
+  let books = imports.books;
+  const feeds = { ...imports.feeds };
+
+  for (const url of feedUrls) {
+    let entries;
+    try {
+      entries = await fetchAllEntries(url);
+    } catch (error) {
+      console.error('Error refreshing OPDS feed:', error);
+      summary.failedFeeds.push(url);
+      continue;
+    }
+
+    const entriesById = new Map(entries.map(entry => [getOpdsBookId(entry.id), entry]));
+    books = books.map(book => {
+      if (book.source.feedUrl !== url) return book;
+      const entry = entriesById.get(book.id);
+      if (!entry || !entry.pdfUrl) {
+        summary.missing += 1;
+        return { ...book, source: { ...book.source, missing: true } };
+      }
+      if (entry.updated !== book.source.updated || book.source.missing) {
+        summary.updated += 1;
+      }
+      return applyOpdsEntryUpdate(book, entry);
+    });
+    feeds[url] = { ...feeds[url], refreshedAt: new Date().toISOString() };
+  }
+
+  await saveImports({ feeds, books });
+  return summary;
+};
+
+// The feed's books leave the catalog; reading progress is kept in case they are imported again
+export const removeOpdsFeed = async (feedUrl) => {
+  const imports = await loadOpdsImports();
+  const feeds = Object.fromEntries(Object.entries(imports.feeds).filter(([url]) => url !== feedUrl));
+  await saveImports({ feeds, books: imports.books.filter(book => book.source.feedUrl !== feedUrl) });
+};
+
+export const removeOpdsBook = async (bookId) => {
+  const imports = await loadOpdsImports();
+  await saveImports({ ...imports, books: imports.books.filter(book => book.id !== bookId) });
+};
@@ -0,0 +1,226 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { PROGRESS_SCHEMA_VERSION, migrateGradeProgress, isProgressMap } from '../data/progressMigrations';
+import { getLearnerKey } from './activeLearner';
+
+// Following SOLID principles - Single Responsibility Principle
+// The only module that reads and writes the per-grade progress records.
+// Records are cached after the first read, and screens subscribe instead of reloading on focus.
+// Each learner's records have their own keys (see activeLearner.js).
+
+/**
+ * One book's record in a grade's progress map, keyed by book id.
+ * @typedef {Object} BookProgress
+ * @property {number} [currentPage] Last page reached, 0 when not started
+ * @property {number} [totalPages] Page count of the document, which wins over the catalog's
+ * @property {boolean} [completed]
+ * @property {string} [lastRead] ISO date of the last save from the reader
+ * @property {string} [bookTitle]
+ * @property {string} [bookType] 'intensive' or 'extensive'
+ * @property {Object<string, number>} [pageTimes] Seconds per page in timed mode
+ * @property {Object[]} [recordings] Read-aloud clips (see recordings.js)
+ * @property {Object[]} [quizAttempts] Every quiz attempt (see quizAttempts.js)
+ * @property {number} [quizBestScore]
+ * @property {number} [quizLatestScore]
+ * @property {Object} [sticker] Best sticker earned, { tier, score, awardedAt }
+ * @property {Object[]} [failures] Failure records (see failureTracking.js)
+ * @property {Object} [failureCounts]
+ * @property {Object[]} [resets]
+ * @property {Object} [pendingReview] Intensive book to read again first, { bookId, assignedAt }
+ */
+
+// Matches every learner's progress keys, but not the backups kept beside them
+const PROGRESS_KEY_PATTERN = /progress_grade_(\d+)$/;
+// Stored next to the records; data without it predates versioning (see progressMigrations.js).
+// One version covers every learner on the device, as they are all migrated together.
+const SCHEMA_VERSION_KEY = 'progress_schema_version';
+
+// The active learner's key for a grade
+export const getProgressKey = (grade) => getLearnerKey(`progress_grade_${grade}`);
+
+export const isProgressKey = (key) => PROGRESS_KEY_PATTERN.test(key);
+
+const getGradeFromKey = (key) => Number(key.match(PROGRESS_KEY_PATTERN)[1]);
+
+// Every learner's progress keys, or only those starting with a learner's prefix
+const loadProgressKeys = async (prefix = '') => {
+  return (await AsyncStorage.getAllKeys()).filter(key => key.startsWith(prefix) && isProgressKey(key));
+};
+
+// Copies kept before a migration or a recovery, so a student's data is never thrown away.
+// They start with the record's key, so they belong to the same learner.
+const getBackupKey = (key, reason) => `${key}_backup_${reason}_${Date.now()}`;
+
+const EMPTY_BOOK_PROGRESS = { currentPage: 0, completed: false, totalPages: 0 };
+
+// Progress maps by grade; a map is replaced, never changed in place, so screens can compare them
+const progressCache = new Map();
+const listeners = new Set();
+
+// Observer pattern - listeners hear which grade changed and its new progress map
+const notifyListeners = (grade, gradeProgress) => {
+  listeners.forEach(listener => listener(Number(grade), gradeProgress));
+};
+
+export const subscribeToProgress = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Writes run one at a time so concurrent updates of the same blob cannot overwrite each other
+let writeQueue = Promise.resolve();
+
+const enqueueWrite = (task) => {
+  const run = writeQueue.then(task, task);
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+// Null when the stored text is not a progress map
+const parseStoredProgress = (savedProgress) => {
+  try {
+    const gradeProgress = JSON.parse(savedProgress);
+    return isProgressMap(gradeProgress) ? gradeProgress : null;
+  } catch {
+    return null;
+  }
+};
+
+// Unreadable progress is copied aside and the grade starts again from an empty map
+const recoverCorruptProgress = async (key, savedProgress) => {
+  const backupKey = getBackupKey(key, 'corrupt');
+  await AsyncStorage.multiSet([[backupKey, savedProgress], [key, JSON.stringify({})]]);
+  console.error(`Progress in ${key} could not be read, a copy was saved as ${backupKey}`);
+  return { grade: getGradeFromKey(key), backupKey };
+};
+
+// Called once at startup, before any screen reads progress: every grade is brought to the
+// current schema, with a backup of the old data. Returns the grades whose data was corrupt.
+export const initializeProgress = async () => {
+  const recoveries = [];
+  const storedVersion = Number(await AsyncStorage.getItem(SCHEMA_VERSION_KEY)) || 0;
+  if (storedVersion > PROGRESS_SCHEMA_VERSION) {
+    // Written by a newer build of the app; left as it is rather than downgraded
+    console.warn(`Progress schema ${storedVersion} is newer than ${PROGRESS_SCHEMA_VERSION}`);
+    return { recoveries };
+  }
+
+  let isMigrated = true;
+  const keys = await loadProgressKeys();
+  for (const key of keys) {
+    const savedProgress = await AsyncStorage.getItem(key);
+    if (savedProgress === null) continue;
+
+    const gradeProgress = parseStoredProgress(savedProgress);
+    if (gradeProgress === null) {
+      recoveries.push(await recoverCorruptProgress(key, savedProgress));
+    } else if (storedVersion < PROGRESS_SCHEMA_VERSION) {
+      try {
+        await AsyncStorage.multiSet([
+          [getBackupKey(key, `v${storedVersion}`), savedProgress],
+          [key, JSON.stringify(migrateGradeProgress(gradeProgress, storedVersion))]
+        ]);
+      } catch (error) {
+        // The version stays behind so the migration is tried again on the next start
+        console.error(`Error migrating ${key}:`, error);
+        isMigrated = false;
+      }
+    }
+  }
+
+  if (storedVersion < PROGRESS_SCHEMA_VERSION && isMigrated) {
+    await AsyncStorage.setItem(SCHEMA_VERSION_KEY, String(PROGRESS_SCHEMA_VERSION));
+  }
+  return { recoveries };
+};
+
+const loadProgressByKey = async (key) => {
+  if (progressCache.has(key)) return progressCache.get(key);
+
+  const savedProgress = await AsyncStorage.getItem(key);
+  let gradeProgress = savedProgress ? parseStoredProgress(savedProgress) : {};
+  if (gradeProgress === null) {
+    await recoverCorruptProgress(key, savedProgress);
+    gradeProgress = {};
+  }
+  // A write may have filled the cache while storage was being read
+  if (!progressCache.has(key)) {
+    progressCache.set(key, gradeProgress);
+  }
+  return progressCache.get(key);
+};
+
+export const loadGradeProgress = (grade) => loadProgressByKey(getProgressKey(grade));
+
+// Book ids are unique across the catalog, so several grades' records can share one map
+export const loadProgressForGrades = async (grades) => {
+  const gradeProgress = await Promise.all(grades.map(loadGradeProgress));
+  return Object.assign({}, ...gradeProgress);
+};
+
+// Grades the student has read in, lowest first
+export const loadGradesWithProgress = async () => {
+  const grades = (await loadProgressKeys(getLearnerKey(''))).map(getGradeFromKey);
+  const gradeProgress = await Promise.all(grades.map(loadGradeProgress));
+  return grades
+    .filter((grade, index) => Object.keys(gradeProgress[index]).length > 0)
+    .sort((a, b) => a - b);
+};
+
+/** @returns {BookProgress} The book's record, with defaults when it has none yet */
+export const getBookRecord = (progress, bookId) => {
+  return progress[bookId] || EMPTY_BOOK_PROGRESS;
+};
+
+const saveProgressByKey = async (key, gradeProgress) => {
+  await AsyncStorage.setItem(key, JSON.stringify(gradeProgress));
+  progressCache.set(key, gradeProgress);
+  notifyListeners(getGradeFromKey(key), gradeProgress);
+};
+
+// The updater receives the grade's progress map and returns the new one.
+// The key is taken when the update is asked for, so a queued write stays with its learner.
+export const updateGradeProgress = (grade, updater) => {
+  const key = getProgressKey(grade);
+  return enqueueWrite(async () => {
+    const gradeProgress = updater(await loadProgressByKey(key));
+    await saveProgressByKey(key, gradeProgress);
+    return gradeProgress;
+  });
+};
+
+/**
+ * The updater receives the book's current record (or {}) and returns the new one.
+ * @returns {Promise<BookProgress>}
+ */
+export const updateBookProgress = async (grade, bookId, updater) => {
+  const gradeProgress = await updateGradeProgress(grade, (previousProgress) => ({
+    ...previousProgress,
+    [bookId]: updater(previousProgress[bookId] || {})
+  }));
+  return gradeProgress[bookId];
+};
+
+export const resetGradeProgress = (grade) => {
+  const key = getProgressKey(grade);
+  return enqueueWrite(async () => {
+    await AsyncStorage.removeItem(key);
+    progressCache.set(key, {});
+    notifyListeners(grade, {});
+  });
+};
+
+/**
+ * Every grade's progress of one learner, straight from storage, e.g. to delete their recordings.
+ * @returns {Promise<Object[]>} Progress maps; unreadable ones are skipped
+ */
+export const loadLearnerProgress = async (learnerPrefix) => {
+  const entries = await AsyncStorage.multiGet(await loadProgressKeys(learnerPrefix));
+  return entries
+    .map(([, savedProgress]) => (savedProgress ? parseStoredProgress(savedProgress) : null))
+    .filter(Boolean);
+};
+
+// Called when the learner changes, after all pending writes, so nothing cached outlives its learner
+export const clearProgressCache = () => enqueueWrite(async () => {
+  progressCache.clear();
+});
@@ -0,0 +1,43 @@
+import { updateBookProgress } from './progressStorage';
+import { getTierForScore, isBetterTier } from '../data/stickers';
+
+// Following SOLID principles - Single Responsibility Principle
+// Every quiz attempt is kept on the book's progress record, with best and latest scores alongside
+
+export const saveQuizAttempt = async (grade, book, { answers, score, correctCount, totalQuestions }) => {
+  const attempt = {
+    id: `${book.id}_quiz_${Date.now()}`,
+    takenAt: new Date().toISOString(),
+    answers,
+    score,
+    correctCount,
+    totalQuestions
+  };
+  let newSticker = null;
+
+  const bookProgress = await updateBookProgress(grade, book.id, (previousProgress) => {
+    const quizAttempts = [...(previousProgress.quizAttempts || []), attempt];
+
+    // A sticker is awarded, or upgraded, when the attempt reaches a better tier
+    const tier = getTierForScore(score);
+    const currentTierId = previousProgress.sticker?.tier;
+    const sticker = tier && isBetterTier(tier.id, currentTierId)
+      ? { tier: tier.id, score, awardedAt: attempt.takenAt }
+      : previousProgress.sticker;
+    if (sticker !== previousProgress.sticker) {
+      newSticker = sticker;
+    }
+
+    return {
+      ...previousProgress,
+      bookTitle: previousProgress.bookTitle || book.title,
+      bookType: previousProgress.bookType || book.type,
+      quizAttempts,
+      quizLatestScore: score,
+      quizBestScore: Math.max(score, previousProgress.quizBestScore ?? 0),
+      ...(sticker && { sticker })
+    };
+  });
+
+  return { attempt, bookProgress, newSticker };
+};
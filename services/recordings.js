@@ -0,0 +1,163 @@
+import * as FileSystem from 'expo-file-system';
+import { Audio } from 'expo-av';
+import { loadGradeProgress, updateBookProgress } from './progressStorage';
+import { getActiveLearnerId } from './activeLearner';
+
+// Following SOLID principles - Single Responsibility Principle
+// This module records read-aloud clips per page and keeps their metadata on the book's progress record
+
+// Paths are kept relative to the documents folder, whose absolute path changes when iOS updates the app.
+// Each learner's clips are under their own folder, recordings/<learnerId>/<bookId>/.
+const RECORDINGS_FOLDER = 'recordings/';
+// Clips saved before learners had their own folders, recordings/<bookId>/<file>
+const SHARED_FOLDER_FILE_PATTERN = /^recordings\/[^/]+\/[^/]+$/;
+
+const getLearnerFolder = (learnerId) => `${RECORDINGS_FOLDER}${learnerId}/`;
+
+const getBookFolder = (learnerId, bookId) => `${getLearnerFolder(learnerId)}${encodeURIComponent(bookId)}/`;
+
+const isRecordingsPath = (file) => {
+  return typeof file === 'string' && file.startsWith(RECORDINGS_FOLDER) && !file.split('/').includes('..');
+};
+
+// Only a learner's own clip files are ever deleted. Restored backups get copies (see copyRecordingFile),
+// so the clips in the shared folder can only be listed by the learner who recorded them.
+const isOwnRecording = (recording, learnerId) => {
+  const file = recording?.file;
+  return isRecordingsPath(file)
+    && (file.startsWith(getLearnerFolder(learnerId)) || SHARED_FOLDER_FILE_PATTERN.test(file));
+};
+
+const ensureFolder = async (folder) => {
+  const directory = `${FileSystem.documentDirectory}${folder}`;
+  const directoryInfo = await FileSystem.getInfoAsync(directory);
+  if (!directoryInfo.exists) {
+    await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+  }
+};
+
+// A clip's file on this device; anything else with a uri (such as pack narration) is played as it is
+export const getRecordingUri = (recording) => {
+  return recording.file ? `${FileSystem.documentDirectory}${recording.file}` : recording.uri || null;
+};
+
+export const startRecording = async () => {
+  const permission = await Audio.requestPermissionsAsync();
+  if (!permission.granted) {
+    throw new Error('Microphone permission was not granted');
+  }
+
+  await Audio.setAudioModeAsync({
+    allowsRecordingIOS: true,
+    playsInSilentModeIOS: true,
+  });
+
+  const { recording } = await Audio.Recording.createAsync(Audio.RecordingOptionsPresets.HIGH_QUALITY);
+  return recording;
+};
+
+// Stops a clip, moves it out of the cache and attaches its metadata to the book's progress
+export const saveRecording = async ({ recording, grade, book, page }) => {
+  const status = await recording.stopAndUnloadAsync();
+  await Audio.setAudioModeAsync({ allowsRecordingIOS: false });
+
+  const cacheUri = recording.getURI();
+  if (!cacheUri) return null;
+
+  const recordedAt = new Date().toISOString();
+  const id = `${book.id}_page${page}_${Date.now()}`;
+  const extension = cacheUri.split('.').pop() || 'm4a';
+  const folder = getBookFolder(getActiveLearnerId(), book.id);
+  const file = `${folder}${id}.${extension}`;
+
+  await ensureFolder(folder);
+  await FileSystem.moveAsync({ from: cacheUri, to: `${FileSystem.documentDirectory}${file}` });
+
+  const metadata = {
+    id,
+    page,
+    file,
+    durationMillis: status.durationMillis || 0,
+    recordedAt
+  };
+
+  await updateBookProgress(grade, book.id, (bookProgress) => ({
+    ...bookProgress,
+    bookTitle: bookProgress.bookTitle || book.title,
+    bookType: bookProgress.bookType || book.type,
+    recordings: [...(bookProgress.recordings || []), metadata]
+  }));
+
+  return metadata;
+};
+
+// Discards a clip without keeping it, e.g. when it is too short to be useful
+export const discardRecording = async (recording) => {
+  try {
+    await recording.stopAndUnloadAsync();
+  } catch (error) {
+    console.error('Error stopping recording:', error);
+  }
+  await Audio.setAudioModeAsync({ allowsRecordingIOS: false });
+
+  const cacheUri = recording.getURI();
+  if (cacheUri) {
+    await FileSystem.deleteAsync(cacheUri, { idempotent: true });
+  }
+};
+
+export const getBookRecordings = async (grade, bookId) => {
+  const progressData = await loadGradeProgress(grade);
+  return progressData[bookId]?.recordings || [];
+};
+
+export const deleteRecording = async (grade, bookId, recordingId) => {
+  let removed = null;
+  await updateBookProgress(grade, bookId, (bookProgress) => {
+    const recordings = bookProgress.recordings || [];
+    removed = recordings.find(recording => recording.id === recordingId) || null;
+    return {
+      ...bookProgress,
+      recordings: recordings.filter(recording => recording.id !== recordingId)
+    };
+  });
+
+  if (isOwnRecording(removed, getActiveLearnerId())) {
+    await FileSystem.deleteAsync(getRecordingUri(removed), { idempotent: true });
+  }
+};
+
+// Used when progress is reset so no clip files are left behind; the learner is the active one unless given
+export const deleteRecordingFiles = async (progressData, learnerId = getActiveLearnerId()) => {
+  const recordings = Object.values(progressData || {})
+    .flatMap(bookProgress => bookProgress.recordings || [])
+    .filter(recording => isOwnRecording(recording, learnerId));
+
+  for (const recording of recordings) {
+    await FileSystem.deleteAsync(getRecordingUri(recording), { idempotent: true });
+  }
+};
+
+// Removes the folder with all of a learner's clips when the learner is deleted
+export const deleteLearnerRecordings = (learnerId) => {
+  return FileSystem.deleteAsync(`${FileSystem.documentDirectory}${getLearnerFolder(learnerId)}`, { idempotent: true });
+};
+
+// Copies a clip listed in a backup into the active learner's folder.
+// Returns the copy's path, or null when the clip is not a recording on this device.
+export const copyRecordingFile = async (recording, bookId) => {
+  if (!isRecordingsPath(recording.file)) return null;
+
+  const source = getRecordingUri(recording);
+  const info = await FileSystem.getInfoAsync(source);
+  if (!info.exists || info.isDirectory) return null;
+
+  const folder = getBookFolder(getActiveLearnerId(), bookId);
+  const file = `${folder}${recording.file.split('/').pop()}`;
+  if (file !== recording.file) {
+    await ensureFolder(folder);
+    await FileSystem.deleteAsync(`${FileSystem.documentDirectory}${file}`, { idempotent: true });
+    await FileSystem.copyAsync({ from: source, to: `${FileSystem.documentDirectory}${file}` });
+  }
+  return file;
+};